@@ -1,38 +1,109 @@
-import React from 'react'
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
+import React, { useEffect } from 'react'
+import { BrowserRouter as Router, Routes, Route, Navigate, useNavigate, useLocation } from 'react-router-dom'
 import { Toaster } from 'react-hot-toast'
 import { AuthProvider, useAuth } from './contexts/AuthContext'
 import { NotificationProvider } from './contexts/NotificationContext'
 import Navbar from './components/Navbar'
 import Dashboard from './pages/Dashboard'
 import CreateDocument from './pages/CreateDocument'
+import Templates from './pages/Templates'
+import ImportDocuments from './pages/ImportDocuments'
+import Trash from './pages/Trash'
 import DocumentDetails from './pages/DocumentDetails'
 import SignIn from './pages/SignIn'
 import SignUp from './pages/SignUp'
+import ResetPassword from './pages/ResetPassword'
+import AdminInvitations from './pages/AdminInvitations'
+import AdminUsers from './pages/AdminUsers'
+import AdminRoles from './pages/AdminRoles'
+import AdminCategories from './pages/AdminCategories'
+import SecuritySettings from './pages/SecuritySettings'
+import ProfileSettings from './pages/ProfileSettings'
+import CreateOrganization from './pages/CreateOrganization'
+import JoinOrganization from './pages/JoinOrganization'
 import LoadingSpinner from './components/LoadingSpinner'
+import SessionTimeout from './components/SessionTimeout'
 
-const ProtectedRoute = ({ children }) => {
-  const { user, loading } = useAuth()
+const ProtectedRoute = ({ children, requireOrganization = true }) => {
+  const { user, loading, currentOrganization, mfaRequired } = useAuth()
   
   if (loading) {
     return <LoadingSpinner />
   }
   
-  if (!user) {
+  // Sessions still waiting for their authenticator code finish signing in first
+  if (!user || mfaRequired) {
     return <Navigate to="/signin" replace />
   }
   
+  // Users who do not belong to any club yet have to create or join one first
+  if (requireOrganization && !currentOrganization) {
+    return <Navigate to="/organizations/new" replace />
+  }
+  
+  return children
+}
+
+const AdminRoute = ({ children }) => {
+  const { user, loading, isAdmin, mfaRequired } = useAuth()
+  
+  if (loading) {
+    return <LoadingSpinner />
+  }
+  
+  if (!user || mfaRequired) {
+    return <Navigate to="/signin" replace />
+  }
+  
+  if (!isAdmin) {
+    return <Navigate to="/dashboard" replace />
+  }
+  
+  return children
+}
+
+const PermissionRoute = ({ children, permission }) => {
+  const { user, loading, currentOrganization, can, mfaRequired } = useAuth()
+  
+  if (loading) {
+    return <LoadingSpinner />
+  }
+  
+  if (!user || mfaRequired) {
+    return <Navigate to="/signin" replace />
+  }
+  
+  if (!currentOrganization) {
+    return <Navigate to="/organizations/new" replace />
+  }
+  
+  if (!can(permission)) {
+    return <Navigate to="/dashboard" replace />
+  }
+  
   return children
 }
 
 const PublicRoute = ({ children }) => {
-  const { user, loading } = useAuth()
+  const { user, loading, mfaRequired } = useAuth()
+  const location = useLocation()
   
   if (loading) {
     return <LoadingSpinner />
   }
   
+  // The sign-in page asks for the authenticator code
+  if (user && mfaRequired) {
+    return location.pathname === '/signin' ? children : <Navigate to="/signin" replace />
+  }
+  
   if (user) {
+    // Signed-in users opening an invitation link join the club instead of signing up
+    const inviteToken = new URLSearchParams(location.search).get('invite')
+    if (inviteToken) {
+      return <Navigate to={`/join?invite=${inviteToken}`} replace />
+    }
+
     return <Navigate to="/dashboard" replace />
   }
   
@@ -40,7 +111,16 @@ const PublicRoute = ({ children }) => {
 }
 
 const AppContent = () => {
-  const { loading } = useAuth()
+  const { loading, passwordRecovery } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+
+  // Supabase can land the recovery link on any route; send it to the reset form
+  useEffect(() => {
+    if (passwordRecovery && location.pathname !== '/reset-password') {
+      navigate('/reset-password', { replace: true })
+    }
+  }, [passwordRecovery, location.pathname])
   
   if (loading) {
     return <LoadingSpinner />
@@ -49,6 +129,7 @@ const AppContent = () => {
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
+      <SessionTimeout />
       <main>
         <Routes>
           <Route
@@ -67,6 +148,7 @@ const AppContent = () => {
               </PublicRoute>
             }
           />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route
             path="/dashboard"
             element={
@@ -78,8 +160,32 @@ const AppContent = () => {
           <Route
             path="/create-document"
             element={
-              <ProtectedRoute>
+              <PermissionRoute permission="document.create">
                 <CreateDocument />
+              </PermissionRoute>
+            }
+          />
+          <Route
+            path="/templates"
+            element={
+              <PermissionRoute permission="document.create">
+                <Templates />
+              </PermissionRoute>
+            }
+          />
+          <Route
+            path="/import"
+            element={
+              <PermissionRoute permission="document.create">
+                <ImportDocuments />
+              </PermissionRoute>
+            }
+          />
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute>
+                <Trash />
               </ProtectedRoute>
             }
           />
@@ -91,6 +197,70 @@ const AppContent = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/settings/profile"
+            element={
+              <ProtectedRoute requireOrganization={false}>
+                <ProfileSettings />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/settings/security"
+            element={
+              <ProtectedRoute requireOrganization={false}>
+                <SecuritySettings />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/organizations/new"
+            element={
+              <ProtectedRoute requireOrganization={false}>
+                <CreateOrganization />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/join"
+            element={
+              <ProtectedRoute requireOrganization={false}>
+                <JoinOrganization />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/users"
+            element={
+              <PermissionRoute permission="member.manage">
+                <AdminUsers />
+              </PermissionRoute>
+            }
+          />
+          <Route
+            path="/admin/invitations"
+            element={
+              <PermissionRoute permission="member.manage">
+                <AdminInvitations />
+              </PermissionRoute>
+            }
+          />
+          <Route
+            path="/admin/roles"
+            element={
+              <AdminRoute>
+                <AdminRoles />
+              </AdminRoute>
+            }
+          />
+          <Route
+            path="/admin/categories"
+            element={
+              <AdminRoute>
+                <AdminCategories />
+              </AdminRoute>
+            }
+          />
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
           <Route path="*" element={<Navigate to="/dashboard" replace />} />
         </Routes>
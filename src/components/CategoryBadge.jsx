@@ -0,0 +1,25 @@
+import React from 'react'
+
+// Full class names so Tailwind keeps them; keys match CATEGORY_COLORS
+const colorClasses = {
+  gray: 'bg-gray-100 text-gray-800',
+  red: 'bg-red-100 text-red-800',
+  amber: 'bg-amber-100 text-amber-800',
+  green: 'bg-green-100 text-green-800',
+  blue: 'bg-blue-100 text-blue-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  purple: 'bg-purple-100 text-purple-800',
+  pink: 'bg-pink-100 text-pink-800'
+}
+
+const CategoryBadge = ({ category, className = '' }) => {
+  if (!category) return null
+
+  return (
+    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${colorClasses[category.color] || colorClasses.gray} ${className}`}>
+      {category.name}
+    </span>
+  )
+}
+
+export default CategoryBadge
\ No newline at end of file
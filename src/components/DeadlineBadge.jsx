@@ -0,0 +1,29 @@
+import React from 'react'
+import { AlarmClock } from 'lucide-react'
+import { format } from 'date-fns'
+import { getDeadlineStatus } from '../lib/supabase'
+
+// Countdown to a due date, red once it has passed; hidden when there is no
+// deadline or the work is already done
+const DeadlineBadge = ({ dueDate, done = false, className = '' }) => {
+  const deadline = getDeadlineStatus(dueDate, done)
+  if (!deadline) return null
+
+  const stateClasses = {
+    overdue: 'bg-red-100 text-red-800',
+    due_soon: 'bg-amber-100 text-amber-800',
+    upcoming: 'bg-gray-100 text-gray-700'
+  }
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium whitespace-nowrap ${stateClasses[deadline.state]} ${className}`}
+      title={`Due ${format(new Date(dueDate), 'MMM d, yyyy h:mm a')}`}
+    >
+      <AlarmClock className="h-3 w-3 mr-1" />
+      {deadline.label}
+    </span>
+  )
+}
+
+export default DeadlineBadge
\ No newline at end of file
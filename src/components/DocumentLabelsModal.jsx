@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react'
+import { supabase, getDocumentCategories, getOrganizationTags } from '../lib/supabase'
+import { Tags, X } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import TagInput from './TagInput'
+import toast from 'react-hot-toast'
+
+// Change a document's category and tags
+const DocumentLabelsModal = ({ document, onClose, onSaved }) => {
+  const [categories, setCategories] = useState([])
+  const [tagSuggestions, setTagSuggestions] = useState([])
+  const [categoryId, setCategoryId] = useState(document.category_id || '')
+  const [tags, setTags] = useState(document.tags || [])
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchOptions()
+  }, [])
+
+  const fetchOptions = async () => {
+    try {
+      const [categoriesData, tagsData] = await Promise.all([
+        getDocumentCategories(document.organization_id),
+        getOrganizationTags(document.organization_id)
+      ])
+      setCategories(categoriesData)
+      setTagSuggestions(tagsData)
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+    }
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    setSaving(true)
+    try {
+      const { error } = await supabase.rpc('update_document_labels', {
+        p_document_id: document.id,
+        p_category_id: categoryId || null,
+        p_tags: tags
+      })
+
+      if (error) throw error
+
+      toast.success('Category and tags updated')
+      onSaved()
+    } catch (error) {
+      console.error('Error updating labels:', error)
+      toast.error(`Failed to update category and tags: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full" role="dialog" aria-labelledby="document-labels-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="document-labels-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <Tags className="h-5 w-5 mr-2 text-primary-600" />
+            Category & Tags
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+          <div>
+            <label htmlFor="labels-category" className="block text-sm font-medium text-gray-700 mb-1">
+              Category
+            </label>
+            <select
+              id="labels-category"
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              className="input-field"
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="labels-tags" className="block text-sm font-medium text-gray-700 mb-1">
+              Tags
+            </label>
+            <TagInput
+              id="labels-tags"
+              value={tags}
+              onChange={setTags}
+              suggestions={tagSuggestions}
+            />
+            <p className="mt-1 text-xs text-gray-500">Press Enter or type a comma after each tag.</p>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </>
+              ) : (
+                'Save'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default DocumentLabelsModal
\ No newline at end of file
@@ -0,0 +1,402 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { format } from 'date-fns'
+import { ScanLine, X, Camera, ImagePlus, RotateCcw, RotateCw, Crop, ArrowUp, ArrowDown, Trash2 } from 'lucide-react'
+import { MAX_DOCUMENT_FILE_SIZE, MAX_DOCUMENT_FILE_SIZE_MB } from '../lib/supabase'
+import { FULL_CROP, SCAN_MODES, SCAN_QUALITIES, prepareScanImage, renderScanPage, createScanPdf } from '../lib/scanner'
+import LoadingSpinner from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const MAX_SCAN_PAGES = 30
+// Smallest crop, as a fraction of the photo, so the handles can't cross
+const MIN_CROP = 0.05
+
+// A page as it will come out in the PDF
+const ScanThumbnail = ({ page, mode }) => {
+  const [src, setSrc] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    renderScanPage(page, { mode, maxDimension: 320 })
+      .then(canvas => {
+        if (!cancelled) setSrc(canvas.toDataURL('image/jpeg', 0.7))
+      })
+      .catch(error => console.error('Error rendering page:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [page.blob, page.rotation, page.crop, mode])
+
+  return src ? (
+    <img src={src} alt="" className="max-h-40 max-w-full object-contain shadow" />
+  ) : (
+    <LoadingSpinner size="sm" />
+  )
+}
+
+// Drag the corners of a box over the rotated photo to choose what to keep
+const CropEditor = ({ page, onApply, onCancel }) => {
+  const [src, setSrc] = useState(null)
+  const [crop, setCrop] = useState(page.crop)
+  const containerRef = useRef(null)
+  const draggingRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setSrc(null)
+    renderScanPage({ ...page, crop: FULL_CROP }, { maxDimension: 1000 })
+      .then(canvas => {
+        if (!cancelled) setSrc(canvas.toDataURL('image/jpeg', 0.8))
+      })
+      .catch(error => console.error('Error rendering page:', error))
+    return () => {
+      cancelled = true
+    }
+  }, [page.blob, page.rotation])
+
+  const startDrag = (corner) => (event) => {
+    event.preventDefault()
+    event.currentTarget.setPointerCapture(event.pointerId)
+    draggingRef.current = corner
+  }
+
+  const drag = (event) => {
+    const corner = draggingRef.current
+    if (!corner) return
+
+    const bounds = containerRef.current.getBoundingClientRect()
+    const x = Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width))
+    const y = Math.min(1, Math.max(0, (event.clientY - bounds.top) / bounds.height))
+
+    setCrop(prev => ({
+      x0: corner.includes('w') ? Math.min(x, prev.x1 - MIN_CROP) : prev.x0,
+      x1: corner.includes('e') ? Math.max(x, prev.x0 + MIN_CROP) : prev.x1,
+      y0: corner.includes('n') ? Math.min(y, prev.y1 - MIN_CROP) : prev.y0,
+      y1: corner.includes('s') ? Math.max(y, prev.y0 + MIN_CROP) : prev.y1
+    }))
+  }
+
+  const endDrag = () => {
+    draggingRef.current = null
+  }
+
+  const handles = {
+    nw: { left: crop.x0, top: crop.y0 },
+    ne: { left: crop.x1, top: crop.y0 },
+    sw: { left: crop.x0, top: crop.y1 },
+    se: { left: crop.x1, top: crop.y1 }
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">Drag the corners to the edges of the paper.</p>
+      <div className="flex justify-center bg-gray-900 rounded-lg p-4">
+        {src ? (
+          <div
+            ref={containerRef}
+            onPointerMove={drag}
+            onPointerUp={endDrag}
+            onPointerCancel={endDrag}
+            className="relative inline-block overflow-hidden select-none touch-none"
+          >
+            <img src={src} alt="Page to crop" className="block max-h-[60vh] max-w-full" draggable={false} />
+            <div
+              className="absolute border-2 border-white pointer-events-none"
+              style={{
+                left: `${crop.x0 * 100}%`,
+                top: `${crop.y0 * 100}%`,
+                width: `${(crop.x1 - crop.x0) * 100}%`,
+                height: `${(crop.y1 - crop.y0) * 100}%`,
+                boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+              }}
+            />
+            {Object.entries(handles).map(([corner, position]) => (
+              <div
+                key={corner}
+                onPointerDown={startDrag(corner)}
+                className="absolute h-6 w-6 -ml-3 -mt-3 rounded-full bg-white border-2 border-primary-600 cursor-move"
+                style={{ left: `${position.left * 100}%`, top: `${position.top * 100}%` }}
+                aria-label={`Crop corner ${corner}`}
+              />
+            ))}
+          </div>
+        ) : (
+          <LoadingSpinner size="lg" className="py-16" />
+        )}
+      </div>
+      <div className="flex justify-between">
+        <button type="button" onClick={() => setCrop(FULL_CROP)} className="btn-secondary">
+          Reset
+        </button>
+        <div className="flex space-x-3">
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="button" onClick={() => onApply(crop)} className="btn-primary">
+            Apply Crop
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Photograph or pick the pages of a paper document, tidy them up and hand
+// back a single PDF, assembled entirely in the browser
+const DocumentScanner = ({ onScanned, onClose }) => {
+  const [pages, setPages] = useState([])
+  const [mode, setMode] = useState('document')
+  const [quality, setQuality] = useState('standard')
+  const [fileName, setFileName] = useState(`Scan ${format(new Date(), 'yyyy-MM-dd HHmm')}`)
+  const [croppingId, setCroppingId] = useState(null)
+  const [adding, setAdding] = useState(false)
+  const [building, setBuilding] = useState(false)
+
+  const addImages = async (event) => {
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    if (files.length === 0) return
+
+    if (pages.length + files.length > MAX_SCAN_PAGES) {
+      toast.error(`A scan can have at most ${MAX_SCAN_PAGES} pages`)
+      return
+    }
+
+    setAdding(true)
+    try {
+      for (const file of files) {
+        try {
+          const image = await prepareScanImage(file)
+          setPages(prev => [...prev, { id: crypto.randomUUID(), ...image, rotation: 0, crop: FULL_CROP }])
+        } catch (error) {
+          console.error('Error reading image:', error)
+          toast.error(`${file.name} could not be read as an image`)
+        }
+      }
+    } finally {
+      setAdding(false)
+    }
+  }
+
+  const updatePage = (id, changes) => {
+    setPages(prev => prev.map(page => page.id === id ? { ...page, ...changes } : page))
+  }
+
+  // Crops are kept relative to the rotated view, so a turn starts from the whole photo
+  const rotatePage = (page, degrees) => {
+    updatePage(page.id, { rotation: (page.rotation + degrees + 360) % 360, crop: FULL_CROP })
+  }
+
+  const movePage = (index, offset) => {
+    setPages(prev => {
+      const next = [...prev]
+      const [page] = next.splice(index, 1)
+      next.splice(index + offset, 0, page)
+      return next
+    })
+  }
+
+  const removePage = (id) => {
+    setPages(prev => prev.filter(page => page.id !== id))
+  }
+
+  const createPdf = async () => {
+    const name = fileName.trim().replace(/[\\/:*?"<>|]/g, '-') || 'Scan'
+
+    setBuilding(true)
+    try {
+      const file = await createScanPdf(pages, { mode, quality, fileName: `${name}.pdf` })
+
+      if (file.size > MAX_DOCUMENT_FILE_SIZE) {
+        toast.error(`The PDF is ${(file.size / 1024 / 1024).toFixed(1)}MB, over the ${MAX_DOCUMENT_FILE_SIZE_MB}MB limit. Try standard quality or fewer pages.`)
+        return
+      }
+
+      onScanned(file)
+    } catch (error) {
+      console.error('Error creating PDF:', error)
+      toast.error(`Failed to create the PDF: ${error.message}`)
+    } finally {
+      setBuilding(false)
+    }
+  }
+
+  const croppingPage = pages.find(page => page.id === croppingId)
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 sm:px-4">
+      <div className="bg-white sm:rounded-xl shadow-2xl max-w-3xl w-full h-full sm:h-auto sm:max-h-[90vh] flex flex-col" role="dialog" aria-labelledby="document-scanner-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="document-scanner-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <ScanLine className="h-5 w-5 mr-2 text-primary-600" />
+            {croppingPage ? 'Crop Page' : 'Scan Pages'}
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={building}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-5">
+          {croppingPage ? (
+            <CropEditor
+              key={croppingPage.id}
+              page={croppingPage}
+              onApply={(crop) => {
+                updatePage(croppingPage.id, { crop })
+                setCroppingId(null)
+              }}
+              onCancel={() => setCroppingId(null)}
+            />
+          ) : (
+            <>
+              <div className="flex flex-col sm:flex-row gap-3">
+                <label className={`btn-primary flex items-center justify-center ${adding || building ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                  <Camera className="h-4 w-4 mr-2" />
+                  Take Photo
+                  <input
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    onChange={addImages}
+                    className="sr-only"
+                  />
+                </label>
+                <label className={`btn-secondary flex items-center justify-center ${adding || building ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+                  <ImagePlus className="h-4 w-4 mr-2" />
+                  Choose Images
+                  <input
+                    type="file"
+                    accept="image/*"
+                    multiple
+                    onChange={addImages}
+                    className="sr-only"
+                  />
+                </label>
+                {adding && (
+                  <span className="flex items-center text-sm text-gray-600">
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    Adding pages...
+                  </span>
+                )}
+              </div>
+
+              {pages.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-8">
+                  Photograph each page flat, in good light, then crop, rotate and order the pages here.
+                  They become one PDF with up to {MAX_SCAN_PAGES} pages.
+                </p>
+              ) : (
+                <ol className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+                  {pages.map((page, index) => (
+                    <li key={page.id} className="border border-gray-200 rounded-lg p-2 flex flex-col">
+                      <div className="flex-1 flex items-center justify-center bg-gray-100 rounded min-h-[10rem]">
+                        <ScanThumbnail page={page} mode={mode} />
+                      </div>
+                      <div className="mt-2 flex items-center justify-between">
+                        <span className="text-xs font-medium text-gray-700">Page {index + 1}</span>
+                        <div className="flex items-center">
+                          <button type="button" onClick={() => rotatePage(page, -90)} className="p-1 text-gray-500 hover:text-gray-800 rounded" title="Rotate left">
+                            <RotateCcw className="h-4 w-4" />
+                          </button>
+                          <button type="button" onClick={() => rotatePage(page, 90)} className="p-1 text-gray-500 hover:text-gray-800 rounded" title="Rotate right">
+                            <RotateCw className="h-4 w-4" />
+                          </button>
+                          <button type="button" onClick={() => setCroppingId(page.id)} className="p-1 text-gray-500 hover:text-gray-800 rounded" title="Crop">
+                            <Crop className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center">
+                          <button type="button" onClick={() => movePage(index, -1)} disabled={index === 0} className="p-1 text-gray-500 hover:text-gray-800 rounded disabled:opacity-30" title="Move earlier">
+                            <ArrowUp className="h-4 w-4" />
+                          </button>
+                          <button type="button" onClick={() => movePage(index, 1)} disabled={index === pages.length - 1} className="p-1 text-gray-500 hover:text-gray-800 rounded disabled:opacity-30" title="Move later">
+                            <ArrowDown className="h-4 w-4" />
+                          </button>
+                        </div>
+                        <button type="button" onClick={() => removePage(page.id)} className="p-1 text-red-600 hover:text-red-800 hover:bg-red-100 rounded" title="Remove page">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="scan-file-name" className="block text-sm font-medium text-gray-700 mb-1">
+                    File Name
+                  </label>
+                  <input
+                    id="scan-file-name"
+                    type="text"
+                    value={fileName}
+                    onChange={(e) => setFileName(e.target.value)}
+                    maxLength={200}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="scan-mode" className="block text-sm font-medium text-gray-700 mb-1">
+                    Color
+                  </label>
+                  <select id="scan-mode" value={mode} onChange={(e) => setMode(e.target.value)} className="input-field">
+                    {Object.entries(SCAN_MODES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="scan-quality" className="block text-sm font-medium text-gray-700 mb-1">
+                    Quality
+                  </label>
+                  <select id="scan-quality" value={quality} onChange={(e) => setQuality(e.target.value)} className="input-field">
+                    {Object.entries(SCAN_QUALITIES).map(([value, { label }]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+
+        {!croppingPage && (
+          <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={building}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={createPdf}
+              disabled={building || adding || pages.length === 0}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {building ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Creating PDF...
+                </>
+              ) : (
+                `Create PDF (${pages.length} ${pages.length === 1 ? 'page' : 'pages'})`
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DocumentScanner
\ No newline at end of file
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { getSignedDocumentUrl } from '../lib/supabase'
+import {
+  ZoomIn,
+  ZoomOut,
+  RotateCw,
+  Maximize2,
+  Minimize2,
+  ChevronLeft,
+  ChevronRight,
+  FileText,
+  AlertCircle
+} from 'lucide-react'
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+import LoadingSpinner from './LoadingSpinner'
+
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3]
+const DEFAULT_ZOOM_INDEX = 2
+const THUMBNAIL_SCALE = 0.2
+
+// Which renderer a file needs, from its extension; null when it can't be previewed
+const getPreviewKind = (fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase()
+  if (extension === 'pdf') return 'pdf'
+  if (['png', 'jpg', 'jpeg'].includes(extension)) return 'image'
+  if (extension === 'docx') return 'docx'
+  return null
+}
+
+// Converted Word documents keep their hyperlinks; drop any that aren't plain web or mail links
+const sanitizeDocxHtml = (html) => {
+  const parsed = new DOMParser().parseFromString(html, 'text/html')
+  parsed.querySelectorAll('a[href]').forEach(link => {
+    if (/^(https?:|mailto:|#)/i.test(link.getAttribute('href'))) {
+      link.setAttribute('target', '_blank')
+      link.setAttribute('rel', 'noopener noreferrer')
+    } else {
+      link.removeAttribute('href')
+    }
+  })
+  return parsed.body.innerHTML
+}
+
+// One PDF page drawn onto a canvas, sharp on high-DPI screens
+const PdfCanvas = ({ pdf, pageNumber, scale, rotation = 0, className = '' }) => {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let renderTask = null
+
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled) return
+
+      const pixelRatio = window.devicePixelRatio || 1
+      const viewport = page.getViewport({ scale: scale * pixelRatio, rotation: (page.rotate + rotation) % 360 })
+      const canvas = canvasRef.current
+      canvas.width = viewport.width
+      canvas.height = viewport.height
+      canvas.style.width = `${viewport.width / pixelRatio}px`
+      canvas.style.height = `${viewport.height / pixelRatio}px`
+
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport })
+      renderTask.promise.catch(error => {
+        if (error?.name !== 'RenderingCancelledException') {
+          console.error('Error rendering PDF page:', error)
+        }
+      })
+    })
+
+    return () => {
+      cancelled = true
+      renderTask?.cancel()
+    }
+  }, [pdf, pageNumber, scale, rotation])
+
+  return <canvas ref={canvasRef} className={className} />
+}
+
+// Inline preview of a document file: PDFs page by page with thumbnails,
+// images with zoom and rotation, and DOCX converted to HTML
+const DocumentViewer = ({ filePath, fileName }) => {
+  const containerRef = useRef(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [imageUrl, setImageUrl] = useState(null)
+  const [pdf, setPdf] = useState(null)
+  const [docxHtml, setDocxHtml] = useState(null)
+  const [pageNumber, setPageNumber] = useState(1)
+  const [zoomIndex, setZoomIndex] = useState(DEFAULT_ZOOM_INDEX)
+  const [rotation, setRotation] = useState(0)
+  const [isFullscreen, setIsFullscreen] = useState(false)
+
+  const kind = getPreviewKind(fileName)
+  const zoom = ZOOM_LEVELS[zoomIndex]
+
+  useEffect(() => {
+    let cancelled = false
+    let loadingTask = null
+
+    setLoading(true)
+    setError(null)
+    setImageUrl(null)
+    setPdf(null)
+    setDocxHtml(null)
+    setPageNumber(1)
+    setZoomIndex(DEFAULT_ZOOM_INDEX)
+    setRotation(0)
+
+    const loadPreview = async () => {
+      try {
+        if (!filePath || !kind) return
+
+        const signedUrl = await getSignedDocumentUrl(filePath)
+
+        if (kind === 'image') {
+          setImageUrl(signedUrl)
+        } else if (kind === 'pdf') {
+          // pdf.js and mammoth are large, so they are only loaded when a preview needs them
+          const pdfjsLib = await import('pdfjs-dist')
+          pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+
+          loadingTask = pdfjsLib.getDocument({ url: signedUrl })
+          const loadedPdf = await loadingTask.promise
+          if (!cancelled) setPdf(loadedPdf)
+        } else {
+          const response = await fetch(signedUrl)
+          if (!response.ok) throw new Error('Could not download the file')
+
+          const { default: mammoth } = await import('mammoth/mammoth.browser')
+          const result = await mammoth.convertToHtml({ arrayBuffer: await response.arrayBuffer() })
+          if (!cancelled) setDocxHtml(sanitizeDocxHtml(result.value))
+        }
+      } catch (error) {
+        console.error('Error loading preview:', error)
+        if (!cancelled) setError(error.message)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadPreview()
+
+    return () => {
+      cancelled = true
+      // Also releases a PDF that already finished loading
+      loadingTask?.destroy()
+    }
+  }, [filePath, fileName])
+
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      setIsFullscreen(document.fullscreenElement === containerRef.current)
+    }
+
+    document.addEventListener('fullscreenchange', handleFullscreenChange)
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange)
+  }, [])
+
+  const toggleFullscreen = () => {
+    if (isFullscreen) {
+      document.exitFullscreen()
+    } else {
+      containerRef.current.requestFullscreen?.()
+    }
+  }
+
+  const goToPage = (number) => {
+    setPageNumber(Math.min(Math.max(number, 1), pdf.numPages))
+  }
+
+  const canZoom = kind === 'pdf' || kind === 'image'
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex-1 flex items-center justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      )
+    }
+
+    if (!kind || error) {
+      return (
+        <div className="flex-1 flex flex-col items-center justify-center text-center p-8">
+          {error ? (
+            <AlertCircle className="h-12 w-12 text-red-400 mb-3" />
+          ) : (
+            <FileText className="h-12 w-12 text-gray-400 mb-3" />
+          )}
+          <p className="text-gray-700 font-medium">
+            {error ? 'This file could not be previewed' : 'No preview available for this file type'}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">Download the file to open it.</p>
+        </div>
+      )
+    }
+
+    if (kind === 'pdf') {
+      return (
+        <>
+          {/* Thumbnails */}
+          {pdf.numPages > 1 && (
+            <div className="hidden sm:block w-28 flex-shrink-0 overflow-y-auto border-r border-gray-200 bg-white p-2 space-y-2">
+              {Array.from({ length: pdf.numPages }, (_, index) => index + 1).map(number => (
+                <button
+                  key={number}
+                  onClick={() => setPageNumber(number)}
+                  className={`block w-full p-1 rounded border-2 transition-colors ${
+                    number === pageNumber ? 'border-blue-500' : 'border-transparent hover:border-gray-300'
+                  }`}
+                  title={`Page ${number}`}
+                >
+                  <PdfCanvas pdf={pdf} pageNumber={number} scale={THUMBNAIL_SCALE} className="mx-auto shadow-sm" />
+                  <span className="block text-xs text-gray-500 mt-1">{number}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <div className="flex-1 overflow-auto p-4">
+            <PdfCanvas pdf={pdf} pageNumber={pageNumber} scale={zoom} rotation={rotation} className="mx-auto shadow-md bg-white" />
+          </div>
+        </>
+      )
+    }
+
+    if (kind === 'image') {
+      return (
+        <div className="flex-1 overflow-auto p-4 flex items-center justify-center">
+          <img
+            src={imageUrl}
+            alt={fileName}
+            className="max-w-none shadow-md transition-transform duration-200"
+            style={{ width: `${zoom * 100}%`, transform: `rotate(${rotation}deg)` }}
+          />
+        </div>
+      )
+    }
+
+    return (
+      <div className="flex-1 overflow-auto p-4">
+        <div
+          className="docx-preview max-w-3xl mx-auto bg-white shadow-md p-8 text-gray-800 leading-relaxed"
+          dangerouslySetInnerHTML={{ __html: docxHtml }}
+        />
+      </div>
+    )
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={`flex flex-col bg-gray-100 border border-gray-200 rounded-lg overflow-hidden ${isFullscreen ? 'h-full' : 'h-[70vh]'}`}
+    >
+      {/* Toolbar */}
+      <div className="flex items-center justify-between gap-2 px-3 py-2 bg-white border-b border-gray-200">
+        <span className="text-sm font-medium text-gray-700 truncate" title={fileName}>{fileName}</span>
+
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {pdf && (
+            <div className="flex items-center mr-2">
+              <button
+                onClick={() => goToPage(pageNumber - 1)}
+                disabled={pageNumber === 1}
+                className="p-1.5 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Previous page"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <span className="text-sm text-gray-600 px-1 whitespace-nowrap">
+                {pageNumber} / {pdf.numPages}
+              </span>
+              <button
+                onClick={() => goToPage(pageNumber + 1)}
+                disabled={pageNumber === pdf.numPages}
+                className="p-1.5 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Next page"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          )}
+
+          {canZoom && !loading && !error && (
+            <>
+              <button
+                onClick={() => setZoomIndex(index => Math.max(index - 1, 0))}
+                disabled={zoomIndex === 0}
+                className="p-1.5 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Zoom out"
+              >
+                <ZoomOut className="h-4 w-4" />
+              </button>
+              <span className="text-xs text-gray-500 w-10 text-center">{Math.round(zoom * 100)}%</span>
+              <button
+                onClick={() => setZoomIndex(index => Math.min(index + 1, ZOOM_LEVELS.length - 1))}
+                disabled={zoomIndex === ZOOM_LEVELS.length - 1}
+                className="p-1.5 text-gray-600 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                title="Zoom in"
+              >
+                <ZoomIn className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setRotation(current => (current + 90) % 360)}
+                className="p-1.5 text-gray-600 hover:bg-gray-100 rounded"
+                title="Rotate"
+              >
+                <RotateCw className="h-4 w-4" />
+              </button>
+            </>
+          )}
+
+          <button
+            onClick={toggleFullscreen}
+            className="p-1.5 text-gray-600 hover:bg-gray-100 rounded"
+            title={isFullscreen ? 'Exit fullscreen' : 'Fullscreen'}
+          >
+            {isFullscreen ? <Minimize2 className="h-4 w-4" /> : <Maximize2 className="h-4 w-4" />}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-1 min-h-0">
+        {renderContent()}
+      </div>
+    </div>
+  )
+}
+
+export default DocumentViewer
\ No newline at end of file
@@ -0,0 +1,147 @@
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, copyDocumentFile } from '../lib/supabase'
+import { CopyPlus, X } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Start a new tracker from this one, with the signatories' signatures reset
+const DuplicateDocumentModal = ({ document, signatories, onClose }) => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [duplicating, setDuplicating] = useState(false)
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      name: `${document.name} (copy)`,
+      copy_file: Boolean(document.file_url)
+    }
+  })
+
+  const onSubmit = async (data) => {
+    setDuplicating(true)
+    let copiedPath = null
+    try {
+      if (data.copy_file && document.file_url) {
+        copiedPath = await copyDocumentFile(document.organization_id, user.id, document.file_url)
+      }
+
+      const { data: newDocumentId, error } = await supabase.rpc('duplicate_document', {
+        p_document_id: document.id,
+        p_name: data.name.trim(),
+        p_file_url: copiedPath,
+        p_file_name: copiedPath ? document.file_name : null,
+        p_file_hash: copiedPath ? document.file_hash : null
+      })
+
+      if (error) throw error
+
+      toast.success(`Created "${data.name.trim()}"`)
+      onClose()
+      navigate(`/document/${newDocumentId}`)
+    } catch (error) {
+      console.error('Error duplicating document:', error)
+      toast.error(`Failed to duplicate document: ${error.message}`)
+
+      // Don't leave an orphaned copy of the file behind
+      if (copiedPath) {
+        await supabase.storage.from('documents').remove([copiedPath])
+      }
+    } finally {
+      setDuplicating(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full" role="dialog" aria-labelledby="duplicate-document-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="duplicate-document-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <CopyPlus className="h-5 w-5 mr-2 text-primary-600" />
+            Duplicate Document
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={duplicating}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            The new document keeps this one's description, approval setting, category, tags and its {signatories.length} {signatories.length === 1 ? 'signatory' : 'signatories'} in order, with no signatures collected yet. Due dates are not copied.
+          </p>
+
+          <div>
+            <label htmlFor="duplicate-name" className="block text-sm font-medium text-gray-700 mb-1">
+              Document Name
+            </label>
+            <input
+              id="duplicate-name"
+              type="text"
+              {...register('name', {
+                required: 'Document name is required',
+                validate: value => value.trim().length > 0 || 'Document name is required',
+                maxLength: {
+                  value: 255,
+                  message: 'Document name must be at most 255 characters'
+                }
+              })}
+              className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          {document.file_url && (
+            <label className="flex items-start space-x-3">
+              <input
+                type="checkbox"
+                {...register('copy_file')}
+                className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              <span className="text-sm text-gray-700">
+                Copy the current file ({document.file_name})
+                <span className="block text-xs text-gray-500">
+                  Leave unchecked to upload a new file as the first revision later. Supporting files are not copied.
+                </span>
+              </span>
+            </label>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={duplicating}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={duplicating}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {duplicating ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Duplicating...
+                </>
+              ) : (
+                'Duplicate'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default DuplicateDocumentModal
\ No newline at end of file
@@ -0,0 +1,279 @@
+import React, { useState } from 'react'
+import { useForm, useFieldArray } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase } from '../lib/supabase'
+import { Edit3, X, Plus, Trash2, ChevronUp, ChevronDown, Shield, CheckCircle } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Edit a document's details and its signatory list after creation
+const EditDocumentModal = ({ document, signatories, onClose, onSaved }) => {
+  const { can } = useAuth()
+  const [saving, setSaving] = useState(false)
+  const { register, control, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      name: document.name,
+      description: document.description || '',
+      requires_admin_approval: document.requires_admin_approval,
+      // useFieldArray keeps its own "id" on each field, so the row id goes in signatory_id
+      signatories: signatories.map(sig => ({
+        signatory_id: sig.id,
+        name: sig.name,
+        position: sig.position || '',
+        email: sig.email || '',
+        phone: sig.phone || '',
+        is_signed: sig.is_signed
+      }))
+    }
+  })
+
+  const { fields, append, remove, move } = useFieldArray({
+    control,
+    name: 'signatories'
+  })
+
+  // Dropping the approval step could unlock a rejected document
+  const approvalLocked = document.requires_admin_approval && !can('document.approve')
+
+  const removeSignatory = (index) => {
+    if (fields.length === 1) {
+      toast.error('At least one signatory is required')
+      return
+    }
+    if (fields[index].is_signed && !window.confirm(`${fields[index].name} has already signed. Remove them anyway?`)) return
+
+    remove(index)
+  }
+
+  const onSubmit = async (data) => {
+    setSaving(true)
+    try {
+      const { error } = await supabase.rpc('update_document_details', {
+        p_document_id: document.id,
+        p_name: data.name,
+        p_description: data.description,
+        // Disabled checkboxes are left out of the submitted values
+        p_requires_admin_approval: data.requires_admin_approval ?? document.requires_admin_approval,
+        p_signatories: data.signatories.map(sig => ({
+          id: sig.signatory_id || null,
+          name: sig.name,
+          position: sig.position,
+          email: sig.email,
+          phone: sig.phone
+        }))
+      })
+
+      if (error) throw error
+
+      toast.success('Document updated')
+      onSaved()
+    } catch (error) {
+      console.error('Error updating document:', error)
+      toast.error(`Failed to update document: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4 py-8">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-full flex flex-col" role="dialog" aria-labelledby="edit-document-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="edit-document-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <Edit3 className="h-5 w-5 mr-2 text-primary-600" />
+            Edit Document
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="flex flex-col min-h-0">
+          <div className="p-6 space-y-5 overflow-y-auto">
+            <div>
+              <label htmlFor="edit-name" className="block text-sm font-medium text-gray-700 mb-1">
+                Document Name
+              </label>
+              <input
+                id="edit-name"
+                type="text"
+                {...register('name', {
+                  required: 'Document name is required',
+                  minLength: { value: 3, message: 'Name must be at least 3 characters' }
+                })}
+                className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+              />
+              {errors.name && (
+                <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="edit-description" className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <textarea
+                id="edit-description"
+                rows={3}
+                {...register('description')}
+                className="input-field resize-none"
+              />
+            </div>
+
+            <div className="flex items-start space-x-3 p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center h-5">
+                <input
+                  id="edit-requires-admin-approval"
+                  type="checkbox"
+                  disabled={approvalLocked}
+                  {...register('requires_admin_approval')}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded disabled:opacity-50"
+                />
+              </div>
+              <div className="text-sm">
+                <label htmlFor="edit-requires-admin-approval" className="font-semibold text-gray-700 flex items-center">
+                  <Shield className="h-4 w-4 mr-2 text-blue-600" />
+                  Requires Admin Approval
+                </label>
+                <p className="text-gray-500 mt-1">
+                  {approvalLocked
+                    ? 'Only members who can approve documents can remove the approval requirement.'
+                    : 'Check this if the document needs approval from an admin before proceeding.'}
+                </p>
+              </div>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-sm font-medium text-gray-700">Signatories, in signing order</h3>
+                <button
+                  type="button"
+                  onClick={() => append({ signatory_id: null, name: '', position: '', email: '', phone: '', is_signed: false })}
+                  className="text-sm text-primary-600 hover:text-primary-700 font-medium flex items-center"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Signatory
+                </button>
+              </div>
+
+              <div className="space-y-3">
+                {fields.map((field, index) => (
+                  <div key={field.id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-3">
+                      <span className="text-sm font-semibold text-gray-900 flex items-center">
+                        <span className="bg-indigo-100 text-indigo-800 w-6 h-6 rounded-full flex items-center justify-center text-xs font-bold mr-2">
+                          {index + 1}
+                        </span>
+                        {field.signatory_id ? field.name : 'New signatory'}
+                        {field.is_signed && (
+                          <span className="ml-2 inline-flex items-center text-xs font-medium text-emerald-700">
+                            <CheckCircle className="h-3 w-3 mr-1" />
+                            Signed
+                          </span>
+                        )}
+                      </span>
+                      <div className="flex items-center space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => move(index, index - 1)}
+                          disabled={index === 0}
+                          className="p-1 text-gray-400 hover:text-gray-700 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move up"
+                        >
+                          <ChevronUp className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => move(index, index + 1)}
+                          disabled={index === fields.length - 1}
+                          className="p-1 text-gray-400 hover:text-gray-700 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+                          title="Move down"
+                        >
+                          <ChevronDown className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeSignatory(index)}
+                          className="p-1 text-gray-400 hover:text-red-600 rounded"
+                          title="Remove signatory"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <div>
+                        <input
+                          type="text"
+                          {...register(`signatories.${index}.name`, {
+                            required: 'Name is required'
+                          })}
+                          className={`input-field ${errors.signatories?.[index]?.name ? 'border-red-500' : ''}`}
+                          placeholder="Full name *"
+                        />
+                        {errors.signatories?.[index]?.name && (
+                          <p className="mt-1 text-sm text-red-600">{errors.signatories[index].name.message}</p>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        {...register(`signatories.${index}.position`)}
+                        className="input-field"
+                        placeholder="Position/Title"
+                      />
+                      <input
+                        type="email"
+                        {...register(`signatories.${index}.email`)}
+                        className="input-field"
+                        placeholder="Email address"
+                      />
+                      <input
+                        type="tel"
+                        {...register(`signatories.${index}.phone`)}
+                        className="input-field"
+                        placeholder="Phone number"
+                      />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 border-t border-gray-200 flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </>
+              ) : (
+                'Save Changes'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default EditDocumentModal
\ No newline at end of file
@@ -0,0 +1,75 @@
+import React, { useState } from 'react'
+import { Upload } from 'lucide-react'
+import { DOCUMENT_FILE_ACCEPT, DOCUMENT_FILE_TYPES_LABEL, MAX_DOCUMENT_FILE_SIZE_MB } from '../lib/supabase'
+
+// Pick document files by browsing or by dropping them onto the box
+const FileDropZone = ({ id, onFiles, multiple = false, disabled = false, label = 'Upload a file', compact = false }) => {
+  const [dragging, setDragging] = useState(false)
+
+  const handleDragOver = (event) => {
+    event.preventDefault()
+    if (!disabled) setDragging(true)
+  }
+
+  const handleDragLeave = (event) => {
+    // Moving between child elements fires dragleave too
+    if (!event.currentTarget.contains(event.relatedTarget)) setDragging(false)
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setDragging(false)
+    if (disabled) return
+
+    const files = Array.from(event.dataTransfer.files)
+    if (files.length > 0) onFiles(multiple ? files : files.slice(0, 1))
+  }
+
+  const handleChange = (event) => {
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    if (files.length > 0) onFiles(files)
+  }
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={`flex justify-center px-6 ${compact ? 'py-4' : 'pt-8 pb-8'} border-3 border-dashed rounded-xl transition-all duration-300 group ${
+        dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 bg-gray-50 hover:border-blue-400 hover:bg-blue-50'
+      } ${disabled ? 'opacity-50' : ''}`}
+    >
+      <div className={`text-center ${compact ? 'space-y-1' : 'space-y-3'}`}>
+        {!compact && (
+          <div className="flex justify-center">
+            <Upload className={`h-12 w-12 transition-colors duration-300 ${dragging ? 'text-blue-500' : 'text-gray-400 group-hover:text-blue-500'}`} />
+          </div>
+        )}
+        <div className="flex justify-center text-sm text-gray-600">
+          <label
+            htmlFor={id}
+            className={`relative bg-white rounded-md font-semibold text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500 px-3 py-1 ${disabled ? 'cursor-not-allowed' : 'cursor-pointer'}`}
+          >
+            <span>{label}</span>
+            <input
+              id={id}
+              type="file"
+              multiple={multiple}
+              className="sr-only"
+              accept={DOCUMENT_FILE_ACCEPT}
+              onChange={handleChange}
+              disabled={disabled}
+            />
+          </label>
+          <p className="pl-1 self-center">or drag and drop</p>
+        </div>
+        <p className="text-xs text-gray-500">
+          {DOCUMENT_FILE_TYPES_LABEL} up to {MAX_DOCUMENT_FILE_SIZE_MB}MB
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default FileDropZone
\ No newline at end of file
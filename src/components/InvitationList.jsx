@@ -0,0 +1,169 @@
+import React, { useState } from 'react'
+import { supabase, getInvitationLink, getInvitationStatus, sendInvitationEmail } from '../lib/supabase'
+import { Shield, User, Copy, Send, Ban, Clock, CheckCircle, XCircle } from 'lucide-react'
+import { format } from 'date-fns'
+import LoadingSpinner from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const getStatusBadge = (status) => {
+  const baseClasses = "inline-flex items-center px-2 py-1 rounded-full text-xs font-medium"
+  switch (status) {
+    case 'accepted':
+      return <span className={`${baseClasses} bg-green-100 text-green-800`}><CheckCircle className="h-3 w-3 mr-1" />Accepted</span>
+    case 'expired':
+      return <span className={`${baseClasses} bg-gray-100 text-gray-800`}><XCircle className="h-3 w-3 mr-1" />Expired</span>
+    case 'revoked':
+      return <span className={`${baseClasses} bg-red-100 text-red-800`}><Ban className="h-3 w-3 mr-1" />Revoked</span>
+    default:
+      return <span className={`${baseClasses} bg-yellow-100 text-yellow-800`}><Clock className="h-3 w-3 mr-1" />Pending</span>
+  }
+}
+
+const getStatusDetail = (invitation, status) => {
+  switch (status) {
+    case 'accepted':
+      return `Accepted ${format(new Date(invitation.accepted_at), 'MMM d, yyyy')}`
+    case 'revoked':
+      return `Revoked ${format(new Date(invitation.revoked_at), 'MMM d, yyyy')}`
+    case 'expired':
+      return `Expired ${format(new Date(invitation.expires_at), 'MMM d, yyyy')}`
+    default:
+      return `Expires ${format(new Date(invitation.expires_at), 'MMM d, yyyy \'at\' h:mm a')}`
+  }
+}
+
+// Invitation rows with copy, resend and revoke actions, shared by the
+// Invitations page and the pending list in User Management
+const InvitationList = ({ invitations, roles, onChange }) => {
+  const [busyInvitationId, setBusyInvitationId] = useState(null)
+
+  const getRoleName = (key) => {
+    return roles.find(role => role.key === key)?.name || key
+  }
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link)
+      toast.success('Invitation link copied')
+    } catch (error) {
+      console.error('Error copying link:', error)
+      toast.error('Failed to copy link')
+    }
+  }
+
+  const resendInvitation = async (invitation) => {
+    try {
+      setBusyInvitationId(invitation.id)
+
+      // Expired invitations get a fresh expiry before the email goes out
+      const { error } = await supabase.rpc('renew_invitation', {
+        p_invitation_id: invitation.id
+      })
+
+      if (error) throw error
+
+      await sendInvitationEmail(invitation.id)
+
+      toast.success(`Invitation resent to ${invitation.email}`)
+      onChange()
+    } catch (error) {
+      console.error('Error resending invitation:', error)
+      toast.error(`Failed to resend invitation: ${error.message}`)
+    } finally {
+      setBusyInvitationId(null)
+    }
+  }
+
+  const revokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}? The link will stop working immediately.`)) return
+
+    try {
+      setBusyInvitationId(invitation.id)
+
+      const { error } = await supabase.rpc('revoke_invitation', {
+        p_invitation_id: invitation.id
+      })
+
+      if (error) throw error
+
+      toast.success('Invitation revoked')
+      onChange()
+    } catch (error) {
+      console.error('Error revoking invitation:', error)
+      toast.error(`Failed to revoke invitation: ${error.message}`)
+    } finally {
+      setBusyInvitationId(null)
+    }
+  }
+
+  return (
+    <div className="divide-y divide-gray-200">
+      {invitations.map((invitation) => {
+        const status = getInvitationStatus(invitation)
+        const isOpen = status === 'pending' || status === 'expired'
+
+        return (
+          <div key={invitation.id} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <div className="flex items-center space-x-2">
+                <span className="font-medium text-gray-900">{invitation.email}</span>
+                <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                  invitation.role === 'admin' ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-700'
+                }`}>
+                  {invitation.role === 'admin' ? <Shield className="h-3 w-3 mr-1" /> : <User className="h-3 w-3 mr-1" />}
+                  {getRoleName(invitation.role)}
+                </span>
+                {getStatusBadge(status)}
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                Invited by {invitation.created_by_user?.full_name || 'Unknown'} on {format(new Date(invitation.created_at), 'MMM d, yyyy')}
+                {' • '}
+                {getStatusDetail(invitation, status)}
+                {invitation.last_sent_at && isOpen && (
+                  <>
+                    {' • '}
+                    Emailed {invitation.send_count} {invitation.send_count === 1 ? 'time' : 'times'}, last on {format(new Date(invitation.last_sent_at), 'MMM d')}
+                  </>
+                )}
+              </p>
+            </div>
+
+            {isOpen && (
+              busyInvitationId === invitation.id ? (
+                <LoadingSpinner size="sm" />
+              ) : (
+                <div className="flex items-center space-x-2">
+                  {status === 'pending' && (
+                    <button
+                      onClick={() => copyLink(getInvitationLink(invitation.token))}
+                      className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
+                      title="Copy invitation link"
+                    >
+                      <Copy className="h-5 w-5" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => resendInvitation(invitation)}
+                    className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
+                    title="Resend invitation email"
+                  >
+                    <Send className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => revokeInvitation(invitation)}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Revoke invitation"
+                  >
+                    <Ban className="h-5 w-5" />
+                  </button>
+                </div>
+              )
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default InvitationList
\ No newline at end of file
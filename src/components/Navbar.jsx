@@ -1,11 +1,13 @@
 import React from 'react'
 import { Link, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { LogOut, FileText, User, Shield } from 'lucide-react'
+import { LogOut, FileText, Shield } from 'lucide-react'
 import NotificationDropdown from './NotificationDropdown'
+import OrganizationSwitcher from './OrganizationSwitcher'
+import UserAvatar from './UserAvatar'
 
 const Navbar = () => {
-  const { user, profile, signOut } = useAuth()
+  const { user, profile, isAdmin, can, mfaRequired, signOut } = useAuth()
   const navigate = useNavigate()
 
   const handleSignOut = async () => {
@@ -13,7 +15,7 @@ const Navbar = () => {
     navigate('/signin')
   }
 
-  if (!user) {
+  if (!user || mfaRequired) {
     return null
   }
 
@@ -27,6 +29,9 @@ const Navbar = () => {
               <FileText className="h-8 w-8 text-primary-600" />
               <span className="text-xl font-bold text-gray-900">Document Tracker</span>
             </Link>
+            <div className="ml-4">
+              <OrganizationSwitcher />
+            </div>
           </div>
 
           {/* Navigation Links */}
@@ -37,24 +42,76 @@ const Navbar = () => {
             >
               Dashboard
             </Link>
+            {can('member.manage') && (
+              <Link
+                to="/admin/users"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Users
+              </Link>
+            )}
+            {can('member.manage') && (
+              <Link
+                to="/admin/invitations"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Invitations
+              </Link>
+            )}
+            {isAdmin && (
+              <Link
+                to="/admin/roles"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Roles
+              </Link>
+            )}
+            {isAdmin && (
+              <Link
+                to="/admin/categories"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Categories
+              </Link>
+            )}
+            {can('document.create') && (
+              <Link
+                to="/templates"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Templates
+              </Link>
+            )}
             <Link
-              to="/create-document"
-              className="btn-primary text-sm"
+              to="/trash"
+              className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
             >
-              New Document
+              Trash
             </Link>
+            {can('document.create') && (
+              <Link
+                to="/create-document"
+                className="btn-primary text-sm"
+              >
+                New Document
+              </Link>
+            )}
           </div>
 
           {/* User Profile */}
           <div className="flex items-center space-x-4">
             {profile && (
               <div className="flex items-center space-x-2">
-                <div className="flex items-center space-x-1 px-3 py-1 bg-gray-100 rounded-full">
-                  <User className="h-4 w-4 text-gray-600" />
+                <Link
+                  to="/settings/profile"
+                  className="flex items-center space-x-2 pl-1 pr-3 py-1 bg-gray-100 hover:bg-gray-200 rounded-full transition-colors"
+                  title="Profile settings"
+                >
+                  <UserAvatar user={profile} size="sm" />
                   <span className="text-sm text-gray-700">{profile.full_name}</span>
-                </div>
+                </Link>
                 
-                {profile.role === 'admin' && (
+                {isAdmin && (
                   <div className="flex items-center space-x-1 px-2 py-1 bg-primary-100 text-primary-700 rounded-full">
                     <Shield className="h-3 w-3" />
                     <span className="text-xs font-medium">Admin</span>
@@ -86,12 +143,60 @@ const Navbar = () => {
             >
               Dashboard
             </Link>
+            {can('member.manage') && (
+              <Link
+                to="/admin/users"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Users
+              </Link>
+            )}
+            {can('member.manage') && (
+              <Link
+                to="/admin/invitations"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Invitations
+              </Link>
+            )}
+            {isAdmin && (
+              <Link
+                to="/admin/roles"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Roles
+              </Link>
+            )}
+            {isAdmin && (
+              <Link
+                to="/admin/categories"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Categories
+              </Link>
+            )}
+            {can('document.create') && (
+              <Link
+                to="/templates"
+                className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+              >
+                Templates
+              </Link>
+            )}
             <Link
-              to="/create-document"
-              className="btn-primary text-sm inline-flex justify-center"
+              to="/trash"
+              className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium transition-colors"
             >
-              New Document
+              Trash
             </Link>
+            {can('document.create') && (
+              <Link
+                to="/create-document"
+                className="btn-primary text-sm inline-flex justify-center"
+              >
+                New Document
+              </Link>
+            )}
           </div>
         </div>
       </div>
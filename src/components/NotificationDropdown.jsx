@@ -45,6 +45,10 @@ export default function NotificationDropdown() {
         return '👑';
       case 'comment_added':
         return '💬';
+      case 'invitation_accepted':
+        return '🤝';
+      case 'deadline_passed':
+        return '⏰';
       default:
         return '🔔';
     }
@@ -64,6 +68,10 @@ export default function NotificationDropdown() {
         return 'bg-purple-100 text-purple-800';
       case 'comment_added':
         return 'bg-gray-100 text-gray-800';
+      case 'invitation_accepted':
+        return 'bg-emerald-100 text-emerald-800';
+      case 'deadline_passed':
+        return 'bg-orange-100 text-orange-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
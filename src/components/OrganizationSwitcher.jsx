@@ -0,0 +1,85 @@
+import React, { useState, useRef, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { Building2, ChevronDown, Check, Plus } from 'lucide-react'
+
+const OrganizationSwitcher = () => {
+  const [isOpen, setIsOpen] = useState(false)
+  const dropdownRef = useRef(null)
+  const navigate = useNavigate()
+  const { organizations, currentOrganization, switchOrganization } = useAuth()
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const handleSelect = (organizationId) => {
+    setIsOpen(false)
+    if (organizationId === currentOrganization?.id) return
+    switchOrganization(organizationId)
+    navigate('/dashboard')
+  }
+
+  if (!currentOrganization) {
+    return null
+  }
+
+  return (
+    <div className="relative" ref={dropdownRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-1 px-3 py-1 border border-gray-200 rounded-full text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+        title="Switch club"
+      >
+        <Building2 className="h-4 w-4 text-primary-600" />
+        <span className="max-w-[10rem] truncate">{currentOrganization.name}</span>
+        <ChevronDown className="h-4 w-4 text-gray-400" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 mt-2 w-64 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="px-4 py-2 border-b border-gray-100 text-xs font-medium text-gray-500 uppercase tracking-wider">
+            Your clubs
+          </div>
+          <div className="max-h-64 overflow-y-auto py-1">
+            {organizations.map((organization) => (
+              <button
+                key={organization.id}
+                onClick={() => handleSelect(organization.id)}
+                className="w-full flex items-center justify-between px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50"
+              >
+                <span className="truncate">
+                  {organization.name}
+                  {organization.role === 'admin' && (
+                    <span className="ml-2 text-xs text-primary-600">Admin</span>
+                  )}
+                </span>
+                {organization.id === currentOrganization.id && (
+                  <Check className="h-4 w-4 text-primary-600 flex-shrink-0" />
+                )}
+              </button>
+            ))}
+          </div>
+          <Link
+            to="/organizations/new"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center px-4 py-2 border-t border-gray-100 text-sm text-primary-600 hover:bg-gray-50 rounded-b-lg"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Create a club
+          </Link>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OrganizationSwitcher
\ No newline at end of file
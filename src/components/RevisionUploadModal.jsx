@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, validateDocumentFile, uploadDocumentFile, hashFile, findDocumentsByHash } from '../lib/supabase'
+import { isUploadCancelled } from '../lib/resumableUpload'
+import { stripImageMetadata } from '../lib/fileInspection'
+import { Upload, X, FileText } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import FileDropZone from './FileDropZone'
+import UploadProgress from './UploadProgress'
+import toast from 'react-hot-toast'
+
+// Upload a new revision of a document's file with a change note
+const RevisionUploadModal = ({ document, onClose, onUploaded }) => {
+  const { user } = useAuth()
+  const [file, setFile] = useState(null)
+  const [changeNote, setChangeNote] = useState('')
+  const [resetSignatures, setResetSignatures] = useState(document.reset_signatures_on_revision)
+  const [uploading, setUploading] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const abortRef = useRef(null)
+
+  useEffect(() => {
+    return () => abortRef.current?.abort()
+  }, [])
+
+  const handleFileChange = async ([selectedFile]) => {
+    const validationError = await validateDocumentFile(selectedFile)
+    if (validationError) {
+      toast.error(validationError)
+      return
+    }
+
+    setFile(selectedFile)
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!file) {
+      toast.error('Please choose a file for the new revision')
+      return
+    }
+
+    setUploading(true)
+    let uploadedFile = null
+    try {
+      // The fingerprint is of the file as stored, without its metadata
+      const storedFile = await stripImageMetadata(file)
+      const hash = await hashFile(storedFile)
+
+      if (hash === document.file_hash) {
+        toast.error('This file is identical to the current revision')
+        return
+      }
+
+      const duplicates = await findDocumentsByHash(document.organization_id, hash, document.id)
+      if (duplicates.length > 0 && !window.confirm(
+        `This exact file is already tracked as ${duplicates.map(doc => `"${doc.name}"`).join(', ')}. Upload it as a revision anyway?`
+      )) return
+
+      abortRef.current = new AbortController()
+      setProgress({ fileName: file.name, loaded: 0, total: file.size, retrying: false })
+      uploadedFile = await uploadDocumentFile(document.organization_id, user.id, storedFile, {
+        onProgress: (update) => setProgress({ fileName: file.name, ...update }),
+        signal: abortRef.current.signal
+      })
+      setProgress(null)
+
+      const { data: version, error } = await supabase.rpc('upload_document_revision', {
+        p_document_id: document.id,
+        p_file_url: uploadedFile.path,
+        p_file_name: uploadedFile.name,
+        p_file_hash: hash,
+        p_change_note: changeNote,
+        p_reset_signatures: resetSignatures
+      })
+
+      if (error) throw error
+
+      toast.success(`Revision ${version} uploaded`)
+      onUploaded()
+    } catch (error) {
+      if (isUploadCancelled(error)) {
+        toast('Upload cancelled')
+        return
+      }
+      console.error('Error uploading revision:', error)
+      toast.error(`Failed to upload revision: ${error.message}`)
+
+      // Don't leave an orphaned file behind when the revision was not recorded
+      if (uploadedFile) {
+        await supabase.storage
+          .from('documents')
+          .remove([uploadedFile.path])
+      }
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+      setUploading(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full" role="dialog" aria-labelledby="revision-upload-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="revision-upload-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <Upload className="h-5 w-5 mr-2 text-primary-600" />
+            Upload New Revision
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={uploading}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+          {document.file_url ? (
+            <p className="text-sm text-gray-600">
+              The current file, <span className="font-medium text-gray-900">{document.file_name}</span> (revision {document.current_version}),
+              stays available in the version history.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-600">
+              This document has no file yet. The upload becomes revision 1.
+            </p>
+          )}
+
+          <div>
+            <p className="block text-sm font-medium text-gray-700 mb-1">
+              New File
+            </p>
+            {progress ? (
+              <UploadProgress
+                {...progress}
+                onCancel={() => abortRef.current?.abort()}
+              />
+            ) : file ? (
+              <div className="flex items-center justify-between p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <p className="text-sm text-gray-700 flex items-center min-w-0">
+                  <FileText className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                  <span className="truncate">{file.name}</span>
+                  <span className="ml-1 flex-shrink-0">({(file.size / 1024 / 1024).toFixed(2)} MB)</span>
+                </p>
+                <button
+                  type="button"
+                  onClick={() => setFile(null)}
+                  disabled={uploading}
+                  className="ml-3 p-1 text-gray-400 hover:text-gray-600 rounded flex-shrink-0"
+                  title="Choose another file"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ) : (
+              <FileDropZone
+                id="revision-file"
+                onFiles={handleFileChange}
+                label="Choose a file"
+                compact
+              />
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="change-note" className="block text-sm font-medium text-gray-700 mb-1">
+              What Changed
+            </label>
+            <textarea
+              id="change-note"
+              rows={3}
+              value={changeNote}
+              onChange={(e) => setChangeNote(e.target.value)}
+              className="input-field resize-none"
+              placeholder="e.g., Updated the budget figures on page 2"
+            />
+          </div>
+
+          <div className="flex items-start space-x-3 p-4 bg-gray-50 rounded-lg">
+            <div className="flex items-center h-5">
+              <input
+                id="reset-signatures"
+                type="checkbox"
+                checked={resetSignatures}
+                onChange={(e) => setResetSignatures(e.target.checked)}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+            </div>
+            <div className="text-sm">
+              <label htmlFor="reset-signatures" className="font-semibold text-gray-700">
+                Reset collected signatures
+              </label>
+              <p className="text-gray-500 mt-1">
+                Signatories who already signed will have to sign this revision again.
+              </p>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={uploading}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={uploading || !file}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {uploading ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Uploading...
+                </>
+              ) : (
+                'Upload Revision'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default RevisionUploadModal
\ No newline at end of file
@@ -0,0 +1,158 @@
+import React, { useState } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase } from '../lib/supabase'
+import { Copy, X } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Save a document's settings and signatory chain as a reusable template
+const SaveTemplateModal = ({ document, signatories, onClose }) => {
+  const { user } = useAuth()
+  const [saving, setSaving] = useState(false)
+  const { register, handleSubmit, formState: { errors } } = useForm({
+    defaultValues: {
+      name: document.name,
+      name_pattern: document.name
+    }
+  })
+
+  const onSubmit = async (data) => {
+    setSaving(true)
+    try {
+      const { error } = await supabase
+        .from('document_templates')
+        .insert([{
+          organization_id: document.organization_id,
+          name: data.name.trim(),
+          name_pattern: data.name_pattern.trim(),
+          description: document.description || null,
+          requires_admin_approval: document.requires_admin_approval,
+          reset_signatures_on_revision: document.reset_signatures_on_revision,
+          signatories: signatories.map(sig => ({
+            name: sig.name,
+            position: sig.position || '',
+            email: sig.email || '',
+            phone: sig.phone || ''
+          })),
+          created_by: user.id
+        }])
+
+      if (error?.code === '23505') {
+        toast.error('A template with this name already exists')
+        return
+      }
+      if (error) throw error
+
+      toast.success(`Template "${data.name.trim()}" saved`)
+      onClose()
+    } catch (error) {
+      console.error('Error saving template:', error)
+      toast.error(`Failed to save template: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full" role="dialog" aria-labelledby="save-template-title">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 id="save-template-title" className="text-lg font-semibold text-gray-900 flex items-center">
+            <Copy className="h-5 w-5 mr-2 text-primary-600" />
+            Save as Template
+          </h2>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            className="p-1 text-gray-400 hover:text-gray-600 rounded"
+            title="Close"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            The template keeps this document's description, approval setting and its {signatories.length} {signatories.length === 1 ? 'signatory' : 'signatories'} in order. The file is not included.
+          </p>
+
+          <div>
+            <label htmlFor="template-name" className="block text-sm font-medium text-gray-700 mb-1">
+              Template Name
+            </label>
+            <input
+              id="template-name"
+              type="text"
+              {...register('name', {
+                required: 'Template name is required',
+                maxLength: {
+                  value: 255,
+                  message: 'Template name must be at most 255 characters'
+                }
+              })}
+              className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+              placeholder="e.g., Event Permission Form"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="template-name-pattern" className="block text-sm font-medium text-gray-700 mb-1">
+              Document Name Pattern
+            </label>
+            <input
+              id="template-name-pattern"
+              type="text"
+              {...register('name_pattern', {
+                required: 'Name pattern is required',
+                maxLength: {
+                  value: 255,
+                  message: 'Name pattern must be at most 255 characters'
+                }
+              })}
+              className={`input-field ${errors.name_pattern ? 'border-red-500' : ''}`}
+              placeholder="e.g., Reimbursement Claim - {month}"
+            />
+            {errors.name_pattern ? (
+              <p className="mt-1 text-sm text-red-600">{errors.name_pattern.message}</p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500">
+                Use {'{date}'}, {'{month}'} or {'{year}'} to fill in the date the document is created.
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </>
+              ) : (
+                'Save Template'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default SaveTemplateModal
\ No newline at end of file
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { Clock } from 'lucide-react'
+import { UPLOAD_PROGRESS_EVENT } from '../lib/resumableUpload'
+
+// Minutes without activity before signing out; 0 turns the timeout off
+const IDLE_TIMEOUT_MINUTES = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30)
+// How long the warning is shown before the sign-out happens
+const IDLE_WARNING_SECONDS = Number(import.meta.env.VITE_IDLE_WARNING_SECONDS ?? 60)
+
+// Shared through localStorage so activity in any tab keeps every tab signed in
+const LAST_ACTIVITY_KEY = 'lastActivityAt'
+// A running upload counts too, so nobody is signed out while a large file goes up
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', UPLOAD_PROGRESS_EVENT]
+
+const getLastActivity = () => {
+  return Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now()
+}
+
+const recordActivity = () => {
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(Date.now()))
+}
+
+const SessionTimeout = () => {
+  const { user, signOut } = useAuth()
+  const navigate = useNavigate()
+  const [secondsLeft, setSecondsLeft] = useState(null)
+  const warningRef = useRef(false)
+
+  const enabled = !!user && IDLE_TIMEOUT_MINUTES > 0
+
+  useEffect(() => {
+    if (!enabled) return
+
+    // A stored time older than the timeout means the browser was left idle
+    // while closed, and the first check signs out straight away
+    if (!localStorage.getItem(LAST_ACTIVITY_KEY)) {
+      recordActivity()
+    }
+
+    // Activity is throttled to one write every few seconds, and ignored
+    // while the warning is up so only "Stay signed in" dismisses it
+    let lastWrite = 0
+    const handleActivity = () => {
+      const now = Date.now()
+      if (warningRef.current || now - lastWrite < 5000) return
+      lastWrite = now
+      recordActivity()
+    }
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }))
+
+    const interval = setInterval(() => {
+      const remaining = Math.ceil((getLastActivity() + IDLE_TIMEOUT_MINUTES * 60 * 1000 - Date.now()) / 1000)
+
+      if (remaining <= 0) {
+        clearInterval(interval)
+        warningRef.current = false
+        setSecondsLeft(null)
+        signOut(`You were signed out after ${IDLE_TIMEOUT_MINUTES} minutes of inactivity`)
+        navigate('/signin')
+        return
+      }
+
+      warningRef.current = remaining <= IDLE_WARNING_SECONDS
+      setSecondsLeft(warningRef.current ? remaining : null)
+    }, 1000)
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity))
+      clearInterval(interval)
+      warningRef.current = false
+      setSecondsLeft(null)
+      // Signed out, here or in another tab; the next sign-in starts afresh
+      localStorage.removeItem(LAST_ACTIVITY_KEY)
+    }
+  }, [enabled])
+
+  const staySignedIn = () => {
+    recordActivity()
+    warningRef.current = false
+    setSecondsLeft(null)
+  }
+
+  const handleSignOut = async () => {
+    await signOut()
+    navigate('/signin')
+  }
+
+  if (secondsLeft === null) return null
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 px-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-md w-full p-6" role="alertdialog" aria-labelledby="session-timeout-title">
+        <div className="flex items-center mb-4">
+          <Clock className="h-6 w-6 text-amber-500 mr-3" />
+          <h2 id="session-timeout-title" className="text-lg font-semibold text-gray-900">Are you still there?</h2>
+        </div>
+        <p className="text-gray-600 mb-6">
+          You will be signed out in <span className="font-semibold text-gray-900">{secondsLeft}</span> {secondsLeft === 1 ? 'second' : 'seconds'} because of inactivity.
+        </p>
+        <div className="flex justify-end space-x-3">
+          <button onClick={handleSignOut} className="btn-secondary">
+            Sign out
+          </button>
+          <button onClick={staySignedIn} className="btn-primary">
+            Stay signed in
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SessionTimeout
\ No newline at end of file
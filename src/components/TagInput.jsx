@@ -0,0 +1,68 @@
+import React, { useState } from 'react'
+import { X } from 'lucide-react'
+import { normalizeTag, MAX_TAG_LENGTH } from '../lib/supabase'
+
+// Free-form tag entry: Enter or a comma adds the typed tag, Backspace on an
+// empty field removes the last one, and tags already used in the club are suggested
+const TagInput = ({ id, value = [], onChange, suggestions = [], placeholder = 'Add a tag...' }) => {
+  const [text, setText] = useState('')
+
+  const addTag = (raw) => {
+    const tag = normalizeTag(raw)
+    setText('')
+    if (!tag || value.includes(tag)) return
+    onChange([...value, tag])
+  }
+
+  const removeTag = (tag) => {
+    onChange(value.filter(t => t !== tag))
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' || event.key === ',') {
+      event.preventDefault()
+      addTag(text)
+    } else if (event.key === 'Backspace' && !text && value.length > 0) {
+      removeTag(value[value.length - 1])
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 w-full px-3 py-2 rounded-lg border-2 border-gray-200 hover:border-gray-300 focus-within:border-blue-500 focus-within:ring-2 focus-within:ring-blue-500 transition-all duration-200 bg-white">
+      {value.map(tag => (
+        <span key={tag} className="inline-flex items-center px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">
+          #{tag}
+          <button
+            type="button"
+            onClick={() => removeTag(tag)}
+            className="ml-1 text-gray-400 hover:text-gray-700"
+            title={`Remove ${tag}`}
+          >
+            <X className="h-3 w-3" />
+          </button>
+        </span>
+      ))}
+      <input
+        id={id}
+        type="text"
+        value={text}
+        maxLength={MAX_TAG_LENGTH}
+        list={id ? `${id}-suggestions` : undefined}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text && addTag(text)}
+        className="flex-1 min-w-[8rem] py-1 text-sm focus:outline-none"
+        placeholder={value.length === 0 ? placeholder : ''}
+      />
+      {id && (
+        <datalist id={`${id}-suggestions`}>
+          {suggestions.filter(tag => !value.includes(tag)).map(tag => (
+            <option key={tag} value={tag} />
+          ))}
+        </datalist>
+      )}
+    </div>
+  )
+}
+
+export default TagInput
\ No newline at end of file
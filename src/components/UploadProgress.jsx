@@ -0,0 +1,50 @@
+import React from 'react'
+import { X } from 'lucide-react'
+
+const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(2)
+
+// Progress bar for a file upload, with a button to cancel it
+const UploadProgress = ({ fileName, loaded, total, retrying = false, detail, onCancel }) => {
+  const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : 0
+
+  return (
+    <div className="p-4 bg-blue-50 border-2 border-blue-200 rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm text-gray-800 font-medium truncate">
+          {fileName}
+          {detail && <span className="ml-2 text-xs text-gray-500 font-normal">{detail}</span>}
+        </span>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="ml-3 p-1 text-gray-500 hover:text-red-600 hover:bg-red-100 rounded transition-colors flex-shrink-0"
+            title="Cancel upload"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      <div
+        className="w-full h-2 bg-blue-100 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-label={`Uploading ${fileName}`}
+      >
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${retrying ? 'bg-yellow-500' : 'bg-blue-600'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <p className="mt-1 text-xs text-gray-600">
+        {retrying
+          ? `Connection lost at ${percent}%, retrying...`
+          : `${percent}% · ${toMegabytes(loaded)} of ${toMegabytes(total)} MB`}
+      </p>
+    </div>
+  )
+}
+
+export default UploadProgress
\ No newline at end of file
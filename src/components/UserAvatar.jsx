@@ -0,0 +1,35 @@
+import React from 'react'
+
+// Profile picture, falling back to the user's initials
+const UserAvatar = ({ user, size = 'md', className = '' }) => {
+  const sizeClasses = {
+    sm: 'w-6 h-6 text-xs',
+    md: 'w-10 h-10 text-sm',
+    lg: 'w-20 h-20 text-2xl'
+  }
+
+  const initials = (user?.full_name || '?')
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('')
+
+  if (user?.avatar_url) {
+    return (
+      <img
+        src={user.avatar_url}
+        alt={user.full_name}
+        className={`${sizeClasses[size]} rounded-full object-cover flex-shrink-0 ${className}`}
+      />
+    )
+  }
+
+  return (
+    <div className={`${sizeClasses[size]} rounded-full bg-purple-100 text-purple-700 font-semibold flex items-center justify-center flex-shrink-0 ${className}`}>
+      {initials}
+    </div>
+  )
+}
+
+export default UserAvatar
\ No newline at end of file
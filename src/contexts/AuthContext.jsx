@@ -1,9 +1,14 @@
-import React, { createContext, useContext, useEffect, useState } from 'react'
-import { supabase, getCurrentUserProfile } from '../lib/supabase'
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react'
+import { supabase, getCurrentUserProfile, getUserOrganizations } from '../lib/supabase'
 import toast from 'react-hot-toast'
 
 const AuthContext = createContext({})
 
+const CURRENT_ORGANIZATION_KEY = 'currentOrganizationId'
+
+// Tabs tell each other about sign-outs and account switches on this channel
+const AUTH_CHANNEL_NAME = 'document-tracker-auth'
+
 export const useAuth = () => {
   const context = useContext(AuthContext)
   if (!context) {
@@ -16,15 +21,42 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [profile, setProfile] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [passwordRecovery, setPasswordRecovery] = useState(false)
+  const [organizations, setOrganizations] = useState([])
+  const [assuranceLevel, setAssuranceLevel] = useState({ currentLevel: null, nextLevel: null })
+  const [currentOrganizationId, setCurrentOrganizationId] = useState(
+    () => localStorage.getItem(CURRENT_ORGANIZATION_KEY)
+  )
+  // Read by the cross-tab listener, which outlives any single render
+  const currentUserIdRef = useRef(null)
+  const authChannelRef = useRef(null)
 
   useEffect(() => {
+    // Load the profile, signing out accounts an admin has deactivated
+    const loadProfile = async (sessionUser) => {
+      const userProfile = await getCurrentUserProfile()
+
+      if (userProfile && !userProfile.is_active) {
+        await supabase.auth.signOut()
+        toast.error('Your account has been deactivated. Please contact a club administrator.')
+        return
+      }
+
+      const userOrganizations = await getUserOrganizations(sessionUser.id)
+      const { data: aal } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+
+      currentUserIdRef.current = sessionUser.id
+      setUser(sessionUser)
+      setProfile(userProfile)
+      setOrganizations(userOrganizations)
+      setAssuranceLevel({ currentLevel: aal?.currentLevel, nextLevel: aal?.nextLevel })
+    }
+
     // Get initial session
     const getInitialSession = async () => {
       const { data: { session } } = await supabase.auth.getSession()
       if (session?.user) {
-        setUser(session.user)
-        const userProfile = await getCurrentUserProfile()
-        setProfile(userProfile)
+        await loadProfile(session.user)
       }
       setLoading(false)
     }
@@ -34,31 +66,129 @@ export const AuthProvider = ({ children }) => {
     // Listen for auth changes
     const { data: { subscription } } = supabase.auth.onAuthStateChange(
       async (event, session) => {
+        // Set when the user arrives from a password reset email
+        if (event === 'PASSWORD_RECOVERY') {
+          setPasswordRecovery(true)
+        }
+
         if (session?.user) {
-          setUser(session.user)
-          const userProfile = await getCurrentUserProfile()
-          setProfile(userProfile)
+          const userChanged = session.user.id !== currentUserIdRef.current
+          await loadProfile(session.user)
+
+          if (event === 'SIGNED_IN' && userChanged) {
+            authChannelRef.current?.postMessage({ type: 'user_changed', userId: session.user.id })
+          }
         } else {
+          currentUserIdRef.current = null
           setUser(null)
           setProfile(null)
+          setOrganizations([])
+          setAssuranceLevel({ currentLevel: null, nextLevel: null })
         }
         setLoading(false)
       }
     )
 
-    return () => subscription.unsubscribe()
+    // Follow sign-outs and account switches made in other tabs. The session
+    // in storage is already gone or replaced, so only this tab's state changes.
+    const channel = 'BroadcastChannel' in window ? new BroadcastChannel(AUTH_CHANNEL_NAME) : null
+    if (channel) {
+      channel.onmessage = async ({ data: message }) => {
+        if (message.type === 'signed_out' && currentUserIdRef.current) {
+          await supabase.auth.signOut({ scope: 'local' })
+          setPasswordRecovery(false)
+        }
+
+        if (message.type === 'user_changed' && message.userId !== currentUserIdRef.current) {
+          const { data: { session } } = await supabase.auth.getSession()
+          if (session?.user) {
+            await loadProfile(session.user)
+          }
+        }
+      }
+    }
+    authChannelRef.current = channel
+
+    return () => {
+      subscription.unsubscribe()
+      channel?.close()
+      authChannelRef.current = null
+    }
   }, [])
 
-  const signUp = async (email, password, fullName, role = 'member') => {
+  // Fall back to the first organization when the stored one is no longer available
+  const currentOrganization = organizations.find(org => org.id === currentOrganizationId) ||
+    organizations[0] ||
+    null
+
+  // Whether the user's role in the current organization grants a permission
+  const can = (permission) => {
+    if (!currentOrganization) return false
+    return currentOrganization.role === 'admin' || currentOrganization.permissions.includes(permission)
+  }
+
+  const switchOrganization = (organizationId) => {
+    localStorage.setItem(CURRENT_ORGANIZATION_KEY, organizationId)
+    setCurrentOrganizationId(organizationId)
+  }
+
+  const refreshOrganizations = async () => {
+    if (!user) return []
+
+    const userOrganizations = await getUserOrganizations(user.id)
+    setOrganizations(userOrganizations)
+    return userOrganizations
+  }
+
+  const createOrganization = async (name) => {
     try {
+      const { data: organizationId, error } = await supabase.rpc('create_organization', {
+        p_name: name
+      })
+
+      if (error) throw error
+
+      await refreshOrganizations()
+      switchOrganization(organizationId)
+      toast.success(`${name} created!`)
+      return { success: true, organizationId }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const acceptInvitation = async (token) => {
+    try {
+      const { data: organizationId, error } = await supabase.rpc('accept_invitation', {
+        p_token: token
+      })
+
+      if (error) throw error
+
+      await refreshOrganizations()
+      switchOrganization(organizationId)
+      toast.success('Invitation accepted!')
+      return { success: true, organizationId }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const signUp = async (email, password, fullName, inviteToken = null) => {
+    try {
+      // The role is assigned by the database from the invitation, never from the client
+      const metadata = { full_name: fullName }
+      if (inviteToken) {
+        metadata.invite_token = inviteToken
+      }
+
       const { data, error } = await supabase.auth.signUp({
         email,
         password,
         options: {
-          data: {
-            full_name: fullName,
-            role: role
-          }
+          data: metadata
         }
       })
 
@@ -83,6 +213,12 @@ export const AuthProvider = ({ children }) => {
 
       if (error) throw error
 
+      // Accounts with an authenticator app still have to enter a code
+      const { data: aal } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+      if (aal?.nextLevel === 'aal2' && aal?.currentLevel !== 'aal2') {
+        return { success: true, mfaRequired: true }
+      }
+
       toast.success('Welcome back!')
       return { success: true }
     } catch (error) {
@@ -91,14 +227,205 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  const signOut = async () => {
+  const signInWithOtp = async (email) => {
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: {
+          // Magic links are for existing accounts only; new users go through sign-up
+          shouldCreateUser: false,
+          emailRedirectTo: `${window.location.origin}/dashboard`
+        }
+      })
+
+      if (error) throw error
+
+      toast.success('Sign-in link sent! Please check your email.')
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const resetPassword = async (email) => {
+    try {
+      const { error } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: `${window.location.origin}/reset-password`
+      })
+
+      if (error) throw error
+
+      toast.success('Password reset link sent! Please check your email.')
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const updatePassword = async (password) => {
+    try {
+      const { error } = await supabase.auth.updateUser({ password })
+
+      if (error) throw error
+
+      setPasswordRecovery(false)
+      toast.success('Password updated successfully')
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  // Re-read the profile so the navbar and comments pick up changes straight away
+  const refreshProfile = async () => {
+    const userProfile = await getCurrentUserProfile()
+    setProfile(userProfile)
+    return userProfile
+  }
+
+  const updateProfile = async (updates) => {
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', user.id)
+
+      if (error) throw error
+
+      await refreshProfile()
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  // The address only changes once the link sent to the new email is confirmed
+  const updateEmail = async (email) => {
+    try {
+      const { data, error } = await supabase.auth.updateUser(
+        { email },
+        { emailRedirectTo: `${window.location.origin}/settings/profile` }
+      )
+
+      if (error) throw error
+
+      setUser(data.user)
+      toast.success('Confirmation sent! Please check your email to finish the change.')
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const refreshAssuranceLevel = async () => {
+    const { data: aal, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel()
+    if (error) throw error
+
+    setAssuranceLevel({ currentLevel: aal.currentLevel, nextLevel: aal.nextLevel })
+  }
+
+  const listFactors = async () => {
+    const { data, error } = await supabase.auth.mfa.listFactors()
+    if (error) throw error
+
+    return data.totp
+  }
+
+  const enrollTotp = async (friendlyName) => {
+    try {
+      // Clear out enrolments that were started but never verified
+      const factors = await listFactors()
+      for (const factor of factors.filter(f => f.status !== 'verified')) {
+        await supabase.auth.mfa.unenroll({ factorId: factor.id })
+      }
+
+      const { data, error } = await supabase.auth.mfa.enroll({
+        factorType: 'totp',
+        friendlyName
+      })
+
+      if (error) throw error
+
+      return { success: true, factor: data }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  // Verify a code for a factor, raising the session to aal2
+  const verifyTotp = async (factorId, code) => {
+    try {
+      const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code })
+
+      if (error) throw error
+
+      await refreshAssuranceLevel()
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  // Second sign-in step for accounts with a verified authenticator app
+  const verifyMfaChallenge = async (code) => {
+    try {
+      const factors = await listFactors()
+      const factor = factors.find(f => f.status === 'verified')
+      if (!factor) throw new Error('No authenticator app is set up for this account')
+
+      const result = await verifyTotp(factor.id, code)
+      if (result.success) {
+        toast.success('Welcome back!')
+      }
+      return result
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  const unenrollFactor = async (factorId) => {
+    try {
+      const { error } = await supabase.auth.mfa.unenroll({ factorId })
+
+      if (error) throw error
+
+      await supabase.auth.refreshSession()
+      await refreshAssuranceLevel()
+      toast.success('Authenticator app removed')
+      return { success: true }
+    } catch (error) {
+      toast.error(error.message)
+      return { success: false, error }
+    }
+  }
+
+  // Pass a message to explain a sign-out the user did not ask for, such as an idle timeout
+  const signOut = async (message = null) => {
     try {
       const { error } = await supabase.auth.signOut()
       if (error) throw error
       
+      currentUserIdRef.current = null
       setUser(null)
       setProfile(null)
-      toast.success('Signed out successfully')
+      setOrganizations([])
+      setAssuranceLevel({ currentLevel: null, nextLevel: null })
+      setPasswordRecovery(false)
+      authChannelRef.current?.postMessage({ type: 'signed_out' })
+
+      if (message) {
+        toast(message, { icon: '🔒', duration: 6000 })
+      } else {
+        toast.success('Signed out successfully')
+      }
     } catch (error) {
       toast.error(error.message)
     }
@@ -108,10 +435,36 @@ export const AuthProvider = ({ children }) => {
     user,
     profile,
     loading,
+    passwordRecovery,
     signUp,
     signIn,
+    signInWithOtp,
+    resetPassword,
+    updatePassword,
+    refreshProfile,
+    updateProfile,
+    updateEmail,
     signOut,
-    isAdmin: profile?.role === 'admin'
+    organizations,
+    currentOrganization,
+    switchOrganization,
+    refreshOrganizations,
+    createOrganization,
+    acceptInvitation,
+    can,
+    listFactors,
+    enrollTotp,
+    verifyTotp,
+    verifyMfaChallenge,
+    unenrollFactor,
+    // Signed in with a password or link, but the authenticator code is still outstanding
+    mfaRequired: assuranceLevel.nextLevel === 'aal2' && assuranceLevel.currentLevel !== 'aal2',
+    // Session verified with a second factor; required for approvals and deletions
+    isAal2: assuranceLevel.currentLevel === 'aal2',
+    // Admin of the current organization
+    isAdmin: currentOrganization?.role === 'admin',
+    // Platform-wide account administrator
+    isPlatformAdmin: profile?.role === 'admin'
   }
 
   return (
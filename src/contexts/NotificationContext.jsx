@@ -14,7 +14,7 @@ export const useNotifications = () => {
 };
 
 export const NotificationProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { user, currentOrganization } = useAuth();
   const [notifications, setNotifications] = useState([]);
   const [unreadCount, setUnreadCount] = useState(0);
   const [pushSubscription, setPushSubscription] = useState(null);
@@ -32,16 +32,18 @@ export const NotificationProvider = ({ children }) => {
     }
   }, []);
 
-  // Load notifications when user changes
+  // Load notifications when user or club changes. The cleanup removes the
+  // realtime channel, so signing out or switching account in any tab stops
+  // the previous user's subscription.
   useEffect(() => {
     if (user) {
       loadNotifications();
-      subscribeToNotifications();
+      return subscribeToNotifications();
     } else {
       setNotifications([]);
       setUnreadCount(0);
     }
-  }, [user]);
+  }, [user?.id, currentOrganization?.id]);
 
   const initializeServiceWorker = async () => {
     try {
@@ -126,14 +128,28 @@ export const NotificationProvider = ({ children }) => {
     }
   };
 
+  // Notifications belong to a club; ones without a club are shown everywhere
+  const scopeToOrganization = (query) => {
+    if (!currentOrganization) return query;
+    return query.or(`organization_id.eq.${currentOrganization.id},organization_id.is.null`);
+  };
+
+  const belongsToCurrentOrganization = (notification) => {
+    return !currentOrganization ||
+      !notification.organization_id ||
+      notification.organization_id === currentOrganization.id;
+  };
+
   const loadNotifications = async () => {
     if (!user) return;
 
     try {
-      const { data, error } = await supabase
-        .from('notifications')
-        .select('*')
-        .eq('user_id', user.id)
+      const { data, error } = await scopeToOrganization(
+        supabase
+          .from('notifications')
+          .select('*')
+          .eq('user_id', user.id)
+      )
         .order('created_at', { ascending: false })
         .limit(50);
 
@@ -163,7 +179,8 @@ export const NotificationProvider = ({ children }) => {
         (payload) => {
           console.log('New notification received:', payload);
           const newNotification = payload.new;
-          
+          if (!belongsToCurrentOrganization(newNotification)) return;
+
           setNotifications(prev => [newNotification, ...prev]);
           setUnreadCount(prev => prev + 1);
 
@@ -241,11 +258,13 @@ export const NotificationProvider = ({ children }) => {
     if (!user) return;
 
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .update({ read: true })
-        .eq('user_id', user.id)
-        .eq('read', false);
+      const { error } = await scopeToOrganization(
+        supabase
+          .from('notifications')
+          .update({ read: true })
+          .eq('user_id', user.id)
+          .eq('read', false)
+      );
 
       if (error) throw error;
 
@@ -281,10 +300,12 @@ export const NotificationProvider = ({ children }) => {
     if (!user) return;
 
     try {
-      const { error } = await supabase
-        .from('notifications')
-        .delete()
-        .eq('user_id', user.id);
+      const { error } = await scopeToOrganization(
+        supabase
+          .from('notifications')
+          .delete()
+          .eq('user_id', user.id)
+      );
 
       if (error) throw error;
 
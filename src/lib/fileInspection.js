@@ -0,0 +1,180 @@
+import JSZip from 'jszip'
+
+// What an uploaded file really is, judged by its bytes rather than its name
+// or the type the browser reports, and removal of the metadata photos carry.
+
+// Kinds of document file, with their MIME type and the extensions they may use
+export const FILE_KINDS = {
+  pdf: { mimeType: 'application/pdf', extensions: ['pdf'] },
+  doc: { mimeType: 'application/msword', extensions: ['doc'] },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx'] },
+  png: { mimeType: 'image/png', extensions: ['png'] },
+  jpeg: { mimeType: 'image/jpeg', extensions: ['jpg', 'jpeg'] }
+}
+
+const PDF_SIGNATURE = [0x25, 0x50, 0x44, 0x46, 0x2D] // %PDF-
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]
+const JPEG_SIGNATURE = [0xFF, 0xD8, 0xFF]
+const OLE_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] // legacy Office
+const ZIP_SIGNATURE = [0x50, 0x4B, 0x03, 0x04] // Office Open XML
+
+// PNG chunks holding text, timestamps or EXIF
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte)
+
+const indexOfBytes = (bytes, pattern, from = 0) => {
+  for (let index = bytes.indexOf(pattern[0], from); index !== -1; index = bytes.indexOf(pattern[0], index + 1)) {
+    if (startsWith(bytes, pattern, index)) return index
+  }
+  return -1
+}
+
+// OLE directory entries are named in UTF-16LE
+const utf16 = (text) => Array.from(text).flatMap(char => [char.charCodeAt(0), 0])
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer())
+
+const inspectWordArchive = async (file) => {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(file)
+  } catch {
+    return { kind: null, macros: false }
+  }
+
+  const contentTypes = await zip.file('[Content_Types].xml')?.async('string')
+  if (!contentTypes || !zip.file('word/document.xml')) return { kind: null, macros: false }
+
+  const macros = /macroEnabled/i.test(contentTypes) ||
+    Object.keys(zip.files).some(path => /vbaProject\.bin$|vbaData\.xml$/i.test(path))
+
+  return { kind: 'docx', macros }
+}
+
+// Identify a file from its contents: { kind, macros }, where kind is one of
+// FILE_KINDS or null, and macros is whether a Word file carries VBA code
+export const inspectFile = async (file) => {
+  const header = await readBytes(file.slice(0, 1024))
+
+  // PDF readers accept the header anywhere in the first kilobyte
+  if (indexOfBytes(header, PDF_SIGNATURE) !== -1) return { kind: 'pdf', macros: false }
+  if (startsWith(header, PNG_SIGNATURE)) return { kind: 'png', macros: false }
+  if (startsWith(header, JPEG_SIGNATURE)) return { kind: 'jpeg', macros: false }
+  if (startsWith(header, ZIP_SIGNATURE)) return inspectWordArchive(file)
+
+  if (startsWith(header, OLE_SIGNATURE)) {
+    const bytes = await readBytes(file)
+    if (indexOfBytes(bytes, utf16('WordDocument')) === -1) return { kind: null, macros: false }
+    return { kind: 'doc', macros: indexOfBytes(bytes, utf16('_VBA_PROJECT')) !== -1 }
+  }
+
+  return { kind: null, macros: false }
+}
+
+// The orientation tag of an APP1 Exif segment; 1 (upright) when absent
+const readExifOrientation = (segment) => {
+  const view = new DataView(segment.buffer, segment.byteOffset, segment.byteLength)
+  if (segment.length < 20 || view.getUint32(4) !== 0x45786966) return 1 // "Exif"
+
+  const tiff = 10
+  const littleEndian = view.getUint16(tiff) === 0x4949
+  const directory = tiff + view.getUint32(tiff + 4, littleEndian)
+  if (directory + 2 > segment.length) return 1
+
+  const entryCount = view.getUint16(directory, littleEndian)
+  for (let i = 0; i < entryCount; i++) {
+    const entry = directory + 2 + i * 12
+    if (entry + 12 > segment.length) break
+    if (view.getUint16(entry, littleEndian) === 0x0112) return view.getUint16(entry + 8, littleEndian)
+  }
+  return 1
+}
+
+// Drop the APP1 (EXIF, GPS, XMP), APP13 (IPTC), other APPn and comment
+// segments, keeping JFIF, the ICC profile and Adobe color information.
+// Returns null when the image is rotated by its EXIF tag or can't be parsed,
+// as it then has to be redrawn.
+const stripJpeg = (bytes) => {
+  const kept = [bytes.subarray(0, 2)]
+  let offset = 2
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) return null
+
+    const marker = bytes[offset + 1]
+    if (marker === 0xFF) {
+      offset++
+      continue
+    }
+    // Start of scan: the rest is image data
+    if (marker === 0xDA) {
+      kept.push(bytes.subarray(offset))
+      return kept
+    }
+
+    const segmentEnd = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3])
+    if (segmentEnd > bytes.length) return null
+    const segment = bytes.subarray(offset, segmentEnd)
+
+    if (marker === 0xE1 && readExifOrientation(segment) !== 1) return null
+
+    const isMetadata = marker === 0xFE || (marker >= 0xE1 && marker <= 0xEF && marker !== 0xE2 && marker !== 0xEE)
+    if (!isMetadata) kept.push(segment)
+    offset = segmentEnd
+  }
+
+  return null
+}
+
+const stripPng = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  const kept = [bytes.subarray(0, 8)]
+  let offset = 8
+
+  while (offset + 12 <= bytes.length) {
+    const chunkEnd = offset + 12 + view.getUint32(offset)
+    if (chunkEnd > bytes.length) return null
+
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    if (!PNG_METADATA_CHUNKS.includes(type)) kept.push(bytes.subarray(offset, chunkEnd))
+    offset = chunkEnd
+
+    if (type === 'IEND') return kept
+  }
+
+  return null
+}
+
+// Redraw an image, upright, without any of its metadata
+const redrawImage = async (file, mimeType) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const canvas = document.createElement('canvas')
+  canvas.width = bitmap.width
+  canvas.height = bitmap.height
+  canvas.getContext('2d').drawImage(bitmap, 0, 0)
+  bitmap.close()
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image could not be re-encoded')), mimeType, 0.92)
+  })
+}
+
+// Remove EXIF (including GPS), XMP and text metadata from a JPEG or PNG,
+// without re-encoding when the image is already upright. Other files are
+// returned as they are.
+export const stripImageMetadata = async (file) => {
+  const header = await readBytes(file.slice(0, 8))
+  const isJpeg = startsWith(header, JPEG_SIGNATURE)
+  const isPng = startsWith(header, PNG_SIGNATURE)
+  if (!isJpeg && !isPng) return file
+
+  const bytes = await readBytes(file)
+  const parts = isJpeg ? stripJpeg(bytes) : stripPng(bytes)
+  const mimeType = isJpeg ? 'image/jpeg' : 'image/png'
+
+  return new File([parts ? new Blob(parts) : await redrawImage(file, mimeType)], file.name, {
+    type: mimeType,
+    lastModified: file.lastModified
+  })
+}
\ No newline at end of file
@@ -0,0 +1,218 @@
+// Resumable uploads to Supabase Storage over the TUS protocol
+// (https://tus.io/protocols/resumable-upload). Files go up in chunks; a chunk
+// that fails on a dropped connection is retried from wherever the server got
+// to, and an upload interrupted by a closed tab resumes when the same file is
+// uploaded again.
+
+// Supabase only accepts 6MB chunks
+const CHUNK_SIZE = 6 * 1024 * 1024
+const RETRY_DELAYS = [0, 1000, 3000, 5000, 10000, 20000]
+// Supabase discards unfinished uploads after 24 hours
+const RESUME_WINDOW = 23 * 60 * 60 * 1000
+const STORAGE_PREFIX = 'resumable-upload:'
+
+const cancelledError = () => {
+  const error = new Error('Upload cancelled')
+  error.name = 'AbortError'
+  return error
+}
+
+export const isUploadCancelled = (error) => error?.name === 'AbortError'
+
+// Fired on window as an upload makes progress, so a long upload counts as
+// activity for the idle timeout
+export const UPLOAD_PROGRESS_EVENT = 'resumableuploadprogress'
+
+const responseError = (xhr) => {
+  let message = xhr.responseText
+  try {
+    message = JSON.parse(xhr.responseText).message || message
+  } catch {
+    // Not JSON; keep the raw text
+  }
+
+  const error = new Error(message || `Upload failed with status ${xhr.status}`)
+  error.retryable = xhr.status >= 500 || [409, 423, 429].includes(xhr.status)
+  return error
+}
+
+// Base64 each value, as Upload-Metadata requires
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${btoa(String.fromCharCode(...new TextEncoder().encode(value)))}`)
+  .join(',')
+
+// XMLHttpRequest rather than fetch, for upload progress events
+const request = (method, url, { headers = {}, body = null, signal, onUploadProgress } = {}) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(cancelledError())
+    return
+  }
+
+  const xhr = new XMLHttpRequest()
+  const abort = () => xhr.abort()
+  const cleanup = () => signal?.removeEventListener('abort', abort)
+
+  xhr.open(method, url)
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+  if (onUploadProgress) {
+    xhr.upload.onprogress = (event) => onUploadProgress(event.loaded)
+  }
+
+  xhr.onload = () => {
+    cleanup()
+    resolve(xhr)
+  }
+  xhr.onerror = () => {
+    cleanup()
+    const error = new Error('The connection was lost')
+    error.retryable = true
+    reject(error)
+  }
+  xhr.onabort = () => {
+    cleanup()
+    reject(cancelledError())
+  }
+
+  signal?.addEventListener('abort', abort)
+  xhr.send(body)
+})
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort)
+    resolve()
+  }, ms)
+  const abort = () => {
+    clearTimeout(timer)
+    reject(cancelledError())
+  }
+  signal?.addEventListener('abort', abort, { once: true })
+})
+
+// Hold retries while the browser knows it is offline
+const waitUntilOnline = (signal) => new Promise((resolve, reject) => {
+  if (navigator.onLine) {
+    resolve()
+    return
+  }
+
+  const online = () => {
+    signal?.removeEventListener('abort', abort)
+    resolve()
+  }
+  const abort = () => {
+    window.removeEventListener('online', online)
+    reject(cancelledError())
+  }
+  window.addEventListener('online', online, { once: true })
+  signal?.addEventListener('abort', abort, { once: true })
+})
+
+const readStoredUpload = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key))
+    if (stored && Date.now() - stored.createdAt < RESUME_WINDOW) return stored
+  } catch {
+    // Unreadable entries are replaced below
+  }
+  localStorage.removeItem(key)
+  return null
+}
+
+// Upload a file to bucket/path and return the path it was stored under,
+// which is the earlier upload's path when an interrupted upload is resumed.
+// fingerprint identifies the file across page loads; onProgress receives
+// { loaded, total, retrying } and signal cancels the upload.
+export const uploadResumable = async ({ endpoint, bucket, path, file, contentType = file.type, fingerprint, getAccessToken, onProgress, signal }) => {
+  const storageKey = `${STORAGE_PREFIX}${fingerprint}`
+  const reportProgress = (progress) => {
+    window.dispatchEvent(new Event(UPLOAD_PROGRESS_EVENT))
+    onProgress?.(progress)
+  }
+  const tusHeaders = async () => ({
+    Authorization: `Bearer ${await getAccessToken()}`,
+    'Tus-Resumable': '1.0.0'
+  })
+
+  let upload = readStoredUpload(storageKey)
+  let offset = null // unknown until the server is asked
+  let attempt = 0
+
+  try {
+    while (offset === null || offset < file.size) {
+      try {
+        if (!upload) {
+          const xhr = await request('POST', endpoint, {
+            headers: {
+              ...(await tusHeaders()),
+              'Upload-Length': String(file.size),
+              'Upload-Metadata': encodeMetadata({
+                bucketName: bucket,
+                objectName: path,
+                contentType: contentType || 'application/octet-stream',
+                cacheControl: '3600'
+              })
+            },
+            signal
+          })
+          if (xhr.status !== 201) throw responseError(xhr)
+
+          upload = { url: new URL(xhr.getResponseHeader('Location'), endpoint).href, path, createdAt: Date.now() }
+          localStorage.setItem(storageKey, JSON.stringify(upload))
+          offset = 0
+          continue
+        }
+
+        if (offset === null) {
+          const xhr = await request('HEAD', upload.url, { headers: await tusHeaders(), signal })
+
+          // The server no longer has it; start over
+          if ([403, 404, 410].includes(xhr.status)) {
+            localStorage.removeItem(storageKey)
+            upload = null
+            continue
+          }
+          if (xhr.status !== 200) throw responseError(xhr)
+
+          offset = Number(xhr.getResponseHeader('Upload-Offset'))
+          reportProgress({ loaded: offset, total: file.size, retrying: false })
+          continue
+        }
+
+        const chunkStart = offset
+        const xhr = await request('PATCH', upload.url, {
+          headers: {
+            ...(await tusHeaders()),
+            'Upload-Offset': String(chunkStart),
+            'Content-Type': 'application/offset+octet-stream'
+          },
+          body: file.slice(chunkStart, chunkStart + CHUNK_SIZE),
+          signal,
+          onUploadProgress: (loaded) => reportProgress({ loaded: chunkStart + loaded, total: file.size, retrying: false })
+        })
+        if (xhr.status !== 204) throw responseError(xhr)
+
+        offset = Number(xhr.getResponseHeader('Upload-Offset'))
+        attempt = 0
+        reportProgress({ loaded: offset, total: file.size, retrying: false })
+      } catch (error) {
+        if (!error.retryable || attempt >= RETRY_DELAYS.length) throw error
+
+        reportProgress({ loaded: offset ?? 0, total: file.size, retrying: true })
+        await wait(RETRY_DELAYS[attempt++], signal)
+        await waitUntilOnline(signal)
+
+        // Ask the server how much arrived before carrying on
+        if (upload) offset = null
+      }
+    }
+  } catch (error) {
+    // Only uploads cut off by the connection are worth resuming later;
+    // cancelled and rejected ones are abandoned
+    if (!error.retryable) localStorage.removeItem(storageKey)
+    throw error
+  }
+
+  localStorage.removeItem(storageKey)
+  return upload.path
+}
\ No newline at end of file
@@ -0,0 +1,207 @@
+// Turn phone photos of paperwork into a single PDF in the browser: each page
+// is rotated, cropped, cleaned up and compressed to a JPEG on a canvas, and
+// the JPEGs are written into the PDF as-is.
+
+// Longest edge, in pixels, of the copy kept for each photo (A4 at 300dpi)
+const WORKING_DIMENSION = 2480
+
+// A4 in PDF points
+const A4_SHORT = 595.28
+const A4_LONG = 841.89
+
+export const FULL_CROP = { x0: 0, y0: 0, x1: 1, y1: 1 }
+
+export const SCAN_QUALITIES = {
+  standard: { label: 'Standard (150 dpi)', maxDimension: 1754, jpegQuality: 0.7 },
+  high: { label: 'High (300 dpi)', maxDimension: 2480, jpegQuality: 0.85 }
+}
+
+export const SCAN_MODES = {
+  document: 'Document (cleaned-up black & white)',
+  grayscale: 'Grayscale',
+  color: 'Color'
+}
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The image could not be encoded')), 'image/jpeg', quality)
+})
+
+// Decode a photo (honoring its EXIF orientation) and keep a downscaled JPEG
+// copy, so a stack of 12MP photos doesn't sit in memory as bitmaps
+export const prepareScanImage = async (file) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const scale = Math.min(1, WORKING_DIMENSION / Math.max(bitmap.width, bitmap.height))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+
+  const context = canvas.getContext('2d')
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+
+  const blob = await canvasToBlob(canvas, 0.92)
+  return { blob, width: canvas.width, height: canvas.height }
+}
+
+// Map a point of the rotated view (0-1 on each axis) back onto the unrotated image
+const toSourcePoint = (x, y, rotation) => {
+  switch (rotation) {
+    case 90: return [y, 1 - x]
+    case 180: return [1 - x, 1 - y]
+    case 270: return [1 - y, x]
+    default: return [x, y]
+  }
+}
+
+// Stretch the gray levels so the paper comes out white and the ink dark.
+// Documents clip harder than photos, since most of a page is paper.
+const applyGrayscale = (canvas, mode) => {
+  const context = canvas.getContext('2d')
+  const image = context.getImageData(0, 0, canvas.width, canvas.height)
+  const pixels = image.data
+  const pixelCount = pixels.length / 4
+
+  const gray = new Uint8ClampedArray(pixelCount)
+  const histogram = new Uint32Array(256)
+  for (let i = 0; i < pixelCount; i++) {
+    const value = Math.round(0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2])
+    gray[i] = value
+    histogram[value]++
+  }
+
+  const percentile = (fraction) => {
+    let count = 0
+    for (let value = 0; value < 256; value++) {
+      count += histogram[value]
+      if (count >= pixelCount * fraction) return value
+    }
+    return 255
+  }
+
+  const [low, high] = mode === 'document' ? [percentile(0.02), percentile(0.6)] : [percentile(0.01), percentile(0.99)]
+  const range = Math.max(1, high - low)
+
+  for (let i = 0; i < pixelCount; i++) {
+    const value = ((gray[i] - low) * 255) / range
+    pixels[i * 4] = pixels[i * 4 + 1] = pixels[i * 4 + 2] = value
+  }
+
+  context.putImageData(image, 0, 0)
+}
+
+// Draw a page rotated, cropped and filtered onto a new canvas no larger than maxDimension
+export const renderScanPage = async ({ blob, rotation, crop }, { mode = 'color', maxDimension }) => {
+  const bitmap = await createImageBitmap(blob)
+
+  const [ax, ay] = toSourcePoint(crop.x0, crop.y0, rotation)
+  const [bx, by] = toSourcePoint(crop.x1, crop.y1, rotation)
+  const sx = Math.min(ax, bx) * bitmap.width
+  const sy = Math.min(ay, by) * bitmap.height
+  const sw = Math.max(1, Math.abs(bx - ax) * bitmap.width)
+  const sh = Math.max(1, Math.abs(by - ay) * bitmap.height)
+
+  const quarterTurn = rotation % 180 !== 0
+  const outputWidth = quarterTurn ? sh : sw
+  const outputHeight = quarterTurn ? sw : sh
+  const scale = Math.min(1, maxDimension / Math.max(outputWidth, outputHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(outputWidth * scale))
+  canvas.height = Math.max(1, Math.round(outputHeight * scale))
+
+  const context = canvas.getContext('2d')
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.translate(canvas.width / 2, canvas.height / 2)
+  context.rotate((rotation * Math.PI) / 180)
+  context.drawImage(bitmap, sx, sy, sw, sh, (-sw * scale) / 2, (-sh * scale) / 2, sw * scale, sh * scale)
+  bitmap.close()
+
+  if (mode !== 'color') applyGrayscale(canvas, mode)
+
+  return canvas
+}
+
+// Write JPEG pages ({ bytes, width, height }) into a PDF, one image per page,
+// each page sized to fit A4 in the image's own orientation
+export const buildPdf = (pages) => {
+  const encoder = new TextEncoder()
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+  const beginObject = (number) => {
+    offsets[number] = length
+    write(`${number} 0 obj\n`)
+  }
+
+  // Objects: 1 catalog, 2 page tree, then a page, its content and its image per page
+  const pageObject = (index) => 3 + index * 3
+  const objectCount = 3 + pages.length * 3
+
+  write('%PDF-1.4\n%âãÏÓ\n')
+
+  beginObject(1)
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n')
+
+  beginObject(2)
+  write(`<< /Type /Pages /Kids [${pages.map((_, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`)
+
+  pages.forEach((page, index) => {
+    const landscape = page.width > page.height
+    const scale = Math.min(
+      (landscape ? A4_LONG : A4_SHORT) / page.width,
+      (landscape ? A4_SHORT : A4_LONG) / page.height
+    )
+    const pageWidth = (page.width * scale).toFixed(2)
+    const pageHeight = (page.height * scale).toFixed(2)
+    const contentObject = pageObject(index) + 1
+    const imageObject = pageObject(index) + 2
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`
+
+    beginObject(pageObject(index))
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${imageObject} 0 R >> >> /Contents ${contentObject} 0 R >>\nendobj\n`)
+
+    beginObject(contentObject)
+    write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`)
+
+    // Browsers always encode canvas JPEGs in color, even when the pixels are gray
+    beginObject(imageObject)
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.bytes.length} >>\nstream\n`)
+    write(page.bytes)
+    write('\nendstream\nendobj\n')
+  })
+
+  const xrefOffset = length
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+  for (let number = 1; number < objectCount; number++) {
+    write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`)
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
+
+// Render every page at the chosen quality and assemble them into a PDF file
+export const createScanPdf = async (pages, { mode, quality, fileName }) => {
+  const { maxDimension, jpegQuality } = SCAN_QUALITIES[quality]
+  const pdfPages = []
+
+  // One page at a time, so only one full-size canvas exists at once
+  for (const page of pages) {
+    const canvas = await renderScanPage(page, { mode, maxDimension })
+    const blob = await canvasToBlob(canvas, jpegQuality)
+    pdfPages.push({ bytes: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height })
+    canvas.width = canvas.height = 0
+  }
+
+  return new File([buildPdf(pdfPages)], fileName, { type: 'application/pdf', lastModified: Date.now() })
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+import JSZip from 'jszip'
+
+// Builtin Excel number formats that display dates and times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47])
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Split CSV text into rows of cells: quoted fields may contain the delimiter,
+// line breaks and "" for a quote. The delimiter is whichever of comma,
+// semicolon or tab the header line uses most, as spreadsheet exports vary.
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '')
+  const headerLine = content.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '')
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: headerLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+
+  return rows
+}
+
+const childrenByName = (node, name) => Array.from(node.getElementsByTagNameNS('*', name))
+
+const readXml = async (zip, path) => {
+  const file = zip.file(path)
+  if (!file) return null
+  return new DOMParser().parseFromString(await file.async('string'), 'application/xml')
+}
+
+// "AB12" -> 27
+const columnIndex = (reference) => {
+  const letters = reference.replace(/\d+$/, '')
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1
+}
+
+const isDateFormatCode = (code) => {
+  const stripped = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '')
+  return /[dmyhs]/i.test(stripped)
+}
+
+// Excel stores dates as days since 1899-12-30 (or 1904-01-01); render them
+// as the wall-clock "yyyy-MM-dd HH:mm" the sheet shows
+const serialToDateString = (serial, date1904) => {
+  const date = new Date(Math.round((serial + (date1904 ? 1462 : 0) - 25569) * 86400000))
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+  const hasTime = date.getUTCHours() !== 0 || date.getUTCMinutes() !== 0
+  return hasTime ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}` : day
+}
+
+// Read the first worksheet of an .xlsx workbook into rows of text cells
+export const parseXlsx = async (file) => {
+  const zip = await JSZip.loadAsync(file)
+
+  const workbook = await readXml(zip, 'xl/workbook.xml')
+  if (!workbook) throw new Error('This is not an Excel workbook')
+
+  const date1904 = ['1', 'true'].includes(childrenByName(workbook, 'workbookPr')[0]?.getAttribute('date1904'))
+
+  // Resolve the first sheet through the workbook relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml'
+  const firstSheet = childrenByName(workbook, 'sheet')[0]
+  const relationships = await readXml(zip, 'xl/_rels/workbook.xml.rels')
+  if (firstSheet && relationships) {
+    const relationshipId = firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') ||
+      firstSheet.getAttribute('r:id')
+    const target = childrenByName(relationships, 'Relationship')
+      .find(relationship => relationship.getAttribute('Id') === relationshipId)
+      ?.getAttribute('Target')
+    if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`
+  }
+
+  const sheet = await readXml(zip, sheetPath)
+  if (!sheet) throw new Error('The workbook has no worksheet')
+
+  const sharedStrings = await readXml(zip, 'xl/sharedStrings.xml')
+  const strings = sharedStrings
+    ? childrenByName(sharedStrings, 'si').map(item =>
+        childrenByName(item, 't')
+          .filter(t => t.parentNode.localName !== 'rPh') // skip phonetic hints
+          .map(t => t.textContent)
+          .join(''))
+    : []
+
+  // Number formats per cell style, to tell dates from plain numbers
+  const styles = await readXml(zip, 'xl/styles.xml')
+  const customFormats = new Map(
+    styles ? childrenByName(styles, 'numFmt').map(format => [Number(format.getAttribute('numFmtId')), format.getAttribute('formatCode')]) : []
+  )
+  const cellFormats = styles
+    ? childrenByName(childrenByName(styles, 'cellXfs')[0] || styles, 'xf').map(xf => Number(xf.getAttribute('numFmtId')))
+    : []
+  const isDateStyle = (styleIndex) => {
+    const formatId = cellFormats[styleIndex]
+    if (formatId === undefined) return false
+    return BUILTIN_DATE_FORMATS.has(formatId) || (customFormats.has(formatId) && isDateFormatCode(customFormats.get(formatId)))
+  }
+
+  const rows = []
+  for (const rowNode of childrenByName(sheet, 'row')) {
+    const rowNumber = Number(rowNode.getAttribute('r'))
+    const rowIndex = rowNumber > 0 ? rowNumber - 1 : rows.length
+    const row = []
+
+    for (const cellNode of childrenByName(rowNode, 'c')) {
+      const reference = cellNode.getAttribute('r')
+      const index = reference ? columnIndex(reference) : row.length
+      const type = cellNode.getAttribute('t')
+      const value = childrenByName(cellNode, 'v')[0]?.textContent ?? ''
+
+      let text = value
+      if (type === 's') {
+        text = strings[Number(value)] ?? ''
+      } else if (type === 'inlineStr') {
+        text = childrenByName(cellNode, 't').map(t => t.textContent).join('')
+      } else if (type === 'b') {
+        text = value === '1' ? 'TRUE' : 'FALSE'
+      } else if (!type || type === 'n') {
+        if (value !== '' && isDateStyle(Number(cellNode.getAttribute('s') || 0))) {
+          text = serialToDateString(Number(value), date1904)
+        }
+      }
+
+      row[index] = text
+    }
+
+    rows[rowIndex] = Array.from(row, cell => cell ?? '')
+  }
+
+  return Array.from(rows, row => row ?? [])
+}
+
+// Parse a .csv or .xlsx file into its header row and the non-empty data rows
+export const parseSpreadsheet = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase()
+
+  let rows
+  if (extension === 'csv') {
+    rows = parseCsv(await file.text())
+  } else if (extension === 'xlsx') {
+    rows = await parseXlsx(file)
+  } else {
+    throw new Error('Choose a .csv or .xlsx file')
+  }
+
+  const [headerRow = [], ...dataRows] = rows
+  const headers = headerRow.map((header, index) => header.trim() || `Column ${index + 1}`)
+
+  return {
+    headers,
+    rows: dataRows
+      .map(row => headers.map((_, index) => (row[index] ?? '').trim()))
+      .filter(row => row.some(cell => cell !== ''))
+  }
+}
\ No newline at end of file
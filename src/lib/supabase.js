@@ -1,4 +1,8 @@
 import { createClient } from '@supabase/supabase-js'
+import { format, formatDistanceStrict } from 'date-fns'
+import JSZip from 'jszip'
+import { uploadResumable } from './resumableUpload'
+import { FILE_KINDS, inspectFile } from './fileInspection'
 
 // Replace these with your actual Supabase project URL and anon key
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL || 'your-supabase-url'
@@ -20,8 +24,406 @@ export const getCurrentUserProfile = async () => {
   return profile
 }
 
-// Helper function to check if user is admin
+// Helper function to get the organizations a user belongs to, with their role
+// and the permissions that role grants in each
+export const getUserOrganizations = async (userId) => {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select(`
+      role,
+      organization:organizations(id, name, slug, trash_retention_days)
+    `)
+    .eq('user_id', userId)
+    .order('created_at')
+
+  if (error) throw error
+
+  const memberships = data.filter(membership => membership.organization)
+  if (memberships.length === 0) return []
+
+  const { data: permissionsData, error: permissionsError } = await supabase
+    .from('organization_role_permissions')
+    .select('organization_id, role, permission')
+    .in('organization_id', memberships.map(membership => membership.organization.id))
+
+  if (permissionsError) throw permissionsError
+
+  return memberships.map(membership => ({
+    ...membership.organization,
+    role: membership.role,
+    permissions: permissionsData
+      .filter(p => p.organization_id === membership.organization.id && p.role === membership.role)
+      .map(p => p.permission)
+  }))
+}
+
+// Helper function to get the roles of an organization, each with its permissions
+export const getOrganizationRoles = async (organizationId) => {
+  const { data, error } = await supabase
+    .from('organization_roles')
+    .select(`
+      *,
+      permissions:organization_role_permissions(permission)
+    `)
+    .eq('organization_id', organizationId)
+    .order('created_at')
+
+  if (error) throw error
+
+  return data.map(role => ({
+    ...role,
+    permissions: role.permissions.map(p => p.permission)
+  }))
+}
+
+// Helper function to get the storage path of a file from its public URL
+export const getStoragePathFromUrl = (fileUrl, bucket = 'avatars') => {
+  const marker = `/object/public/${bucket}/`
+  const index = fileUrl?.indexOf(marker) ?? -1
+  if (index === -1) return null
+
+  return decodeURIComponent(fileUrl.slice(index + marker.length))
+}
+
+const getFileExtension = (fileName) => fileName.split('.').pop().toLowerCase()
+
+// The kind of document file an extension stands for, from FILE_KINDS
+const getFileKind = (extension) => Object.keys(FILE_KINDS).find(kind => FILE_KINDS[kind].extensions.includes(extension))
+
+// File types and size accepted for document uploads, set per deployment with
+// VITE_DOCUMENT_FILE_TYPES (extensions) and VITE_MAX_UPLOAD_SIZE_MB. These can
+// only narrow the documents bucket's limits in supabase_schema.sql
+export const DOCUMENT_FILE_EXTENSIONS = (import.meta.env.VITE_DOCUMENT_FILE_TYPES || 'pdf,doc,docx,png,jpg,jpeg')
+  .split(',')
+  .map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+  .filter(extension => getFileKind(extension))
+export const DOCUMENT_FILE_ACCEPT = DOCUMENT_FILE_EXTENSIONS.map(extension => `.${extension}`).join(',')
+// Anything but a positive number (unset, empty, "50MB") falls back to 50
+const configuredMaxSize = Number(import.meta.env.VITE_MAX_UPLOAD_SIZE_MB || NaN)
+export const MAX_DOCUMENT_FILE_SIZE_MB = Number.isFinite(configuredMaxSize) && configuredMaxSize > 0 ? configuredMaxSize : 50
+export const MAX_DOCUMENT_FILE_SIZE = MAX_DOCUMENT_FILE_SIZE_MB * 1024 * 1024
+
+// "PDF, DOC, DOCX, PNG, JPG" for hints and error messages
+export const DOCUMENT_FILE_TYPES_LABEL = DOCUMENT_FILE_EXTENSIONS
+  .filter(extension => extension !== 'jpeg' || !DOCUMENT_FILE_EXTENSIONS.includes('jpg'))
+  .map(extension => extension.toUpperCase())
+  .join(', ')
+
+// Helper function to check a document file before upload; returns an error message or null.
+// The file's contents must match its extension, whatever type the browser reports.
+export const validateDocumentFile = async (file) => {
+  if (file.size > MAX_DOCUMENT_FILE_SIZE) {
+    return `File size must be less than ${MAX_DOCUMENT_FILE_SIZE_MB}MB`
+  }
+
+  const extension = getFileExtension(file.name)
+  if (['docm', 'dotm'].includes(extension)) {
+    return 'Macro-enabled Word files are not allowed. Save the file as .docx or PDF and try again'
+  }
+  if (!DOCUMENT_FILE_EXTENSIONS.includes(extension)) {
+    return `Only ${DOCUMENT_FILE_TYPES_LABEL} files are allowed`
+  }
+
+  const { kind, macros } = await inspectFile(file)
+  if (macros) {
+    return 'This file contains macros, which are not allowed. Save it without macros as .docx or PDF and try again'
+  }
+  if (kind !== getFileKind(extension)) {
+    return `This file is not really a .${extension} file, or it is damaged`
+  }
+  return null
+}
+
+// Helper function to upload a document file under <organization_id>/<user_id>/.
+// Uploads are resumable; onProgress receives { loaded, total, retrying } and
+// an AbortSignal cancels the upload.
+export const uploadDocumentFile = async (organizationId, userId, file, { onProgress, signal } = {}) => {
+  const fileExt = getFileExtension(file.name)
+  // From the validated extension, as browsers report some types inconsistently
+  const contentType = FILE_KINDS[getFileKind(fileExt)]?.mimeType || file.type
+
+  const path = await uploadResumable({
+    endpoint: `${supabaseUrl}/storage/v1/upload/resumable`,
+    bucket: 'documents',
+    path: `${organizationId}/${userId}/${Date.now()}.${fileExt}`,
+    file,
+    contentType,
+    fingerprint: ['documents', organizationId, userId, file.name, file.size, file.lastModified].join(':'),
+    getAccessToken: async () => {
+      const { data: { session } } = await supabase.auth.getSession()
+      return session?.access_token
+    },
+    onProgress,
+    signal
+  })
+
+  return { name: file.name, path, size: file.size, type: contentType }
+}
+
+// Helper function to copy a stored document file into the user's folder; returns the new path
+export const copyDocumentFile = async (organizationId, userId, path) => {
+  const fileExt = path.split('.').pop()
+  const newPath = `${organizationId}/${userId}/${Date.now()}.${fileExt}`
+
+  const { error } = await supabase.storage
+    .from('documents')
+    .copy(path, newPath)
+
+  if (error) throw error
+
+  return newPath
+}
+
+// Helper function to fingerprint a file (or Blob) with SHA-256; returns lowercase hex
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Helper function to find an organization's documents whose current file has the given hash
+export const findDocumentsByHash = async (organizationId, hash, excludeDocumentId = null) => {
+  let query = supabase
+    .from('documents')
+    .select('id, name, status')
+    .eq('organization_id', organizationId)
+    .eq('file_hash', hash)
+    .neq('status', 'draft')
+    .is('deleted_at', null)
+
+  if (excludeDocumentId) query = query.neq('id', excludeDocumentId)
+
+  const { data, error } = await query
+  if (error) throw error
+  return data
+}
+
+// Helper function to re-download a stored document file and compare it with its recorded hash
+export const verifyDocumentFile = async (path, expectedHash) => {
+  const { data, error } = await supabase.storage
+    .from('documents')
+    .download(path)
+
+  if (error) throw error
+
+  const actualHash = await hashFile(data)
+  return { matches: actualHash === expectedHash, actualHash }
+}
+
+// The documents bucket is private: file_url columns hold storage paths, and
+// links are signed on demand and expire shortly after
+export const SIGNED_URL_EXPIRY_SECONDS = 60
+
+// Helper function to get a short-lived link to a document file
+export const getSignedDocumentUrl = async (path, options = {}) => {
+  const { data, error } = await supabase.storage
+    .from('documents')
+    .createSignedUrl(path, SIGNED_URL_EXPIRY_SECONDS, options)
+
+  if (error) throw error
+  return data.signedUrl
+}
+
+const triggerDownload = (url, fileName) => {
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+}
+
+// Helper function to download a document file through a signed link
+export const downloadDocumentFile = async (path, fileName) => {
+  triggerDownload(await getSignedDocumentUrl(path, { download: fileName }), fileName)
+}
+
+// Helper function to delete files from the documents bucket. Storage skips
+// files the caller may not delete without an error, so check every path went.
+export const removeDocumentFiles = async (paths) => {
+  const { data, error } = await supabase.storage
+    .from('documents')
+    .remove(paths)
+
+  if (error) throw error
+  if (data.length < new Set(paths).size) throw new Error('You do not have permission to delete some of these files')
+}
+
+// Helper function to delete a draft document together with its uploaded files
+export const discardDraft = async (draft) => {
+  const paths = [draft.file_url, ...(draft.draft_data?.attachments || []).map(file => file.path)]
+    .filter(Boolean)
+
+  if (paths.length > 0) {
+    const { error: storageError } = await supabase.storage
+      .from('documents')
+      .remove(paths)
+
+    if (storageError) throw storageError
+  }
+
+  const { error } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', draft.id)
+    .eq('status', 'draft')
+
+  if (error) throw error
+}
+
+// Helper function to permanently delete a trashed document with every revision
+// and attachment file, through the purge-trash edge function: members can't
+// delete files others uploaded. Comments, signatories and activity cascade.
+export const purgeDocument = async (documentId) => {
+  const { error } = await supabase.functions.invoke('purge-trash', {
+    body: { documentId }
+  })
+  if (error) throw error
+}
+
+// Helper function to bundle document files ({ name, path }) into a ZIP in the browser and download it
+export const downloadFilesAsZip = async (files, zipName) => {
+  const zip = new JSZip()
+  const usedNames = new Set()
+
+  for (const file of files) {
+    const { data: fileData, error } = await supabase.storage
+      .from('documents')
+      .download(file.path)
+
+    if (error) throw new Error(`Could not download ${file.name}: ${error.message}`)
+
+    // Two attachments can share a name; keep both
+    let name = file.name
+    for (let copy = 2; usedNames.has(name); copy++) {
+      const dot = file.name.lastIndexOf('.')
+      name = dot > 0
+        ? `${file.name.slice(0, dot)} (${copy})${file.name.slice(dot)}`
+        : `${file.name} (${copy})`
+    }
+    usedNames.add(name)
+
+    zip.file(name, fileData)
+  }
+
+  const blob = await zip.generateAsync({ type: 'blob' })
+  const url = URL.createObjectURL(blob)
+  triggerDownload(url, zipName)
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Helper function to get the document templates of an organization
+export const getDocumentTemplates = async (organizationId) => {
+  const { data, error } = await supabase
+    .from('document_templates')
+    .select(`
+      *,
+      created_by_user:users!created_by(full_name)
+    `)
+    .eq('organization_id', organizationId)
+    .order('name')
+
+  if (error) throw error
+  return data
+}
+
+// Helper function to fill in a template name pattern, e.g. "Reimbursement {month}"
+export const applyNamePattern = (pattern, date = new Date()) => {
+  return pattern
+    .replace(/\{date\}/g, format(date, 'yyyy-MM-dd'))
+    .replace(/\{month\}/g, format(date, 'MMMM yyyy'))
+    .replace(/\{year\}/g, format(date, 'yyyy'))
+}
+
+// Colors an admin can give a category; CategoryBadge maps them to styles
+export const CATEGORY_COLORS = ['gray', 'red', 'amber', 'green', 'blue', 'indigo', 'purple', 'pink']
+
+export const MAX_TAG_LENGTH = 30
+
+// Helper function to get the document categories of an organization
+export const getDocumentCategories = async (organizationId) => {
+  const { data, error } = await supabase
+    .from('document_categories')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .order('name')
+
+  if (error) throw error
+  return data
+}
+
+// Helper function to get every tag used on an organization's documents, sorted
+export const getOrganizationTags = async (organizationId) => {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('tags')
+    .eq('organization_id', organizationId)
+    .neq('status', 'draft')
+    .is('deleted_at', null)
+
+  if (error) throw error
+  return [...new Set(data.flatMap(doc => doc.tags || []))].sort()
+}
+
+// Helper function to tidy a tag the way the database stores it: trimmed,
+// single-spaced and lower-case
+export const normalizeTag = (tag) => {
+  return tag.trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH).trim()
+}
+
+// Deadlines closer than this are shown as due soon
+export const DEADLINE_WARNING_HOURS = 48
+
+// Helper function to work out where a deadline stands: null when there is none
+// or the work is already done, otherwise its state and a countdown label
+export const getDeadlineStatus = (dueDate, done = false, now = new Date()) => {
+  if (!dueDate || done) return null
+
+  const due = new Date(dueDate)
+  if (due <= now) {
+    return { state: 'overdue', label: `Overdue by ${formatDistanceStrict(now, due)}` }
+  }
+
+  const dueSoon = due - now <= DEADLINE_WARNING_HOURS * 60 * 60 * 1000
+  return { state: dueSoon ? 'due_soon' : 'upcoming', label: `Due in ${formatDistanceStrict(due, now)}` }
+}
+
+// Helper function to check if a document or any of its unsigned signatories has missed a deadline
+export const isDocumentOverdue = (document, now = new Date()) => {
+  if (['completed', 'rejected', 'draft'].includes(document.status)) return false
+
+  return getDeadlineStatus(document.due_date, false, now)?.state === 'overdue' ||
+    (document.signatories || []).some(sig => getDeadlineStatus(sig.due_date, sig.is_signed, now)?.state === 'overdue')
+}
+
+// Helper function to check if user is a platform admin
 export const isAdmin = async () => {
   const profile = await getCurrentUserProfile()
   return profile?.role === 'admin'
+}
+
+// Helper function to look up a pending invitation by its token
+export const getInvitation = async (token) => {
+  const { data, error } = await supabase.rpc('get_invitation', { p_token: token })
+  if (error) throw error
+
+  return data?.[0] || null
+}
+
+// Helper function to build the sign-up link for an invitation
+export const getInvitationLink = (token) => {
+  return `${window.location.origin}/signup?invite=${token}`
+}
+
+// Helper function to work out where an invitation stands
+export const getInvitationStatus = (invitation) => {
+  if (invitation.revoked_at) return 'revoked'
+  if (invitation.accepted_at) return 'accepted'
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired'
+  return 'pending'
+}
+
+// Helper function to email an invitation link through the send-invitation edge function
+export const sendInvitationEmail = async (invitationId) => {
+  const { error } = await supabase.functions.invoke('send-invitation', {
+    body: { invitationId }
+  })
+  if (error) throw error
 }
\ No newline at end of file
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getDocumentCategories, CATEGORY_COLORS } from '../lib/supabase'
+import { Tags, Plus, Trash2 } from 'lucide-react'
+import LoadingSpinner from '../components/LoadingSpinner'
+import CategoryBadge from '../components/CategoryBadge'
+import toast from 'react-hot-toast'
+
+const AdminCategories = () => {
+  const { currentOrganization } = useAuth()
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [creating, setCreating] = useState(false)
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: {
+      name: '',
+      color: 'gray'
+    }
+  })
+
+  useEffect(() => {
+    fetchCategories()
+  }, [currentOrganization?.id])
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true)
+      setCategories(await getDocumentCategories(currentOrganization.id))
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+      toast.error('Failed to fetch categories')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    setCreating(true)
+    try {
+      const { data: category, error } = await supabase
+        .from('document_categories')
+        .insert([{
+          organization_id: currentOrganization.id,
+          name: data.name.trim(),
+          color: data.color
+        }])
+        .select()
+        .single()
+
+      if (error?.code === '23505') {
+        toast.error('A category with this name already exists')
+        return
+      }
+      if (error) throw error
+
+      setCategories(prev => [...prev, category].sort((a, b) => a.name.localeCompare(b.name)))
+      reset()
+      toast.success(`${category.name} category created`)
+    } catch (error) {
+      console.error('Error creating category:', error)
+      toast.error(`Failed to create category: ${error.message}`)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const updateColor = async (category, color) => {
+    try {
+      const { error } = await supabase
+        .from('document_categories')
+        .update({ color })
+        .eq('id', category.id)
+
+      if (error) throw error
+
+      setCategories(prev => prev.map(c => c.id === category.id ? { ...c, color } : c))
+    } catch (error) {
+      console.error('Error updating category:', error)
+      toast.error(`Failed to update category: ${error.message}`)
+    }
+  }
+
+  const deleteCategory = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category? Its documents become uncategorized.`)) return
+
+    try {
+      const { error } = await supabase
+        .from('document_categories')
+        .delete()
+        .eq('id', category.id)
+
+      if (error) throw error
+
+      setCategories(prev => prev.filter(c => c.id !== category.id))
+      toast.success(`${category.name} category deleted`)
+    } catch (error) {
+      console.error('Error deleting category:', error)
+      toast.error(`Failed to delete category: ${error.message}`)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Document Categories</h1>
+        <p className="mt-2 text-gray-600">
+          Group {currentOrganization?.name}'s documents by area, such as Finance, Events or Sponsorship.
+          Members pick a category when creating a document and can add their own tags on top.
+        </p>
+      </div>
+
+      {/* Create Category */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Plus className="h-5 w-5 mr-2 text-primary-600" />
+          New Category
+        </h2>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-start">
+          <div className="md:col-span-2">
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              id="name"
+              type="text"
+              {...register('name', {
+                required: 'Category name is required',
+                validate: value => value.trim().length > 0 || 'Category name is required',
+                maxLength: {
+                  value: 50,
+                  message: 'Category name must be at most 50 characters'
+                }
+              })}
+              className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+              placeholder="e.g., Finance"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="color" className="block text-sm font-medium text-gray-700 mb-1">
+              Color
+            </label>
+            <select id="color" {...register('color')} className="input-field capitalize">
+              {CATEGORY_COLORS.map(color => (
+                <option key={color} value={color}>{color}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="md:pt-6">
+            <button
+              type="submit"
+              disabled={creating}
+              className="w-full btn-primary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Creating...
+                </>
+              ) : (
+                'Create Category'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Categories */}
+      <div className="card overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <Tags className="h-5 w-5 mr-2 text-primary-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Categories</h2>
+        </div>
+
+        {categories.length === 0 ? (
+          <p className="px-6 py-8 text-center text-gray-500">No categories yet. Create the first one above.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {categories.map(category => (
+              <li key={category.id} className="px-6 py-4 flex items-center justify-between">
+                <CategoryBadge category={category} className="text-sm" />
+                <div className="flex items-center space-x-3">
+                  <select
+                    value={category.color}
+                    onChange={(e) => updateColor(category, e.target.value)}
+                    className="input-field w-auto py-1 text-sm capitalize"
+                    aria-label={`Color of ${category.name}`}
+                  >
+                    {CATEGORY_COLORS.map(color => (
+                      <option key={color} value={color}>{color}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => deleteCategory(category)}
+                    className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Delete category"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AdminCategories
\ No newline at end of file
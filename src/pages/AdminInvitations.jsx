@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getInvitationLink, getOrganizationRoles, sendInvitationEmail } from '../lib/supabase'
+import { Mail, Copy, UserPlus } from 'lucide-react'
+import { addDays } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import InvitationList from '../components/InvitationList'
+import toast from 'react-hot-toast'
+
+const EXPIRY_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: '7 days' },
+  { days: 14, label: '14 days' }
+]
+
+const AdminInvitations = () => {
+  const { user, currentOrganization, isAdmin } = useAuth()
+  const [invitations, setInvitations] = useState([])
+  const [roles, setRoles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [creating, setCreating] = useState(false)
+  const [lastLink, setLastLink] = useState(null)
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: {
+      email: '',
+      role: 'member',
+      expiresInDays: 7
+    }
+  })
+
+  useEffect(() => {
+    fetchInvitations()
+  }, [currentOrganization?.id])
+
+  const fetchInvitations = async () => {
+    try {
+      setLoading(true)
+
+      const { data, error } = await supabase
+        .from('invitations')
+        .select(`
+          *,
+          created_by_user:users!created_by(full_name)
+        `)
+        .eq('organization_id', currentOrganization.id)
+        .order('created_at', { ascending: false })
+
+      if (error) throw error
+
+      const rolesData = await getOrganizationRoles(currentOrganization.id)
+
+      setInvitations(data)
+      setRoles(rolesData)
+    } catch (error) {
+      console.error('Error fetching invitations:', error)
+      toast.error('Failed to fetch invitations')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    setCreating(true)
+    try {
+      const { data: invitation, error } = await supabase
+        .from('invitations')
+        .insert([{
+          organization_id: currentOrganization.id,
+          email: data.email.trim().toLowerCase(),
+          role: data.role,
+          created_by: user.id,
+          expires_at: addDays(new Date(), Number(data.expiresInDays)).toISOString()
+        }])
+        .select(`
+          *,
+          created_by_user:users!created_by(full_name)
+        `)
+        .single()
+
+      if (error) throw error
+
+      const link = getInvitationLink(invitation.token)
+      setLastLink(link)
+      reset()
+
+      // The invitation stands even if the email fails; the link can be shared by hand
+      try {
+        await sendInvitationEmail(invitation.id)
+        toast.success(`Invitation emailed to ${invitation.email}`)
+      } catch (emailError) {
+        console.error('Error sending invitation email:', emailError)
+        toast.error('Invitation created, but the email could not be sent. Share the link below instead.')
+      }
+
+      fetchInvitations()
+    } catch (error) {
+      console.error('Error creating invitation:', error)
+      toast.error(`Failed to create invitation: ${error.message}`)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link)
+      toast.success('Invitation link copied')
+    } catch (error) {
+      console.error('Error copying link:', error)
+      toast.error('Failed to copy link')
+    }
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Invitations</h1>
+        <p className="mt-2 text-gray-600">
+          Invite new members to {currentOrganization?.name} by email. Each link can be used once, by the invited email, before it expires.
+        </p>
+      </div>
+
+      {/* Create Invitation */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <UserPlus className="h-5 w-5 mr-2 text-primary-600" />
+          New Invitation
+        </h2>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-start">
+          <div className="md:col-span-2">
+            <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+              Email address
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <Mail className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="email"
+                type="email"
+                {...register('email', {
+                  required: 'Email is required',
+                  pattern: {
+                    value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                    message: 'Invalid email address'
+                  }
+                })}
+                className={`input-field pl-10 ${errors.email ? 'border-red-500' : ''}`}
+                placeholder="name@example.com"
+              />
+            </div>
+            {errors.email && (
+              <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="role" className="block text-sm font-medium text-gray-700 mb-1">
+              Role
+            </label>
+            <select id="role" {...register('role')} className="input-field">
+              {/* Only admins can invite admins */}
+              {roles
+                .filter(role => isAdmin || role.key !== 'admin')
+                .map(role => (
+                  <option key={role.key} value={role.key}>{role.name}</option>
+                ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="expiresInDays" className="block text-sm font-medium text-gray-700 mb-1">
+              Expires after
+            </label>
+            <select id="expiresInDays" {...register('expiresInDays')} className="input-field">
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="md:col-span-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={creating}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Creating...
+                </>
+              ) : (
+                'Send Invitation'
+              )}
+            </button>
+          </div>
+        </form>
+
+        {lastLink && (
+          <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-sm font-medium text-green-800 mb-2">
+              Invitation link, if you also want to share it directly:
+            </p>
+            <div className="flex items-center space-x-2">
+              <input readOnly value={lastLink} className="input-field text-sm bg-white" />
+              <button
+                type="button"
+                onClick={() => copyLink(lastLink)}
+                className="btn-secondary flex items-center"
+                title="Copy link"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Invitation List */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">All Invitations</h2>
+        </div>
+
+        {loading ? (
+          <div className="py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : invitations.length === 0 ? (
+          <div className="text-center py-12">
+            <Mail className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No invitations yet</h3>
+            <p className="mt-1 text-sm text-gray-500">Create an invitation above to invite someone to the club.</p>
+          </div>
+        ) : (
+          <InvitationList invitations={invitations} roles={roles} onChange={fetchInvitations} />
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AdminInvitations
\ No newline at end of file
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getOrganizationRoles } from '../lib/supabase'
+import { KeyRound, Plus, Trash2, Lock } from 'lucide-react'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Turn a display name into a role key, e.g. "Events Lead" -> "events_lead"
+const toRoleKey = (name) => {
+  return name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^[^a-z]+|_+$/g, '')
+    .slice(0, 20)
+}
+
+const AdminRoles = () => {
+  const { currentOrganization } = useAuth()
+  const [roles, setRoles] = useState([])
+  const [permissions, setPermissions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [creating, setCreating] = useState(false)
+  const [updatingCell, setUpdatingCell] = useState(null)
+  const { register, handleSubmit, reset, formState: { errors } } = useForm({
+    defaultValues: {
+      name: '',
+      description: ''
+    }
+  })
+
+  useEffect(() => {
+    fetchData()
+  }, [currentOrganization?.id])
+
+  const fetchData = async () => {
+    try {
+      setLoading(true)
+
+      const { data: permissionsData, error } = await supabase
+        .from('permissions')
+        .select('*')
+        .order('key')
+
+      if (error) throw error
+
+      const rolesData = await getOrganizationRoles(currentOrganization.id)
+
+      setPermissions(permissionsData)
+      setRoles(rolesData)
+    } catch (error) {
+      console.error('Error fetching roles:', error)
+      toast.error('Failed to fetch roles')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const onSubmit = async (data) => {
+    const key = toRoleKey(data.name)
+    if (!key) {
+      toast.error('Role name must contain at least one letter')
+      return
+    }
+    if (roles.some(role => role.key === key)) {
+      toast.error('A role with this name already exists')
+      return
+    }
+
+    setCreating(true)
+    try {
+      const { data: role, error } = await supabase
+        .from('organization_roles')
+        .insert([{
+          organization_id: currentOrganization.id,
+          key,
+          name: data.name.trim(),
+          description: data.description.trim() || null
+        }])
+        .select()
+        .single()
+
+      if (error) throw error
+
+      setRoles(prev => [...prev, { ...role, permissions: [] }])
+      reset()
+      toast.success(`${role.name} role created`)
+    } catch (error) {
+      console.error('Error creating role:', error)
+      toast.error(`Failed to create role: ${error.message}`)
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const togglePermission = async (role, permission) => {
+    const granted = role.permissions.includes(permission)
+    const cell = `${role.key}:${permission}`
+
+    try {
+      setUpdatingCell(cell)
+
+      const { error } = granted
+        ? await supabase
+          .from('organization_role_permissions')
+          .delete()
+          .eq('organization_id', currentOrganization.id)
+          .eq('role', role.key)
+          .eq('permission', permission)
+        : await supabase
+          .from('organization_role_permissions')
+          .insert([{
+            organization_id: currentOrganization.id,
+            role: role.key,
+            permission
+          }])
+
+      if (error) throw error
+
+      setRoles(prev => prev.map(r =>
+        r.key === role.key
+          ? {
+              ...r,
+              permissions: granted
+                ? r.permissions.filter(p => p !== permission)
+                : [...r.permissions, permission]
+            }
+          : r
+      ))
+    } catch (error) {
+      console.error('Error updating permission:', error)
+      toast.error(`Failed to update permission: ${error.message}`)
+    } finally {
+      setUpdatingCell(null)
+    }
+  }
+
+  const deleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return
+
+    try {
+      const { error } = await supabase
+        .from('organization_roles')
+        .delete()
+        .eq('organization_id', currentOrganization.id)
+        .eq('key', role.key)
+
+      // Members and invitations reference roles by key
+      if (error?.code === '23503') {
+        toast.error(`${role.name} is still assigned to members or pending invitations. Change their role first.`)
+        return
+      }
+      if (error) throw error
+
+      setRoles(prev => prev.filter(r => r.key !== role.key))
+      toast.success(`${role.name} role deleted`)
+    } catch (error) {
+      console.error('Error deleting role:', error)
+      toast.error(`Failed to delete role: ${error.message}`)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Roles & Permissions</h1>
+        <p className="mt-2 text-gray-600">
+          Decide what each role in {currentOrganization?.name} can do. Admins always have every permission.
+        </p>
+      </div>
+
+      {/* Create Role */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Plus className="h-5 w-5 mr-2 text-primary-600" />
+          New Role
+        </h2>
+
+        <form onSubmit={handleSubmit(onSubmit)} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-start">
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              id="name"
+              type="text"
+              {...register('name', {
+                required: 'Role name is required',
+                maxLength: {
+                  value: 50,
+                  message: 'Role name must be at most 50 characters'
+                }
+              })}
+              className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+              placeholder="e.g., Events Lead"
+            />
+            {errors.name && (
+              <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+            )}
+          </div>
+
+          <div className="md:col-span-2">
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">
+              Description
+            </label>
+            <input
+              id="description"
+              type="text"
+              {...register('description')}
+              className="input-field"
+              placeholder="What this role is for (optional)"
+            />
+          </div>
+
+          <div className="md:pt-6">
+            <button
+              type="submit"
+              disabled={creating}
+              className="w-full btn-primary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Creating...
+                </>
+              ) : (
+                'Create Role'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Permission Matrix */}
+      <div className="card overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <KeyRound className="h-5 w-5 mr-2 text-primary-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Permission Matrix</h2>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Permission</th>
+                {roles.map(role => (
+                  <th key={role.key} className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <div className="flex items-center justify-center space-x-1">
+                      <span title={role.description || ''}>{role.name}</span>
+                      {role.is_system ? (
+                        <span title="Built-in role">
+                          <Lock className="h-3 w-3 text-gray-400" />
+                        </span>
+                      ) : (
+                        <button
+                          onClick={() => deleteRole(role)}
+                          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Delete role"
+                        >
+                          <Trash2 className="h-3 w-3" />
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {permissions.map(permission => (
+                <tr key={permission.key}>
+                  <td className="px-6 py-4">
+                    <div className="font-mono text-sm text-gray-900">{permission.key}</div>
+                    <div className="text-sm text-gray-500">{permission.description}</div>
+                  </td>
+                  {roles.map(role => {
+                    const isAdminRole = role.key === 'admin'
+                    const cell = `${role.key}:${permission.key}`
+
+                    return (
+                      <td key={role.key} className="px-4 py-4 text-center">
+                        {updatingCell === cell ? (
+                          <LoadingSpinner size="sm" />
+                        ) : (
+                          <input
+                            type="checkbox"
+                            checked={isAdminRole || role.permissions.includes(permission.key)}
+                            disabled={isAdminRole || updatingCell !== null}
+                            onChange={() => togglePermission(role, permission.key)}
+                            className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500 disabled:opacity-50"
+                          />
+                        )}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdminRoles
\ No newline at end of file
@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getOrganizationRoles } from '../lib/supabase'
+import { Users, Shield, User, FileText, UserX, UserCheck, UserMinus, History, Search, Mail, UserPlus } from 'lucide-react'
+import { format, formatDistanceToNow } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import InvitationList from '../components/InvitationList'
+import toast from 'react-hot-toast'
+
+const AUDIT_ACTION_LABELS = {
+  role_changed: 'changed the role of',
+  deactivated: 'deactivated',
+  reactivated: 'reactivated',
+  member_removed: 'removed'
+}
+
+const AdminUsers = () => {
+  const { user, currentOrganization, isAdmin, isPlatformAdmin } = useAuth()
+  const [users, setUsers] = useState([])
+  const [roles, setRoles] = useState([])
+  const [auditLog, setAuditLog] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [updatingUserId, setUpdatingUserId] = useState(null)
+  const [search, setSearch] = useState('')
+
+  useEffect(() => {
+    fetchData()
+  }, [currentOrganization?.id])
+
+  const fetchData = async () => {
+    try {
+      setLoading(true)
+
+      const { data: usersData, error: usersError } = await supabase.rpc('admin_list_users', {
+        p_organization_id: currentOrganization.id
+      })
+
+      if (usersError) throw usersError
+
+      const { data: auditData, error: auditError } = await supabase
+        .from('user_audit_log')
+        .select(`
+          *,
+          actor:users!actor_id(full_name),
+          target:users!target_user_id(full_name)
+        `)
+        .eq('organization_id', currentOrganization.id)
+        .order('created_at', { ascending: false })
+        .limit(50)
+
+      if (auditError) throw auditError
+
+      const rolesData = await getOrganizationRoles(currentOrganization.id)
+
+      setUsers(usersData)
+      setRoles(rolesData)
+      setAuditLog(auditData)
+      await fetchInvitations()
+    } catch (error) {
+      console.error('Error fetching users:', error)
+      toast.error('Failed to fetch users')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Invitations that have not been accepted or revoked yet, including expired ones that can be resent
+  const fetchInvitations = async () => {
+    try {
+      const { data, error } = await supabase
+        .from('invitations')
+        .select(`
+          *,
+          created_by_user:users!created_by(full_name)
+        `)
+        .eq('organization_id', currentOrganization.id)
+        .is('accepted_at', null)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false })
+
+      if (error) throw error
+
+      setInvitations(data)
+    } catch (error) {
+      console.error('Error fetching invitations:', error)
+      toast.error('Failed to fetch invitations')
+    }
+  }
+
+  const getRoleName = (key) => {
+    return roles.find(role => role.key === key)?.name || key
+  }
+
+  const changeRole = async (targetUser, role) => {
+    if (!window.confirm(`Change ${targetUser.full_name}'s role from ${getRoleName(targetUser.role)} to ${getRoleName(role)}?`)) return
+
+    try {
+      setUpdatingUserId(targetUser.id)
+
+      const { error } = await supabase.rpc('admin_set_user_role', {
+        p_organization_id: currentOrganization.id,
+        p_user_id: targetUser.id,
+        p_role: role
+      })
+
+      if (error) throw error
+
+      toast.success(`${targetUser.full_name} is now ${getRoleName(role)}`)
+      fetchData()
+    } catch (error) {
+      console.error('Error changing role:', error)
+      toast.error(`Failed to change role: ${error.message}`)
+    } finally {
+      setUpdatingUserId(null)
+    }
+  }
+
+  const removeMember = async (targetUser) => {
+    if (!window.confirm(`Remove ${targetUser.full_name} from ${currentOrganization.name}? They will lose access to its documents.`)) return
+
+    try {
+      setUpdatingUserId(targetUser.id)
+
+      const { error } = await supabase.rpc('admin_remove_member', {
+        p_organization_id: currentOrganization.id,
+        p_user_id: targetUser.id
+      })
+
+      if (error) throw error
+
+      toast.success(`${targetUser.full_name} removed from ${currentOrganization.name}`)
+      fetchData()
+    } catch (error) {
+      console.error('Error removing member:', error)
+      toast.error(`Failed to remove member: ${error.message}`)
+    } finally {
+      setUpdatingUserId(null)
+    }
+  }
+
+  const setActive = async (targetUser, active) => {
+    const message = active
+      ? `Reactivate ${targetUser.full_name}? They will be able to sign in again.`
+      : `Deactivate ${targetUser.full_name}? They will be signed out and unable to sign in.`
+    if (!window.confirm(message)) return
+
+    try {
+      setUpdatingUserId(targetUser.id)
+
+      const { error } = await supabase.rpc('admin_set_user_active', {
+        p_user_id: targetUser.id,
+        p_active: active
+      })
+
+      if (error) throw error
+
+      toast.success(`${targetUser.full_name} ${active ? 'reactivated' : 'deactivated'}`)
+      fetchData()
+    } catch (error) {
+      console.error('Error updating account status:', error)
+      toast.error(`Failed to update account: ${error.message}`)
+    } finally {
+      setUpdatingUserId(null)
+    }
+  }
+
+  const describeAuditEntry = (entry) => {
+    const action = AUDIT_ACTION_LABELS[entry.action] || entry.action
+    const target = entry.target?.full_name || 'a deleted user'
+    if (entry.action === 'role_changed') {
+      return `${action} ${target} from ${getRoleName(entry.old_value)} to ${getRoleName(entry.new_value)}`
+    }
+    if (entry.action === 'member_removed') {
+      return `${action} ${target} from the club`
+    }
+    return `${action} ${target}`
+  }
+
+  const filteredUsers = users.filter(u => {
+    if (!search.trim()) return true
+    const term = search.trim().toLowerCase()
+    return u.full_name.toLowerCase().includes(term) || u.email.toLowerCase().includes(term)
+  })
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">User Management</h1>
+          <p className="mt-2 text-gray-600">
+            Review the members of {currentOrganization?.name}, change their roles and remove access.
+            {isAdmin && ' Role permissions are configured on the Roles page.'}
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 relative">
+          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+            <Search className="h-5 w-5 text-gray-400" />
+          </div>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="input-field pl-10"
+            placeholder="Search by name or email"
+          />
+        </div>
+      </div>
+
+      {/* Users Table */}
+      <div className="card overflow-hidden mb-8">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <Users className="h-5 w-5 mr-2 text-primary-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Members ({users.length})</h2>
+        </div>
+
+        {filteredUsers.length === 0 ? (
+          <div className="text-center py-12">
+            <Users className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No users found</h3>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Joined</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Documents</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Activity</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredUsers.map((account) => {
+                  const isSelf = account.id === user?.id
+                  const isUpdating = updatingUserId === account.id
+                  // Only admins can change or remove other admins
+                  const canManage = !isSelf && (isAdmin || account.role !== 'admin')
+
+                  return (
+                    <tr key={account.id} className={account.is_active ? '' : 'bg-gray-50 opacity-75'}>
+                      <td className="px-6 py-4">
+                        <div className="font-medium text-gray-900">
+                          {account.full_name}
+                          {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                        </div>
+                        <div className="text-sm text-gray-500">{account.email}</div>
+                        {!account.is_active && (
+                          <span className="mt-1 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            Deactivated {account.deactivated_at && format(new Date(account.deactivated_at), 'MMM d, yyyy')}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        {canManage && account.is_active ? (
+                          <select
+                            value={account.role}
+                            onChange={(e) => changeRole(account, e.target.value)}
+                            disabled={isUpdating}
+                            className="input-field py-1 text-sm"
+                          >
+                            {roles
+                              .filter(role => isAdmin || role.key !== 'admin')
+                              .map(role => (
+                                <option key={role.key} value={role.key}>{role.name}</option>
+                              ))}
+                          </select>
+                        ) : (
+                          <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
+                            account.role === 'admin' ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-700'
+                          }`}>
+                            {account.role === 'admin' ? <Shield className="h-3 w-3 mr-1" /> : <User className="h-3 w-3 mr-1" />}
+                            {getRoleName(account.role)}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {format(new Date(account.created_at), 'MMM d, yyyy')}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        <span className="flex items-center">
+                          <FileText className="h-4 w-4 mr-1 text-gray-400" />
+                          {account.document_count}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {account.last_activity_at
+                          ? formatDistanceToNow(new Date(account.last_activity_at), { addSuffix: true })
+                          : 'Never'
+                        }
+                      </td>
+                      <td className="px-6 py-4">
+                        {isSelf ? (
+                          <p className="text-right text-xs text-gray-400">No actions on your own account</p>
+                        ) : !canManage ? (
+                          <p className="text-right text-xs text-gray-400">Only admins can manage admins</p>
+                        ) : isUpdating ? (
+                          <LoadingSpinner size="sm" />
+                        ) : (
+                          <div className="flex items-center justify-end space-x-2">
+                            <button
+                              onClick={() => removeMember(account)}
+                              className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                              title="Remove from club"
+                            >
+                              <UserMinus className="h-5 w-5" />
+                            </button>
+                            {/* Deactivation is account-wide, so only platform admins can do it */}
+                            {isPlatformAdmin && (account.is_active ? (
+                              <button
+                                onClick={() => setActive(account, false)}
+                                className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                                title="Deactivate account"
+                              >
+                                <UserX className="h-5 w-5" />
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => setActive(account, true)}
+                                className="p-2 text-gray-400 hover:text-green-600 transition-colors"
+                                title="Reactivate account"
+                              >
+                                <UserCheck className="h-5 w-5" />
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Open Invitations */}
+      <div className="card mb-8">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center">
+            <Mail className="h-5 w-5 mr-2 text-primary-600" />
+            <h2 className="text-lg font-semibold text-gray-900">Open Invitations ({invitations.length})</h2>
+          </div>
+          <Link to="/admin/invitations" className="btn-primary text-sm flex items-center">
+            <UserPlus className="h-4 w-4 mr-1" />
+            Invite member
+          </Link>
+        </div>
+
+        {invitations.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-8">No pending invitations</p>
+        ) : (
+          <InvitationList invitations={invitations} roles={roles} onChange={fetchInvitations} />
+        )}
+      </div>
+
+      {/* Audit Trail */}
+      <div className="card">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+          <History className="h-5 w-5 mr-2 text-primary-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Audit Trail</h2>
+        </div>
+
+        {auditLog.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-8">No account changes recorded yet</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {auditLog.map((entry) => (
+              <div key={entry.id} className="px-6 py-3 flex items-start space-x-4">
+                <div className="w-3 h-3 bg-blue-500 rounded-full mt-1.5 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-gray-900">
+                    <span className="font-semibold">{entry.actor?.full_name || 'Unknown'}</span>{' '}
+                    {describeAuditEntry(entry)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {format(new Date(entry.created_at), 'MMM d, yyyy \'at\' h:mm a')}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AdminUsers
\ No newline at end of file
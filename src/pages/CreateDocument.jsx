@@ -1,11 +1,12 @@
-import React, { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
-import { useForm, useFieldArray } from 'react-hook-form'
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useForm, useFieldArray, Controller } from 'react-hook-form'
 import { useAuth } from '../contexts/AuthContext'
-import { supabase } from '../lib/supabase'
+import { supabase, validateDocumentFile, uploadDocumentFile, hashFile, findDocumentsByHash, getDocumentTemplates, applyNamePattern, discardDraft, getDocumentCategories, getOrganizationTags, DOCUMENT_FILE_EXTENSIONS } from '../lib/supabase'
+import { isUploadCancelled } from '../lib/resumableUpload'
+import { stripImageMetadata } from '../lib/fileInspection'
 import { 
   ArrowLeft, 
-  Upload, 
   Plus, 
   Trash2, 
   FileText, 
@@ -16,80 +17,346 @@ import {
   Phone,
   Briefcase,
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  History,
+  LayoutTemplate,
+  Save,
+  Paperclip,
+  AlarmClock,
+  Tags,
+  ScanLine
 } from 'lucide-react'
+import { format } from 'date-fns'
 import LoadingSpinner from '../components/LoadingSpinner'
+import TagInput from '../components/TagInput'
+import FileDropZone from '../components/FileDropZone'
+import UploadProgress from '../components/UploadProgress'
+import DocumentScanner from '../components/DocumentScanner'
 import toast from 'react-hot-toast'
 
+// Quiet period after the last change before the draft is saved
+const AUTOSAVE_DELAY = 1500
+
+const emptySignatory = { name: '', position: '', email: '', phone: '', due_date: '', order_index: 0 }
+
+// datetime-local inputs hold local time without a zone; the database stores instants
+const toDateTimeInput = (value) => value ? format(new Date(value), "yyyy-MM-dd'T'HH:mm") : ''
+const fromDateTimeInput = (value) => value ? new Date(value).toISOString() : null
+
+const validateDueDate = (value) => !value || new Date(value) > new Date() || 'Due date must be in the future'
+
 const CreateDocument = () => {
   const navigate = useNavigate()
-  const { user } = useAuth()
+  const [searchParams] = useSearchParams()
+  const { user, currentOrganization } = useAuth()
   const [loading, setLoading] = useState(false)
   const [uploadedFile, setUploadedFile] = useState(null)
   const [uploading, setUploading] = useState(false)
+  const [attachments, setAttachments] = useState([])
+  const [uploadingAttachments, setUploadingAttachments] = useState(false)
+  // { fileName, loaded, total, retrying } while a file is on its way up
+  const [uploadProgress, setUploadProgress] = useState(null)
+  const [attachmentProgress, setAttachmentProgress] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [selectedTemplateId, setSelectedTemplateId] = useState('')
+  const [categories, setCategories] = useState([])
+  const [tagSuggestions, setTagSuggestions] = useState([])
+  const [draftId, setDraftId] = useState(null)
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  const [discarding, setDiscarding] = useState(false)
+  const [showScanner, setShowScanner] = useState(false)
+
+  // Autosave runs from timers and the unmount cleanup, so it reads refs
+  // rather than state that may be stale by then
+  const draftIdRef = useRef(null)
+  const uploadedFileRef = useRef(null)
+  const attachmentsRef = useRef([])
+  const autosaveTimerRef = useRef(null)
+  const saveQueueRef = useRef(Promise.resolve())
+  // Set once the draft is published or discarded so autosave stops writing to it
+  const draftClosedRef = useRef(false)
+  const uploadAbortRef = useRef(null)
+  const attachmentAbortRef = useRef(null)
 
-  const { register, control, handleSubmit, watch, formState: { errors } } = useForm({
+  const { register, control, handleSubmit, watch, setValue, getValues, reset, formState: { errors } } = useForm({
     defaultValues: {
       name: '',
       description: '',
+      due_date: '',
+      category_id: '',
+      tags: [],
       requires_admin_approval: false,
-      signatories: [
-        { name: '', position: '', email: '', phone: '', order_index: 0 }
-      ]
+      reset_signatures_on_revision: false,
+      signatories: [emptySignatory]
     }
   })
 
-  const { fields, append, remove } = useFieldArray({
+  const { fields, append, remove, replace } = useFieldArray({
     control,
     name: 'signatories'
   })
 
   const watchRequiresApproval = watch('requires_admin_approval')
 
-  const handleFileUpload = async (event) => {
-    const file = event.target.files[0]
-    if (!file) return
+  useEffect(() => {
+    fetchTemplates()
+    fetchLabels()
+  }, [currentOrganization?.id])
 
-    // Validate file size (10MB limit)
-    if (file.size > 10 * 1024 * 1024) {
-      toast.error('File size must be less than 10MB')
-      return
+  useEffect(() => {
+    const draftParam = searchParams.get('draft')
+    if (draftParam) loadDraft(draftParam)
+
+    const subscription = watch(() => scheduleDraftSave())
+    return () => {
+      subscription.unsubscribe()
+      uploadAbortRef.current?.abort()
+      attachmentAbortRef.current?.abort()
+      // Leaving the page: save now rather than lose the last few changes
+      if (autosaveTimerRef.current) queueDraftSave()
+    }
+  }, [])
+
+  const updateUploadedFile = (file) => {
+    uploadedFileRef.current = file
+    setUploadedFile(file)
+  }
+
+  const updateAttachments = (files) => {
+    attachmentsRef.current = files
+    setAttachments(files)
+  }
+
+  const loadDraft = async (id) => {
+    try {
+      const { data: draft, error } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('id', id)
+        .eq('status', 'draft')
+        .single()
+
+      if (error) throw error
+
+      draftIdRef.current = draft.id
+      setDraftId(draft.id)
+      setDraftSavedAt(new Date(draft.updated_at))
+      updateUploadedFile(draft.file_url
+        ? { name: draft.file_name, path: draft.file_url, hash: draft.file_hash }
+        : null)
+      updateAttachments(draft.draft_data?.attachments || [])
+
+      const signatories = draft.draft_data?.signatories
+      reset({
+        name: draft.draft_data?.name ?? draft.name,
+        description: draft.description || '',
+        due_date: toDateTimeInput(draft.due_date),
+        category_id: draft.category_id || '',
+        tags: draft.tags || [],
+        requires_admin_approval: draft.requires_admin_approval,
+        reset_signatures_on_revision: draft.reset_signatures_on_revision,
+        signatories: signatories?.length > 0 ? signatories : [emptySignatory]
+      })
+    } catch (error) {
+      console.error('Error loading draft:', error)
+      toast.error('This draft no longer exists')
+    }
+  }
+
+  const saveDraft = async () => {
+    if (draftClosedRef.current) return
+
+    const values = getValues()
+    const file = uploadedFileRef.current
+    const hasContent = file || attachmentsRef.current.length > 0 || values.name.trim() ||
+      values.description.trim() || values.signatories.some(sig => sig.name.trim())
+
+    // Don't create drafts for a form that was opened and left untouched
+    if (!hasContent && !draftIdRef.current) return
+
+    const draftData = {
+      name: values.name.trim() || 'Untitled draft',
+      description: values.description,
+      file_url: file?.path || null,
+      file_name: file?.name || null,
+      file_hash: file?.hash || null,
+      due_date: fromDateTimeInput(values.due_date),
+      category_id: values.category_id || null,
+      tags: values.tags,
+      requires_admin_approval: values.requires_admin_approval,
+      reset_signatures_on_revision: values.reset_signatures_on_revision,
+      draft_data: {
+        name: values.name,
+        signatories: values.signatories,
+        attachments: attachmentsRef.current
+      }
+    }
+
+    try {
+      if (draftIdRef.current) {
+        const { error } = await supabase
+          .from('documents')
+          .update(draftData)
+          .eq('id', draftIdRef.current)
+
+        if (error) throw error
+      } else {
+        const { data: draft, error } = await supabase
+          .from('documents')
+          .insert([{
+            ...draftData,
+            created_by: user.id,
+            organization_id: currentOrganization.id,
+            status: 'draft'
+          }])
+          .select('id')
+          .single()
+
+        if (error) throw error
+
+        draftIdRef.current = draft.id
+        setDraftId(draft.id)
+      }
+      setDraftSavedAt(new Date())
+    } catch (error) {
+      console.error('Error saving draft:', error)
+    }
+  }
+
+  // Saves run one after another so the first one can create the draft row
+  const queueDraftSave = () => {
+    clearTimeout(autosaveTimerRef.current)
+    autosaveTimerRef.current = null
+    saveQueueRef.current = saveQueueRef.current.then(saveDraft)
+    return saveQueueRef.current
+  }
+
+  const scheduleDraftSave = () => {
+    clearTimeout(autosaveTimerRef.current)
+    autosaveTimerRef.current = setTimeout(queueDraftSave, AUTOSAVE_DELAY)
+  }
+
+  const handleDiscardDraft = async () => {
+    if (!window.confirm('Discard this draft? Its uploaded file will be deleted as well.')) return
+
+    setDiscarding(true)
+    draftClosedRef.current = true
+    try {
+      clearTimeout(autosaveTimerRef.current)
+      autosaveTimerRef.current = null
+      await saveQueueRef.current
+
+      await discardDraft({
+        id: draftIdRef.current,
+        file_url: uploadedFileRef.current?.path,
+        draft_data: { attachments: attachmentsRef.current }
+      })
+
+      toast.success('Draft discarded')
+      navigate('/dashboard')
+    } catch (error) {
+      console.error('Error discarding draft:', error)
+      toast.error(`Failed to discard draft: ${error.message}`)
+      draftClosedRef.current = false
+    } finally {
+      setDiscarding(false)
     }
+  }
+
+  const fetchTemplates = async () => {
+    try {
+      const data = await getDocumentTemplates(currentOrganization.id)
+      setTemplates(data)
 
-    // Validate file type
-    const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'image/png', 'image/jpeg', 'image/jpg']
-    if (!allowedTypes.includes(file.type)) {
-      toast.error('Only PDF, DOC, DOCX, PNG, and JPG files are allowed')
+      // Arriving from "Use Template" on the template library
+      const requested = data.find(t => t.id === searchParams.get('template'))
+      if (requested) applyTemplate(requested)
+    } catch (error) {
+      console.error('Error fetching templates:', error)
+    }
+  }
+
+  const fetchLabels = async () => {
+    try {
+      const [categoriesData, tagsData] = await Promise.all([
+        getDocumentCategories(currentOrganization.id),
+        getOrganizationTags(currentOrganization.id)
+      ])
+      setCategories(categoriesData)
+      setTagSuggestions(tagsData)
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+    }
+  }
+
+  const applyTemplate = (template) => {
+    setSelectedTemplateId(template.id)
+    setValue('name', applyNamePattern(template.name_pattern), { shouldValidate: true })
+    setValue('description', template.description || '')
+    setValue('requires_admin_approval', template.requires_admin_approval)
+    setValue('reset_signatures_on_revision', template.reset_signatures_on_revision)
+    replace(
+      template.signatories.length > 0
+        ? template.signatories.map((sig, index) => ({
+            name: sig.name || '',
+            position: sig.position || '',
+            email: sig.email || '',
+            phone: sig.phone || '',
+            due_date: '',
+            order_index: index
+          }))
+        : [emptySignatory]
+    )
+  }
+
+  const handleTemplateChange = (event) => {
+    const template = templates.find(t => t.id === event.target.value)
+    if (!template) {
+      setSelectedTemplateId('')
       return
     }
+    applyTemplate(template)
+    toast.success(`Filled in from "${template.name}"`)
+  }
 
+  const handleFileUpload = async ([selectedFile]) => {
     setUploading(true)
     try {
-      const fileExt = file.name.split('.').pop()
-      const fileName = `${user.id}/${Date.now()}.${fileExt}`
-
-      const { data, error } = await supabase.storage
-        .from('documents')
-        .upload(fileName, file)
+      const validationError = await validateDocumentFile(selectedFile)
+      if (validationError) {
+        toast.error(validationError)
+        return
+      }
 
-      if (error) throw error
+      // The fingerprint is of the file as stored, without its metadata
+      const file = await stripImageMetadata(selectedFile)
+      const hash = await hashFile(file)
 
-      // Get public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from('documents')
-        .getPublicUrl(fileName)
+      const duplicates = await findDocumentsByHash(currentOrganization.id, hash, draftIdRef.current)
+      if (duplicates.length > 0 && !window.confirm(
+        `This exact file is already tracked as ${duplicates.map(doc => `"${doc.name}"`).join(', ')}. Upload it anyway?`
+      )) return
 
-      setUploadedFile({
-        name: file.name,
-        url: publicUrl,
-        path: fileName
+      uploadAbortRef.current = new AbortController()
+      setUploadProgress({ fileName: file.name, loaded: 0, total: file.size, retrying: false })
+      const uploaded = await uploadDocumentFile(currentOrganization.id, user.id, file, {
+        onProgress: (progress) => setUploadProgress({ fileName: file.name, ...progress }),
+        signal: uploadAbortRef.current.signal
       })
 
+      updateUploadedFile({ ...uploaded, hash })
+      queueDraftSave()
       toast.success('File uploaded successfully!')
     } catch (error) {
+      if (isUploadCancelled(error)) {
+        toast('Upload cancelled')
+        return
+      }
       console.error('Error uploading file:', error)
       toast.error(`Failed to upload file: ${error.message}`)
     } finally {
+      uploadAbortRef.current = null
+      setUploadProgress(null)
       setUploading(false)
     }
   }
@@ -104,16 +371,69 @@ const CreateDocument = () => {
         console.error('Error removing file:', error)
       }
     }
-    setUploadedFile(null)
+    updateUploadedFile(null)
+    queueDraftSave()
     toast.success('File removed')
   }
 
+  const handleAttachmentUpload = async (files) => {
+    for (const file of files) {
+      const validationError = await validateDocumentFile(file)
+      if (validationError) {
+        toast.error(`${file.name}: ${validationError}`)
+        return
+      }
+    }
+
+    setUploadingAttachments(true)
+    attachmentAbortRef.current = new AbortController()
+    try {
+      for (const [index, file] of files.entries()) {
+        const detail = files.length > 1 ? `${index + 1} of ${files.length}` : null
+        setAttachmentProgress({ fileName: file.name, detail, loaded: 0, total: file.size, retrying: false })
+
+        const uploaded = await uploadDocumentFile(currentOrganization.id, user.id, await stripImageMetadata(file), {
+          onProgress: (progress) => setAttachmentProgress({ fileName: file.name, detail, ...progress }),
+          signal: attachmentAbortRef.current.signal
+        })
+        updateAttachments([...attachmentsRef.current, uploaded])
+      }
+      toast.success(`${files.length} ${files.length === 1 ? 'file' : 'files'} attached`)
+    } catch (error) {
+      if (isUploadCancelled(error)) {
+        toast('Upload cancelled')
+      } else {
+        console.error('Error uploading attachment:', error)
+        toast.error(`Failed to upload attachment: ${error.message}`)
+      }
+    } finally {
+      // Record whatever made it into storage, even after a failure part-way through
+      queueDraftSave()
+      attachmentAbortRef.current = null
+      setAttachmentProgress(null)
+      setUploadingAttachments(false)
+    }
+  }
+
+  const removeAttachment = async (attachment) => {
+    try {
+      await supabase.storage
+        .from('documents')
+        .remove([attachment.path])
+    } catch (error) {
+      console.error('Error removing attachment:', error)
+    }
+    updateAttachments(attachmentsRef.current.filter(file => file.path !== attachment.path))
+    queueDraftSave()
+  }
+
   const addSignatory = () => {
     append({ 
       name: '', 
       position: '', 
       email: '', 
       phone: '', 
+      due_date: '',
       order_index: fields.length 
     })
   }
@@ -135,63 +455,52 @@ const CreateDocument = () => {
 
     setLoading(true)
     try {
-      // Create the document
-      const documentData = {
-        name: data.name,
-        description: data.description,
-        file_url: uploadedFile.url,
-        file_name: uploadedFile.name,
-        created_by: user.id,
-        requires_admin_approval: data.requires_admin_approval,
-        status: 'pending'
-      }
-
-      const { data: document, error: docError } = await supabase
-        .from('documents')
-        .insert([documentData])
-        .select()
-        .single()
-
-      if (docError) throw docError
+      // Let a pending autosave finish, then stop autosaving into the draft
+      clearTimeout(autosaveTimerRef.current)
+      autosaveTimerRef.current = null
+      await saveQueueRef.current
+      draftClosedRef.current = true
 
-      // Create signatories
-      if (data.signatories && data.signatories.length > 0) {
-        const signatoryData = data.signatories
-          .filter(sig => sig.name.trim()) // Only include signatories with names
-          .map((sig, index) => ({
-            document_id: document.id,
+      // Create the document, or publish the draft it was autosaved into,
+      // together with its signatories and supporting files
+      const { data: documentId, error } = await supabase.rpc('publish_document', {
+        p_organization_id: currentOrganization.id,
+        p_draft_id: draftIdRef.current,
+        p_document: {
+          name: data.name,
+          description: data.description,
+          file_url: uploadedFile.path,
+          file_name: uploadedFile.name,
+          file_hash: uploadedFile.hash || null,
+          due_date: fromDateTimeInput(data.due_date),
+          category_id: data.category_id || null,
+          tags: data.tags,
+          requires_admin_approval: data.requires_admin_approval,
+          reset_signatures_on_revision: data.reset_signatures_on_revision,
+          signatories: data.signatories.map(sig => ({
             name: sig.name,
             position: sig.position || null,
             email: sig.email || null,
             phone: sig.phone || null,
-            order_index: index,
-            is_signed: false
+            due_date: fromDateTimeInput(sig.due_date)
+          })),
+          attachments: attachments.map(file => ({
+            file_url: file.path,
+            file_name: file.name,
+            file_size: file.size,
+            mime_type: file.type
           }))
-
-        if (signatoryData.length > 0) {
-          const { error: sigError } = await supabase
-            .from('document_signatories')
-            .insert(signatoryData)
-
-          if (sigError) throw sigError
         }
-      }
+      })
 
-      // Log activity
-      await supabase
-        .from('document_activity')
-        .insert([{
-          document_id: document.id,
-          user_id: user.id,
-          action: 'created',
-          description: 'Document tracker created'
-        }])
+      if (error) throw error
 
       toast.success('Document tracker created successfully!')
-      navigate(`/document/${document.id}`)
+      navigate(`/document/${documentId}`)
     } catch (error) {
       console.error('Error creating document:', error)
       toast.error(`Failed to create document tracker: ${error.message}`)
+      draftClosedRef.current = false
     } finally {
       setLoading(false)
     }
@@ -221,6 +530,32 @@ const CreateDocument = () => {
         </div>
 
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
+          {/* Template Picker */}
+          {templates.length > 0 && (
+            <div className="bg-white rounded-xl shadow-lg border border-gray-100 p-6">
+              <label htmlFor="template" className="flex items-center text-sm font-semibold text-gray-700 mb-2">
+                <LayoutTemplate className="h-4 w-4 mr-2 text-blue-600" />
+                Start from a template
+              </label>
+              <select
+                id="template"
+                value={selectedTemplateId}
+                onChange={handleTemplateChange}
+                className="w-full px-4 py-3 rounded-lg border-2 border-gray-200 hover:border-gray-300 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all duration-200 bg-white"
+              >
+                <option value="">Blank document</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>
+                    {template.name} ({template.signatories.length} {template.signatories.length === 1 ? 'signatory' : 'signatories'})
+                  </option>
+                ))}
+              </select>
+              <p className="mt-2 text-sm text-gray-500">
+                Picking a template replaces the name, description, settings and signatories below. You can still edit them.
+              </p>
+            </div>
+          )}
+
           {/* Document Information Card */}
           <div className="bg-white rounded-xl shadow-lg border border-gray-100 overflow-hidden">
             <div className="bg-gradient-to-r from-blue-600 to-indigo-600 px-6 py-4">
@@ -272,48 +607,114 @@ const CreateDocument = () => {
                 />
               </div>
 
+              {/* Category and Tags */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="space-y-2">
+                  <label htmlFor="category_id" className="block text-sm font-semibold text-gray-700">
+                    Category
+                  </label>
+                  <select
+                    id="category_id"
+                    {...register('category_id')}
+                    className="w-full px-4 py-3 rounded-lg border-2 border-gray-200 hover:border-gray-300 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all duration-200 bg-white"
+                  >
+                    <option value="">No category</option>
+                    {categories.map(category => (
+                      <option key={category.id} value={category.id}>{category.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="space-y-2 md:col-span-2">
+                  <label htmlFor="tags" className="flex items-center text-sm font-semibold text-gray-700">
+                    <Tags className="h-4 w-4 mr-2" />
+                    Tags
+                  </label>
+                  <Controller
+                    name="tags"
+                    control={control}
+                    render={({ field }) => (
+                      <TagInput
+                        id="tags"
+                        value={field.value}
+                        onChange={field.onChange}
+                        suggestions={tagSuggestions}
+                        placeholder="e.g., fest-2025, reimbursement"
+                      />
+                    )}
+                  />
+                </div>
+              </div>
+
+              {/* Due Date */}
+              <div className="space-y-2">
+                <label htmlFor="due_date" className="flex items-center text-sm font-semibold text-gray-700">
+                  <AlarmClock className="h-4 w-4 mr-2" />
+                  Due Date
+                </label>
+                <input
+                  id="due_date"
+                  type="datetime-local"
+                  {...register('due_date', { validate: validateDueDate })}
+                  className={`w-full sm:w-auto px-4 py-3 rounded-lg border-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                    errors.due_date
+                      ? 'border-red-300 bg-red-50'
+                      : 'border-gray-200 hover:border-gray-300 focus:border-blue-500'
+                  }`}
+                />
+                {errors.due_date ? (
+                  <div className="flex items-center mt-2 text-red-600">
+                    <AlertCircle className="h-4 w-4 mr-1" />
+                    <p className="text-sm">{errors.due_date.message}</p>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    Optional. The document shows as overdue and its followers are notified if it isn't completed by then.
+                  </p>
+                )}
+              </div>
+
               {/* File Upload */}
               <div className="space-y-3">
                 <label className="block text-sm font-semibold text-gray-700">
                   Document File *
                 </label>
                 
-                {!uploadedFile ? (
-                  <div className="relative">
-                    <div className="flex justify-center px-6 pt-8 pb-8 border-3 border-gray-300 border-dashed rounded-xl hover:border-blue-400 transition-all duration-300 bg-gray-50 hover:bg-blue-50 group">
-                      <div className="space-y-3 text-center">
-                        <div className="flex justify-center">
-                          <Upload className="h-12 w-12 text-gray-400 group-hover:text-blue-500 transition-colors duration-300" />
-                        </div>
-                        <div className="flex text-sm text-gray-600">
-                          <label
-                            htmlFor="file-upload"
-                            className="relative cursor-pointer bg-white rounded-md font-semibold text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500 px-3 py-1"
-                          >
-                            <span>Upload a file</span>
-                            <input
-                              id="file-upload"
-                              name="file-upload"
-                              type="file"
-                              className="sr-only"
-                              accept=".pdf,.doc,.docx,.png,.jpg,.jpeg"
-                              onChange={handleFileUpload}
-                              disabled={uploading}
-                            />
-                          </label>
-                          <p className="pl-1">or drag and drop</p>
-                        </div>
-                        <p className="text-xs text-gray-500">
-                          PDF, DOC, DOCX, PNG, JPG up to 10MB
-                        </p>
-                      </div>
-                    </div>
-                  </div>
+                {uploadProgress ? (
+                  <UploadProgress
+                    {...uploadProgress}
+                    onCancel={() => uploadAbortRef.current?.abort()}
+                  />
+                ) : !uploadedFile ? (
+                  <>
+                    <FileDropZone
+                      id="file-upload"
+                      onFiles={handleFileUpload}
+                      disabled={uploading}
+                    />
+                    {DOCUMENT_FILE_EXTENSIONS.includes('pdf') && (
+                      <button
+                        type="button"
+                        onClick={() => setShowScanner(true)}
+                        disabled={uploading}
+                        className="w-full flex items-center justify-center px-4 py-3 border-2 border-gray-300 rounded-lg text-sm font-semibold text-gray-700 hover:bg-gray-50 hover:border-gray-400 transition-all duration-200 disabled:opacity-50"
+                      >
+                        <ScanLine className="h-5 w-5 mr-2 text-blue-600" />
+                        Scan paper pages into a PDF
+                      </button>
+                    )}
+                  </>
                 ) : (
                   <div className="flex items-center justify-between p-4 bg-green-50 border-2 border-green-200 rounded-lg">
-                    <div className="flex items-center">
-                      <CheckCircle className="h-5 w-5 text-green-600 mr-3" />
-                      <span className="text-sm text-green-800 font-medium">{uploadedFile.name}</span>
+                    <div className="flex items-center min-w-0">
+                      <CheckCircle className="h-5 w-5 text-green-600 mr-3 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <span className="block text-sm text-green-800 font-medium truncate">{uploadedFile.name}</span>
+                        {uploadedFile.hash && (
+                          <span className="block text-xs text-green-700 font-mono truncate" title={uploadedFile.hash}>
+                            SHA-256 {uploadedFile.hash.slice(0, 16)}…
+                          </span>
+                        )}
+                      </div>
                     </div>
                     <button
                       type="button"
@@ -325,14 +726,65 @@ const CreateDocument = () => {
                   </div>
                 )}
 
-                {uploading && (
+                {uploading && !uploadProgress && (
                   <div className="flex items-center justify-center py-4">
                     <LoadingSpinner size="sm" className="mr-2" />
-                    <span className="text-sm text-gray-600">Uploading file...</span>
+                    <span className="text-sm text-gray-600">Checking file...</span>
                   </div>
                 )}
               </div>
 
+              {/* Supporting Files */}
+              <div className="space-y-3">
+                <label className="flex items-center text-sm font-semibold text-gray-700">
+                  <Paperclip className="h-4 w-4 mr-1" />
+                  Supporting Files
+                </label>
+                <p className="text-xs text-gray-500">
+                  Receipts, quotes or anything else that goes with the main file.
+                </p>
+
+                {attachmentProgress ? (
+                  <UploadProgress
+                    {...attachmentProgress}
+                    onCancel={() => attachmentAbortRef.current?.abort()}
+                  />
+                ) : (
+                  <FileDropZone
+                    id="attachments-upload"
+                    onFiles={handleAttachmentUpload}
+                    multiple
+                    label="Attach files"
+                    disabled={uploadingAttachments}
+                    compact
+                  />
+                )}
+
+                {attachments.length > 0 && (
+                  <ul className="divide-y divide-gray-200 border-2 border-gray-200 rounded-lg">
+                    {attachments.map(attachment => (
+                      <li key={attachment.path} className="flex items-center justify-between px-4 py-3">
+                        <div className="flex items-center min-w-0">
+                          <FileText className="h-4 w-4 text-gray-400 mr-3 flex-shrink-0" />
+                          <span className="text-sm text-gray-800 font-medium truncate">{attachment.name}</span>
+                          <span className="ml-2 text-xs text-gray-500 flex-shrink-0">
+                            {(attachment.size / 1024 / 1024).toFixed(2)} MB
+                          </span>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => removeAttachment(attachment)}
+                          className="text-red-600 hover:text-red-800 transition-colors p-1 hover:bg-red-100 rounded"
+                          title="Remove attachment"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
               {/* Admin Approval Toggle */}
               <div className="flex items-start space-x-3 p-4 bg-gray-50 rounded-lg">
                 <div className="flex items-center h-5">
@@ -353,6 +805,27 @@ const CreateDocument = () => {
                   </p>
                 </div>
               </div>
+
+              {/* Revision Signature Reset Toggle */}
+              <div className="flex items-start space-x-3 p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center h-5">
+                  <input
+                    id="reset_signatures_on_revision"
+                    type="checkbox"
+                    {...register('reset_signatures_on_revision')}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                </div>
+                <div className="text-sm">
+                  <label htmlFor="reset_signatures_on_revision" className="font-semibold text-gray-700 flex items-center">
+                    <History className="h-4 w-4 mr-2 text-blue-600" />
+                    Reset Signatures on New Revisions
+                  </label>
+                  <p className="text-gray-500 mt-1">
+                    Check this if signatories must sign again whenever a new revision of the file is uploaded.
+                  </p>
+                </div>
+              </div>
             </div>
           </div>
 
@@ -469,6 +942,29 @@ const CreateDocument = () => {
                           placeholder="Enter phone number"
                         />
                       </div>
+
+                      {/* Due Date */}
+                      <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                          <AlarmClock className="h-4 w-4 inline mr-2" />
+                          Sign By
+                        </label>
+                        <input
+                          type="datetime-local"
+                          {...register(`signatories.${index}.due_date`, { validate: validateDueDate })}
+                          className={`w-full px-4 py-3 rounded-lg border-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                            errors.signatories?.[index]?.due_date
+                              ? 'border-red-300 bg-red-50'
+                              : 'border-gray-200 hover:border-gray-300 focus:border-indigo-500'
+                          }`}
+                        />
+                        {errors.signatories?.[index]?.due_date && (
+                          <div className="flex items-center mt-1 text-red-600">
+                            <AlertCircle className="h-4 w-4 mr-1" />
+                            <p className="text-sm">{errors.signatories[index].due_date.message}</p>
+                          </div>
+                        )}
+                      </div>
                     </div>
                   </div>
                 ))}
@@ -478,16 +974,32 @@ const CreateDocument = () => {
 
           {/* Submit Buttons */}
           <div className="flex flex-col sm:flex-row items-center justify-end space-y-4 sm:space-y-0 sm:space-x-4 pt-6">
+            {draftSavedAt && (
+              <p className="sm:mr-auto flex items-center text-sm text-gray-500">
+                <Save className="h-4 w-4 mr-1" />
+                Draft saved at {format(draftSavedAt, 'h:mm a')}
+              </p>
+            )}
+            {draftId && (
+              <button
+                type="button"
+                onClick={handleDiscardDraft}
+                disabled={discarding || loading}
+                className="w-full sm:w-auto px-6 py-3 border-2 border-red-200 text-red-600 font-semibold rounded-lg hover:bg-red-50 hover:border-red-300 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {discarding ? 'Discarding...' : 'Discard Draft'}
+              </button>
+            )}
             <button
               type="button"
               onClick={() => navigate('/dashboard')}
               className="w-full sm:w-auto px-6 py-3 border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 hover:border-gray-400 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500"
             >
-              Cancel
+              {draftId ? 'Save Draft & Close' : 'Cancel'}
             </button>
             <button
               type="submit"
-              disabled={loading || uploading}
+              disabled={loading || uploading || uploadingAttachments || discarding}
               className="w-full sm:w-auto px-8 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-semibold rounded-lg hover:from-blue-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-105 disabled:hover:scale-100 shadow-lg"
             >
               {loading ? (
@@ -505,6 +1017,16 @@ const CreateDocument = () => {
           </div>
         </form>
       </div>
+
+      {showScanner && (
+        <DocumentScanner
+          onScanned={(file) => {
+            setShowScanner(false)
+            handleFileUpload([file])
+          }}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,105 @@
+import React, { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { Building2, Mail } from 'lucide-react'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const CreateOrganization = () => {
+  const navigate = useNavigate()
+  const [loading, setLoading] = useState(false)
+  const { organizations, createOrganization } = useAuth()
+  const { register, handleSubmit, formState: { errors } } = useForm()
+
+  const onSubmit = async (data) => {
+    setLoading(true)
+    try {
+      const result = await createOrganization(data.name.trim())
+      if (result.success) {
+        navigate('/dashboard', { replace: true })
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="max-w-md mx-auto px-4 sm:px-6 lg:px-8 py-12 space-y-8">
+      {/* Header */}
+      <div className="text-center">
+        <div className="flex justify-center">
+          <Building2 className="h-12 w-12 text-primary-600" />
+        </div>
+        <h1 className="mt-6 text-3xl font-extrabold text-gray-900">
+          {organizations.length === 0 ? 'Set up your club' : 'Create another club'}
+        </h1>
+        <p className="mt-2 text-sm text-gray-600">
+          Each club has its own documents, members and admins.
+        </p>
+      </div>
+
+      {/* Form */}
+      <form className="card p-6 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+        <div>
+          <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">
+            Club name
+          </label>
+          <input
+            id="name"
+            type="text"
+            {...register('name', {
+              required: 'Club name is required',
+              minLength: {
+                value: 2,
+                message: 'Club name must be at least 2 characters'
+              }
+            })}
+            className={`input-field ${errors.name ? 'border-red-500' : ''}`}
+            placeholder="e.g., Robotics Club"
+          />
+          {errors.name && (
+            <p className="mt-1 text-sm text-red-600">{errors.name.message}</p>
+          )}
+          <p className="mt-1 text-xs text-gray-500">
+            You will be the first admin of this club
+          </p>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full btn-primary flex justify-center items-center py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? (
+            <>
+              <LoadingSpinner size="sm" className="mr-2" />
+              Creating club...
+            </>
+          ) : (
+            'Create club'
+          )}
+        </button>
+      </form>
+
+      {organizations.length === 0 ? (
+        <div className="flex items-start p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <Mail className="h-5 w-5 mr-3 flex-shrink-0" />
+          <p>
+            Joining an existing club? Ask one of its admins to send you an invitation link.
+          </p>
+        </div>
+      ) : (
+        <div className="text-center">
+          <Link
+            to="/dashboard"
+            className="font-medium text-primary-600 hover:text-primary-500 transition-colors text-sm"
+          >
+            Back to dashboard
+          </Link>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CreateOrganization
\ No newline at end of file
@@ -1,27 +1,41 @@
 import React, { useState, useEffect } from 'react'
 import { Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { supabase } from '../lib/supabase'
-import { Plus, FileText, Clock, CheckCircle, AlertCircle, Users, Download, Eye } from 'lucide-react'
+import { supabase, discardDraft, downloadDocumentFile, getDeadlineStatus, isDocumentOverdue, getDocumentCategories } from '../lib/supabase'
+import { Plus, FileText, Clock, CheckCircle, AlertCircle, Users, Download, Eye, PencilLine, Trash2, AlarmClock, Tags, X, FileSpreadsheet } from 'lucide-react'
 import { format } from 'date-fns'
 import LoadingSpinner from '../components/LoadingSpinner'
+import DeadlineBadge from '../components/DeadlineBadge'
+import CategoryBadge from '../components/CategoryBadge'
 import toast from 'react-hot-toast'
 
 const Dashboard = () => {
-  const { profile } = useAuth()
+  const { user, profile, currentOrganization, can } = useAuth()
   const [documents, setDocuments] = useState([])
+  const [drafts, setDrafts] = useState([])
   const [loading, setLoading] = useState(true)
   const [filter, setFilter] = useState('all')
+  const [categories, setCategories] = useState([])
+  // null for every category, 'uncategorized', or a category id
+  const [categoryFilter, setCategoryFilter] = useState(null)
+  const [tagFilter, setTagFilter] = useState([])
   const [stats, setStats] = useState({
     total: 0,
     pending: 0,
     inProgress: 0,
-    completed: 0
+    completed: 0,
+    overdue: 0
   })
 
   useEffect(() => {
     fetchDocuments()
-  }, [])
+  }, [currentOrganization?.id])
+
+  // Categories and tags belong to one club; keep them from filtering the next one
+  useEffect(() => {
+    setCategoryFilter(null)
+    setTagFilter([])
+  }, [currentOrganization?.id])
 
   const fetchDocuments = async () => {
     try {
@@ -33,23 +47,43 @@ const Dashboard = () => {
         .select(`
           *,
           created_by_user:users!created_by(full_name),
-          signatories:document_signatories(id, is_signed)
+          category:document_categories(id, name, color),
+          signatories:document_signatories(id, is_signed, due_date)
         `)
+        .eq('organization_id', currentOrganization.id)
+        .neq('status', 'draft')
+        .is('deleted_at', null)
         .order('created_at', { ascending: false })
 
       if (error) throw error
 
+      // Other members' drafts are hidden by RLS
+      const { data: draftsData, error: draftsError } = await supabase
+        .from('documents')
+        .select('id, name, file_url, file_name, draft_data, updated_at')
+        .eq('organization_id', currentOrganization.id)
+        .eq('status', 'draft')
+        .eq('created_by', user.id)
+        .order('updated_at', { ascending: false })
+
+      if (draftsError) throw draftsError
+
+      setDrafts(draftsData)
+      setCategories(await getDocumentCategories(currentOrganization.id))
+
       // Calculate stats
       const totalDocs = documentsData.length
       const pendingDocs = documentsData.filter(doc => doc.status === 'pending').length
       const inProgressDocs = documentsData.filter(doc => doc.status === 'in_progress').length
       const completedDocs = documentsData.filter(doc => doc.status === 'completed').length
+      const overdueDocs = documentsData.filter(doc => isDocumentOverdue(doc)).length
 
       setStats({
         total: totalDocs,
         pending: pendingDocs,
         inProgress: inProgressDocs,
-        completed: completedDocs
+        completed: completedDocs,
+        overdue: overdueDocs
       })
 
       setDocuments(documentsData)
@@ -61,6 +95,28 @@ const Dashboard = () => {
     }
   }
 
+  const handleDiscardDraft = async (draft) => {
+    if (!window.confirm(`Discard the draft "${draft.name}"? Its uploaded file will be deleted as well.`)) return
+
+    try {
+      await discardDraft(draft)
+      setDrafts(prev => prev.filter(d => d.id !== draft.id))
+      toast.success('Draft discarded')
+    } catch (error) {
+      console.error('Error discarding draft:', error)
+      toast.error(`Failed to discard draft: ${error.message}`)
+    }
+  }
+
+  const handleDownload = async (document) => {
+    try {
+      await downloadDocumentFile(document.file_url, document.file_name)
+    } catch (error) {
+      console.error('Error downloading file:', error)
+      toast.error(`Failed to download file: ${error.message}`)
+    }
+  }
+
   const getStatusIcon = (status) => {
     switch (status) {
       case 'pending':
@@ -100,8 +156,31 @@ const Dashboard = () => {
     return { signed, total, percentage }
   }
 
+  const toggleTag = (tag) => {
+    setTagFilter(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag])
+  }
+
+  const toggleCategory = (key) => {
+    setCategoryFilter(prev => prev === key ? null : key)
+  }
+
+  const clearLabelFilters = () => {
+    setCategoryFilter(null)
+    setTagFilter([])
+  }
+
+  const uncategorizedCount = documents.filter(doc => !doc.category_id).length
+  const allTags = [...new Set(documents.flatMap(doc => doc.tags || []))].sort()
+  const hasLabelFilters = categoryFilter !== null || tagFilter.length > 0
+
+  // Selected tags narrow the list: a document has to carry every one of them
   const filteredDocuments = documents.filter(doc => {
+    if (categoryFilter === 'uncategorized' && doc.category_id) return false
+    if (categoryFilter && categoryFilter !== 'uncategorized' && doc.category_id !== categoryFilter) return false
+    if (!tagFilter.every(tag => (doc.tags || []).includes(tag))) return false
+
     if (filter === 'all') return true
+    if (filter === 'overdue') return isDocumentOverdue(doc)
     return doc.status === filter
   })
 
@@ -121,18 +200,67 @@ const Dashboard = () => {
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
             <p className="mt-2 text-gray-600">
-              Welcome back, {profile?.full_name}! Manage your club's document tracking.
+              Welcome back, {profile?.full_name}! Manage {currentOrganization?.name}'s document tracking.
             </p>
           </div>
-          <div className="mt-4 sm:mt-0">
-            <Link to="/create-document" className="btn-primary flex items-center">
-              <Plus className="h-5 w-5 mr-2" />
-              New Document Tracker
-            </Link>
-          </div>
+          {can('document.create') && (
+            <div className="mt-4 sm:mt-0 flex items-center gap-3">
+              <Link
+                to="/import"
+                className="bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center font-medium transition-all duration-200"
+              >
+                <FileSpreadsheet className="h-5 w-5 mr-2" />
+                Import
+              </Link>
+              <Link to="/create-document" className="btn-primary flex items-center">
+                <Plus className="h-5 w-5 mr-2" />
+                New Document Tracker
+              </Link>
+            </div>
+          )}
         </div>
       </div>
 
+      {/* My Drafts */}
+      {drafts.length > 0 && (
+        <div className="card mb-8">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center">
+            <PencilLine className="h-5 w-5 mr-2 text-primary-600" />
+            <h2 className="text-lg font-semibold text-gray-900">My Drafts</h2>
+            <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+              {drafts.length}
+            </span>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {drafts.map(draft => (
+              <li key={draft.id} className="px-6 py-4 flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{draft.name}</p>
+                  <p className="text-sm text-gray-500">
+                    {draft.file_name || 'No file uploaded yet'} • Last saved {format(new Date(draft.updated_at), 'MMM d, yyyy h:mm a')}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <Link
+                    to={`/create-document?draft=${draft.id}`}
+                    className="btn-secondary text-sm"
+                  >
+                    Resume
+                  </Link>
+                  <button
+                    onClick={() => handleDiscardDraft(draft)}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Discard draft"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
         <div className="card p-6">
@@ -184,6 +312,66 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Category Cards */}
+      {categories.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
+          {[
+            ...categories.map(category => ({
+              key: category.id,
+              category,
+              count: documents.filter(doc => doc.category_id === category.id).length
+            })),
+            { key: 'uncategorized', category: null, count: uncategorizedCount }
+          ].map(item => (
+            <button
+              key={item.key}
+              onClick={() => toggleCategory(item.key)}
+              className={`card p-4 text-left transition-all duration-200 hover:shadow-lg ${
+                categoryFilter === item.key ? 'ring-2 ring-primary-500' : ''
+              }`}
+            >
+              {item.category ? (
+                <CategoryBadge category={item.category} />
+              ) : (
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium border border-dashed border-gray-300 text-gray-500">
+                  Uncategorized
+                </span>
+              )}
+              <p className="mt-2 text-2xl font-bold text-gray-900">{item.count}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Tag Filter */}
+      {allTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          <Tags className="h-4 w-4 text-gray-400" />
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`px-2 py-1 rounded-full text-xs font-medium transition-colors ${
+                tagFilter.includes(tag)
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              #{tag}
+            </button>
+          ))}
+          {hasLabelFilters && (
+            <button
+              onClick={clearLabelFilters}
+              className="inline-flex items-center px-2 py-1 text-xs font-medium text-gray-500 hover:text-gray-700"
+            >
+              <X className="h-3 w-3 mr-1" />
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Filter Tabs */}
       <div className="mb-6">
         <div className="border-b border-gray-200">
@@ -192,7 +380,8 @@ const Dashboard = () => {
               { key: 'all', label: 'All Documents' },
               { key: 'pending', label: 'Pending' },
               { key: 'in_progress', label: 'In Progress' },
-              { key: 'completed', label: 'Completed' }
+              { key: 'completed', label: 'Completed' },
+              { key: 'overdue', label: 'Overdue' }
             ].map((tab) => (
               <button
                 key={tab.key}
@@ -205,7 +394,7 @@ const Dashboard = () => {
               >
                 {tab.label}
                 <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
-                  {tab.key === 'all' ? stats.total : stats[tab.key]}
+                  {tab.key === 'all' ? stats.total : tab.key === 'in_progress' ? stats.inProgress : stats[tab.key]}
                 </span>
               </button>
             ))}
@@ -219,8 +408,12 @@ const Dashboard = () => {
           <FileText className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">No documents found</h3>
           <p className="mt-1 text-sm text-gray-500">
-            {filter === 'all' 
-              ? "Get started by creating your first document tracker."
+            {hasLabelFilters
+              ? 'No documents match the selected category and tags.'
+              : filter === 'all' 
+              ? (can('document.create') ? "Get started by creating your first document tracker." : "No documents have been created yet.")
+              : filter === 'overdue'
+              ? 'No document has missed a deadline.'
               : `No documents with ${filter.replace('_', ' ')} status.`
             }
           </p>
@@ -230,6 +423,9 @@ const Dashboard = () => {
         <div className="grid gap-6">
           {filteredDocuments.map((document) => {
             const progress = getSignatureProgress(document.signatories)
+            const overdueSignatures = ['completed', 'rejected'].includes(document.status)
+              ? 0
+              : document.signatories.filter(sig => getDeadlineStatus(sig.due_date, sig.is_signed)?.state === 'overdue').length
             
             return (
               <div key={document.id} className="card p-6 hover:shadow-lg transition-shadow">
@@ -243,7 +439,22 @@ const Dashboard = () => {
                       <span className={getStatusBadge(document.status)}>
                         {document.status.replace('_', ' ').toUpperCase()}
                       </span>
+                      <DeadlineBadge
+                        dueDate={document.due_date}
+                        done={['completed', 'rejected'].includes(document.status)}
+                      />
+                      <CategoryBadge category={document.category} />
                     </div>
+
+                    {document.tags?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {document.tags.map(tag => (
+                          <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full text-xs">
+                            #{tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     
                     {document.description && (
                       <p className="text-gray-600 mb-3 line-clamp-2">
@@ -267,6 +478,18 @@ const Dashboard = () => {
                           </div>
                         </>
                       )}
+
+                      {overdueSignatures > 0 && (
+                        <>
+                          <span>•</span>
+                          <span className="flex items-center space-x-1 text-red-600">
+                            <AlarmClock className="h-3 w-3" />
+                            <span>
+                              {overdueSignatures} {overdueSignatures === 1 ? 'signature' : 'signatures'} overdue
+                            </span>
+                          </span>
+                        </>
+                      )}
                       
                       {document.requires_admin_approval && (
                         <>
@@ -302,15 +525,13 @@ const Dashboard = () => {
                   
                   <div className="flex items-center space-x-2 ml-4">
                     {document.file_url && (
-                      <a
-                        href={document.file_url}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                      <button
+                        onClick={() => handleDownload(document)}
                         className="p-2 text-gray-400 hover:text-primary-600 transition-colors"
                         title="Download file"
                       >
                         <Download className="h-5 w-5" />
-                      </a>
+                      </button>
                     )}
                     
                     <Link
@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import React, { useState, useEffect, useRef } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { supabase } from '../lib/supabase'
+import { supabase, validateDocumentFile, uploadDocumentFile, removeDocumentFiles, downloadDocumentFile, downloadFilesAsZip, verifyDocumentFile, DOCUMENT_FILE_ACCEPT } from '../lib/supabase'
+import { isUploadCancelled } from '../lib/resumableUpload'
+import { stripImageMetadata } from '../lib/fileInspection'
 import { 
   ArrowLeft, 
   Download, 
@@ -29,33 +31,76 @@ import {
   ShieldX,
   Trash2,
   Lock,
-  Unlock
+  Unlock,
+  Upload,
+  History,
+  Copy,
+  Paperclip,
+  Archive,
+  Eye,
+  Fingerprint,
+  Tags,
+  RotateCcw,
+  CopyPlus
 } from 'lucide-react'
-import { format } from 'date-fns'
+import { format, addDays } from 'date-fns'
 import LoadingSpinner from '../components/LoadingSpinner'
+import UserAvatar from '../components/UserAvatar'
+import RevisionUploadModal from '../components/RevisionUploadModal'
+import SaveTemplateModal from '../components/SaveTemplateModal'
+import EditDocumentModal from '../components/EditDocumentModal'
+import DocumentViewer from '../components/DocumentViewer'
+import DeadlineBadge from '../components/DeadlineBadge'
+import CategoryBadge from '../components/CategoryBadge'
+import DocumentLabelsModal from '../components/DocumentLabelsModal'
+import DuplicateDocumentModal from '../components/DuplicateDocumentModal'
+import UploadProgress from '../components/UploadProgress'
 import toast from 'react-hot-toast'
 
 const DocumentDetails = () => {
   const { id } = useParams()
   const navigate = useNavigate()
-  const { user, profile } = useAuth()
+  const { user, profile, can, isAal2, organizations, currentOrganization, switchOrganization } = useAuth()
   const [document, setDocument] = useState(null)
   const [signatories, setSignatories] = useState([])
   const [comments, setComments] = useState([])
   const [activity, setActivity] = useState([])
+  const [versions, setVersions] = useState([])
+  const [attachments, setAttachments] = useState([])
+  const [uploadingAttachments, setUploadingAttachments] = useState(false)
+  const [attachmentProgress, setAttachmentProgress] = useState(null)
+  const attachmentAbortRef = useRef(null)
+  const [zipping, setZipping] = useState(false)
+  const [verifyingIntegrity, setVerifyingIntegrity] = useState(false)
+  const [showRevisionUpload, setShowRevisionUpload] = useState(false)
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false)
+  const [showDuplicate, setShowDuplicate] = useState(false)
+  const [showEdit, setShowEdit] = useState(false)
+  const [showLabels, setShowLabels] = useState(false)
+  // null previews the document's current file
+  const [previewFile, setPreviewFile] = useState(null)
+  const previewRef = useRef(null)
+  const [adminIds, setAdminIds] = useState(new Set())
   const [loading, setLoading] = useState(true)
   const [newComment, setNewComment] = useState('')
   const [submittingComment, setSubmittingComment] = useState(false)
   const [editingSignatory, setEditingSignatory] = useState(null)
   const [approvingDocument, setApprovingDocument] = useState(false)
   const [deletingDocument, setDeletingDocument] = useState(false)
+  const [restoringDocument, setRestoringDocument] = useState(false)
 
   useEffect(() => {
     if (id) {
+      // Activity links move between documents without remounting the page
+      setPreviewFile(null)
       fetchDocumentDetails()
     }
   }, [id])
 
+  useEffect(() => {
+    return () => attachmentAbortRef.current?.abort()
+  }, [])
+
   const fetchDocumentDetails = async () => {
     try {
       setLoading(true)
@@ -65,13 +110,21 @@ const DocumentDetails = () => {
         .from('documents')
         .select(`
           *,
-          created_by_user:users!created_by(full_name, role)
+          created_by_user:users!created_by(full_name),
+          deleted_by_user:users!deleted_by(full_name),
+          category:document_categories(id, name, color)
         `)
         .eq('id', id)
         .single()
 
       if (docError) throw docError
 
+      // Drafts are finished on the create form
+      if (docData.status === 'draft') {
+        navigate(`/create-document?draft=${id}`, { replace: true })
+        return
+      }
+
       // Fetch signatories
       const { data: sigData, error: sigError } = await supabase
         .from('document_signatories')
@@ -86,7 +139,7 @@ const DocumentDetails = () => {
         .from('document_comments')
         .select(`
           *,
-          user:users(full_name, role)
+          user:users(full_name, avatar_url)
         `)
         .eq('document_id', id)
         .order('created_at', { ascending: false })
@@ -98,17 +151,59 @@ const DocumentDetails = () => {
         .from('document_activity')
         .select(`
           *,
-          user:users(full_name, role)
+          user:users(full_name)
         `)
         .eq('document_id', id)
         .order('created_at', { ascending: false })
 
       if (activityError) throw activityError
 
+      // Fetch every revision of the file, newest first
+      const { data: versionsData, error: versionsError } = await supabase
+        .from('document_versions')
+        .select(`
+          *,
+          uploaded_by_user:users!uploaded_by(full_name)
+        `)
+        .eq('document_id', id)
+        .order('version_number', { ascending: false })
+
+      if (versionsError) throw versionsError
+
+      // Fetch supporting files
+      const { data: attachmentsData, error: attachmentsError } = await supabase
+        .from('document_files')
+        .select(`
+          *,
+          uploaded_by_user:users!uploaded_by(full_name)
+        `)
+        .eq('document_id', id)
+        .order('created_at')
+
+      if (attachmentsError) throw attachmentsError
+
+      // Admin badges reflect the roles within the document's club
+      const { data: adminData, error: adminError } = await supabase
+        .from('organization_members')
+        .select('user_id')
+        .eq('organization_id', docData.organization_id)
+        .eq('role', 'admin')
+
+      if (adminError) throw adminError
+
+      // Opening a link to another of the user's clubs switches to that club
+      if (docData.organization_id !== currentOrganization?.id &&
+          organizations.some(org => org.id === docData.organization_id)) {
+        switchOrganization(docData.organization_id)
+      }
+
       setDocument(docData)
+      setAdminIds(new Set(adminData.map(member => member.user_id)))
       setSignatories(sigData)
       setComments(commentsData)
       setActivity(activityData)
+      setVersions(versionsData)
+      setAttachments(attachmentsData)
     } catch (error) {
       console.error('Error fetching document details:', error)
       toast.error('Failed to load document details')
@@ -175,8 +270,17 @@ const DocumentDetails = () => {
     }
   }
 
+  // Privileged actions need a session verified with an authenticator app
+  const requireAal2 = (action) => {
+    if (isAal2) return true
+
+    toast.error(`${action} requires two-factor authentication. Set up an authenticator app under Account Security and sign in again.`)
+    return false
+  }
+
   const handleAdminApproval = async (approved) => {
     if (approvingDocument) return
+    if (!requireAal2(approved ? 'Approving documents' : 'Rejecting documents')) return
     
     try {
       setApprovingDocument(true)
@@ -217,48 +321,24 @@ const DocumentDetails = () => {
 
   const handleDeleteDocument = async () => {
     if (deletingDocument) return
+    // Creators can delete their own documents; deleting anyone else's is privileged
+    if (document.created_by !== user.id && !requireAal2("Deleting other members' documents")) return
 
-    // Confirmation dialog
+    const retentionDays = currentOrganization?.trash_retention_days ?? 30
     const confirmDelete = window.confirm(
-      `Are you sure you want to delete "${document.name}"?\n\nThis action cannot be undone and will permanently remove:\n• The document and all its data\n• All signatures and comments\n• Complete activity history\n\nType "DELETE" to confirm.`
+      `Move "${document.name}" to the trash?\n\nIts signatures, comments, activity and files are kept, and it can be restored from the Trash for ${retentionDays} days before it is permanently deleted.`
     )
-    
-    if (!confirmDelete) return
 
-    const secondConfirm = window.prompt(
-      'To confirm deletion, please type "DELETE" (all capitals):'
-    )
-    
-    if (secondConfirm !== 'DELETE') {
-      toast.error('Deletion cancelled - confirmation text did not match')
-      return
-    }
+    if (!confirmDelete) return
 
     try {
       setDeletingDocument(true)
 
-      // Delete file from storage if exists
-      if (document.file_url) {
-        const fileName = document.file_url.split('/').pop()
-        await supabase.storage
-          .from('documents')
-          .remove([`${document.created_by}/${fileName}`])
-      }
-
-      // Delete related records (cascade should handle this, but being explicit)
-      await supabase.from('document_comments').delete().eq('document_id', id)
-      await supabase.from('document_activity').delete().eq('document_id', id)
-      await supabase.from('document_signatories').delete().eq('document_id', id)
-      
-      // Finally delete the document
-      const { error } = await supabase
-        .from('documents')
-        .delete()
-        .eq('id', id)
+      const { error } = await supabase.rpc('trash_document', { p_document_id: id })
 
       if (error) throw error
 
-      toast.success('Document deleted successfully')
+      toast.success('Document moved to the trash')
       navigate('/dashboard')
     } catch (error) {
       console.error('Error deleting document:', error)
@@ -268,6 +348,24 @@ const DocumentDetails = () => {
     }
   }
 
+  const handleRestoreDocument = async () => {
+    try {
+      setRestoringDocument(true)
+
+      const { error } = await supabase.rpc('restore_document', { p_document_id: id })
+
+      if (error) throw error
+
+      toast.success('Document restored')
+      fetchDocumentDetails()
+    } catch (error) {
+      console.error('Error restoring document:', error)
+      toast.error(`Failed to restore document: ${error.message}`)
+    } finally {
+      setRestoringDocument(false)
+    }
+  }
+
   const addComment = async () => {
     if (!newComment.trim()) return
 
@@ -283,7 +381,7 @@ const DocumentDetails = () => {
         }])
         .select(`
           *,
-          user:users(full_name, role)
+          user:users(full_name, avatar_url)
         `)
         .single()
 
@@ -330,14 +428,219 @@ const DocumentDetails = () => {
     return Math.round((completedSignatures / signatories.length) * 100)
   }
 
-  const downloadFile = () => {
-    if (document?.file_url) {
-      window.open(document.file_url, '_blank')
+  const showPreview = (filePath, fileName) => {
+    setPreviewFile(filePath === document.file_url ? null : { path: filePath, name: fileName })
+    previewRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  const downloadFile = async (filePath = document?.file_url, fileName = document?.file_name) => {
+    if (!filePath) return
+
+    try {
+      await downloadDocumentFile(filePath, fileName)
+    } catch (error) {
+      console.error('Error downloading file:', error)
+      toast.error(`Failed to download file: ${error.message}`)
+    }
+  }
+
+  // Re-hash the stored file and compare it with the fingerprint taken at upload
+  const verifyIntegrity = async () => {
+    setVerifyingIntegrity(true)
+    try {
+      const { matches, actualHash } = await verifyDocumentFile(document.file_url, document.file_hash)
+
+      // Log activity
+      await supabase
+        .from('document_activity')
+        .insert([{
+          document_id: id,
+          user_id: user.id,
+          action: matches ? 'integrity_verified' : 'integrity_mismatch',
+          description: matches
+            ? `Verified revision ${document.current_version} against its SHA-256 fingerprint`
+            : `Found that revision ${document.current_version} no longer matches its SHA-256 fingerprint`,
+          metadata: {
+            version: document.current_version,
+            expected_hash: document.file_hash,
+            actual_hash: actualHash
+          }
+        }])
+
+      if (matches) {
+        toast.success('The stored file matches the one originally uploaded')
+      } else {
+        toast.error('The stored file does not match the one originally uploaded')
+      }
+      fetchDocumentDetails()
+    } catch (error) {
+      console.error('Error verifying file integrity:', error)
+      toast.error(`Failed to verify file: ${error.message}`)
+    } finally {
+      setVerifyingIntegrity(false)
+    }
+  }
+
+  const handleRevisionUploaded = () => {
+    setShowRevisionUpload(false)
+    fetchDocumentDetails()
+  }
+
+  const handleAttachmentUpload = async (event) => {
+    const files = Array.from(event.target.files)
+    event.target.value = ''
+    if (files.length === 0) return
+
+    for (const file of files) {
+      const validationError = await validateDocumentFile(file)
+      if (validationError) {
+        toast.error(`${file.name}: ${validationError}`)
+        return
+      }
     }
+
+    setUploadingAttachments(true)
+    attachmentAbortRef.current = new AbortController()
+    const uploadedFiles = []
+    try {
+      for (const [index, file] of files.entries()) {
+        const detail = files.length > 1 ? `${index + 1} of ${files.length}` : null
+        setAttachmentProgress({ fileName: file.name, detail, loaded: 0, total: file.size, retrying: false })
+
+        uploadedFiles.push(await uploadDocumentFile(document.organization_id, user.id, await stripImageMetadata(file), {
+          onProgress: (progress) => setAttachmentProgress({ fileName: file.name, detail, ...progress }),
+          signal: attachmentAbortRef.current.signal
+        }))
+      }
+      setAttachmentProgress(null)
+
+      const { error } = await supabase
+        .from('document_files')
+        .insert(uploadedFiles.map(file => ({
+          document_id: id,
+          file_url: file.path,
+          file_name: file.name,
+          file_size: file.size,
+          mime_type: file.type,
+          uploaded_by: user.id
+        })))
+
+      if (error) throw error
+
+      // Log activity
+      await supabase
+        .from('document_activity')
+        .insert([{
+          document_id: id,
+          user_id: user.id,
+          action: 'attachment_added',
+          description: `Attached ${uploadedFiles.map(file => file.name).join(', ')}`,
+          metadata: { file_names: uploadedFiles.map(file => file.name) }
+        }])
+
+      toast.success(`${uploadedFiles.length} ${uploadedFiles.length === 1 ? 'file' : 'files'} attached`)
+      fetchDocumentDetails()
+    } catch (error) {
+      if (isUploadCancelled(error)) {
+        toast('Upload cancelled')
+      } else {
+        console.error('Error uploading attachments:', error)
+        toast.error(`Failed to upload attachments: ${error.message}`)
+      }
+
+      // Don't leave orphaned files behind when they were not recorded
+      if (uploadedFiles.length > 0) {
+        await supabase.storage
+          .from('documents')
+          .remove(uploadedFiles.map(file => file.path))
+      }
+    } finally {
+      attachmentAbortRef.current = null
+      setAttachmentProgress(null)
+      setUploadingAttachments(false)
+    }
+  }
+
+  const deleteAttachment = async (attachment) => {
+    if (!window.confirm(`Remove the attachment "${attachment.file_name}"?`)) return
+
+    try {
+      // The file goes first: its storage policy looks for the attachment row
+      await removeDocumentFiles([attachment.file_url])
+
+      const { error } = await supabase
+        .from('document_files')
+        .delete()
+        .eq('id', attachment.id)
+
+      if (error) throw error
+
+      if (previewFile?.path === attachment.file_url) setPreviewFile(null)
+
+      // Log activity
+      await supabase
+        .from('document_activity')
+        .insert([{
+          document_id: id,
+          user_id: user.id,
+          action: 'attachment_removed',
+          description: `Removed attachment ${attachment.file_name}`,
+          metadata: { file_name: attachment.file_name }
+        }])
+
+      toast.success('Attachment removed')
+      fetchDocumentDetails()
+    } catch (error) {
+      console.error('Error removing attachment:', error)
+      toast.error(`Failed to remove attachment: ${error.message}`)
+    }
+  }
+
+  const downloadAllAsZip = async () => {
+    setZipping(true)
+    try {
+      const files = [
+        ...(document.file_url ? [{ name: document.file_name, path: document.file_url }] : []),
+        ...attachments.map(attachment => ({ name: attachment.file_name, path: attachment.file_url }))
+      ]
+      await downloadFilesAsZip(files, `${document.name}.zip`)
+    } catch (error) {
+      console.error('Error creating ZIP:', error)
+      toast.error(`Failed to create ZIP: ${error.message}`)
+    } finally {
+      setZipping(false)
+    }
+  }
+
+  const handleDocumentEdited = () => {
+    setShowEdit(false)
+    fetchDocumentDetails()
+  }
+
+  const handleLabelsSaved = () => {
+    setShowLabels(false)
+    fetchDocumentDetails()
+  }
+
+  // Before/after values logged by update_document_details, shown under the activity entry
+  const formatChangeValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'none'
+    if (typeof value === 'boolean') return value ? 'yes' : 'no'
+    if (Array.isArray(value)) return value.length > 0 ? value.map(item => `"${item}"`).join(', ') : 'none'
+    return `"${value}"`
   }
 
   const canUserDelete = () => {
-    return profile?.role === 'admin' || document?.created_by === user?.id
+    return can('document.delete') || document?.created_by === user?.id
+  }
+
+  // Trashed documents are read-only until restored
+  const canEditDocument = () => {
+    return !document?.deleted_at && (can('document.edit') || document?.created_by === user?.id)
+  }
+
+  const canManageSignatories = () => {
+    return !document?.deleted_at && (can('signatory.manage') || document?.created_by === user?.id)
   }
 
   const isDocumentLocked = () => {
@@ -373,6 +676,16 @@ const DocumentDetails = () => {
     )
   }
 
+  // The current file and attachments, plus an older revision while one is being previewed
+  const previewOptions = [
+    { path: document.file_url, name: document.file_name, label: `${document.file_name} (current)` },
+    ...attachments.map(attachment => ({ path: attachment.file_url, name: attachment.file_name, label: attachment.file_name }))
+  ]
+  if (previewFile && !previewOptions.some(option => option.path === previewFile.path)) {
+    const version = versions.find(v => v.file_url === previewFile.path)
+    previewOptions.push({ ...previewFile, label: version ? `${previewFile.name} (v${version.version_number})` : previewFile.name })
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6 sm:py-8">
@@ -388,17 +701,19 @@ const DocumentDetails = () => {
             </button>
             
             <div className="flex flex-col sm:flex-row items-start sm:items-center space-y-2 sm:space-y-0 sm:space-x-3">
-              <button
-                onClick={() => navigate('/create-document')}
-                className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
-              >
-                <Plus className="h-4 w-4 mr-2" />
-                New Document
-              </button>
+              {can('document.create') && (
+                <button
+                  onClick={() => navigate('/create-document')}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  New Document
+                </button>
+              )}
               
               {document.file_url && (
                 <button
-                  onClick={downloadFile}
+                  onClick={() => downloadFile()}
                   className="w-full sm:w-auto bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium shadow-sm"
                 >
                   <Download className="h-4 w-4 mr-2" />
@@ -406,7 +721,88 @@ const DocumentDetails = () => {
                 </button>
               )}
 
-              {canUserDelete() && (
+              {document.file_hash && (
+                <button
+                  onClick={verifyIntegrity}
+                  disabled={verifyingIntegrity}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Re-download the file and check it is the one originally uploaded"
+                >
+                  {verifyingIntegrity ? (
+                    <LoadingSpinner size="sm" className="mr-2" />
+                  ) : (
+                    <Fingerprint className="h-4 w-4 mr-2" />
+                  )}
+                  {verifyingIntegrity ? 'Verifying...' : 'Verify Integrity'}
+                </button>
+              )}
+
+              {can('document.create') && !document.deleted_at && (
+                <button
+                  onClick={() => setShowDuplicate(true)}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <CopyPlus className="h-4 w-4 mr-2" />
+                  Duplicate
+                </button>
+              )}
+
+              {can('document.create') && (
+                <button
+                  onClick={() => setShowSaveTemplate(true)}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <Copy className="h-4 w-4 mr-2" />
+                  Save as Template
+                </button>
+              )}
+
+              {canEditDocument() && (
+                <button
+                  onClick={() => setShowEdit(true)}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <Edit3 className="h-4 w-4 mr-2" />
+                  Edit
+                </button>
+              )}
+
+              {canEditDocument() && (
+                <button
+                  onClick={() => setShowLabels(true)}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <Tags className="h-4 w-4 mr-2" />
+                  Tags
+                </button>
+              )}
+
+              {canEditDocument() && (
+                <button
+                  onClick={() => setShowRevisionUpload(true)}
+                  className="w-full sm:w-auto bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium"
+                >
+                  <Upload className="h-4 w-4 mr-2" />
+                  New Revision
+                </button>
+              )}
+
+              {document.deleted_at && canUserDelete() && (
+                <button
+                  onClick={handleRestoreDocument}
+                  disabled={restoringDocument}
+                  className="w-full sm:w-auto bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium shadow-sm disabled:cursor-not-allowed"
+                >
+                  {restoringDocument ? (
+                    <LoadingSpinner size="sm" className="mr-2" />
+                  ) : (
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                  )}
+                  {restoringDocument ? 'Restoring...' : 'Restore'}
+                </button>
+              )}
+
+              {!document.deleted_at && canUserDelete() && (
                 <button
                   onClick={handleDeleteDocument}
                   disabled={deletingDocument}
@@ -423,6 +819,17 @@ const DocumentDetails = () => {
             </div>
           </div>
 
+          {document.deleted_at && (
+            <div className="mb-6 flex items-start bg-red-50 border border-red-200 text-red-800 rounded-xl px-6 py-4">
+              <Trash2 className="h-5 w-5 mr-3 mt-0.5 flex-shrink-0" />
+              <p className="text-sm">
+                {document.deleted_by_user?.full_name || 'Someone'} moved this document to the trash on{' '}
+                {format(new Date(document.deleted_at), 'MMM d, yyyy h:mm a')}. It is read-only and will be permanently deleted on{' '}
+                {format(addDays(new Date(document.deleted_at), currentOrganization?.trash_retention_days ?? 30), 'MMM d, yyyy')} unless it is restored.
+              </p>
+            </div>
+          )}
+
           {/* Document Header Card */}
           <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 sm:p-8">
             <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between">
@@ -444,12 +851,28 @@ const DocumentDetails = () => {
                         <Calendar className="h-4 w-4 mr-1" />
                         <span>{format(new Date(document.created_at), 'MMMM d, yyyy')}</span>
                       </div>
-                      {document.created_by_user?.role === 'admin' && (
+                      {document.file_hash && (
+                        <div className="flex items-center" title={`SHA-256 ${document.file_hash}`}>
+                          <Fingerprint className="h-4 w-4 mr-1" />
+                          <span className="font-mono">{document.file_hash.slice(0, 12)}…</span>
+                        </div>
+                      )}
+                      {adminIds.has(document.created_by) && (
                         <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full font-medium">
                           Admin Created
                         </span>
                       )}
                     </div>
+                    {(document.category || document.tags?.length > 0) && (
+                      <div className="flex flex-wrap items-center gap-2 mt-3">
+                        <CategoryBadge category={document.category} />
+                        {document.tags.map(tag => (
+                          <span key={tag} className="px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full font-medium">
+                            #{tag}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -458,6 +881,10 @@ const DocumentDetails = () => {
                 <span className={getStatusBadge(document.status)}>
                   {document.status.replace('_', ' ').toUpperCase()}
                 </span>
+                <DeadlineBadge
+                  dueDate={document.due_date}
+                  done={['completed', 'rejected'].includes(document.status)}
+                />
                 <div className="bg-gray-50 px-4 py-2 rounded-lg border">
                   <div className="text-xs text-gray-500 uppercase tracking-wide font-medium">Progress</div>
                   <div className="text-lg font-bold text-gray-900">{getSignatureProgress()}%</div>
@@ -476,6 +903,37 @@ const DocumentDetails = () => {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Content */}
           <div className="lg:col-span-2 space-y-8">
+            {/* Preview */}
+            {document.file_url && (
+              <div ref={previewRef} className="bg-white rounded-xl shadow-lg border border-gray-200 p-6 scroll-mt-4">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                  <h2 className="text-xl font-bold text-gray-900 flex items-center">
+                    <Eye className="h-5 w-5 mr-2" />
+                    Preview
+                  </h2>
+                  {(attachments.length > 0 || previewFile) && (
+                    <select
+                      value={previewFile?.path || document.file_url}
+                      onChange={(e) => {
+                        const file = previewOptions.find(option => option.path === e.target.value)
+                        showPreview(file.path, file.name)
+                      }}
+                      className="input-field sm:w-auto sm:max-w-xs text-sm"
+                      aria-label="File to preview"
+                    >
+                      {previewOptions.map(option => (
+                        <option key={option.path} value={option.path}>{option.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <DocumentViewer
+                  filePath={previewFile?.path || document.file_url}
+                  fileName={previewFile?.name || document.file_name}
+                />
+              </div>
+            )}
+
             {/* Admin Approval Section - Enhanced */}
             {document.requires_admin_approval && (
               <div className="bg-white rounded-xl shadow-lg border border-gray-200 overflow-hidden">
@@ -537,8 +995,8 @@ const DocumentDetails = () => {
                     </div>
                   )}
 
-                  {/* Admin Controls - Always show for admins */}
-                  {profile?.role === 'admin' ? (
+                  {/* Approval Controls - Always show to members who can approve */}
+                  {can('document.approve') && !document.deleted_at ? (
                     <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-xl p-6">
                       <div className="flex items-center mb-4">
                         <Shield className="h-6 w-6 text-blue-600 mr-3" />
@@ -600,7 +1058,7 @@ const DocumentDetails = () => {
                       </div>
                     </div>
                   ) : (
-                    // Non-admin users
+                    // Members who cannot approve
                     <div className="text-center py-8">
                       {document.admin_approved === null ? (
                         <div className="bg-amber-50 border border-amber-200 rounded-xl p-8">
@@ -666,8 +1124,11 @@ const DocumentDetails = () => {
                     <h3 className="text-xs font-bold text-gray-500 mb-2 uppercase tracking-wide">Attached File</h3>
                     <div className="flex items-center">
                       <FileText className="h-4 w-4 text-gray-400 mr-2" />
-                      <span className="text-gray-700 text-sm font-medium">{document.file_name}</span>
+                      <span className="text-gray-700 text-sm font-medium">{document.file_name || 'No file uploaded yet'}</span>
                     </div>
+                    {document.file_url && (
+                      <p className="text-xs text-gray-500 mt-1 ml-6">Revision {document.current_version}</p>
+                    )}
                   </div>
 
                   <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
@@ -788,6 +1249,11 @@ const DocumentDetails = () => {
                                     </div>
                                   )}
                                 </div>
+                                <DeadlineBadge
+                                  dueDate={signatory.due_date}
+                                  done={signatory.is_signed || document.status === 'rejected'}
+                                  className="mt-2"
+                                />
                               </div>
                             </div>
 
@@ -809,7 +1275,7 @@ const DocumentDetails = () => {
                                   <Lock className="h-5 w-5 mr-2" />
                                   <span className="text-sm font-medium">Locked</span>
                                 </div>
-                              ) : (
+                              ) : canManageSignatories() && (
                                 <div className="flex items-center space-x-2">
                                   <button
                                     onClick={() => updateSignatureStatus(signatory.id, true)}
@@ -820,7 +1286,7 @@ const DocumentDetails = () => {
                                 </div>
                               )}
                               
-                              {signatory.is_signed && !isDocumentLocked() && (
+                              {signatory.is_signed && !isDocumentLocked() && canManageSignatories() && (
                                 <button
                                   onClick={() => updateSignatureStatus(signatory.id, false)}
                                   className="px-3 py-2 bg-red-100 hover:bg-red-200 text-red-700 rounded-lg transition-colors text-sm font-medium"
@@ -857,30 +1323,32 @@ const DocumentDetails = () => {
 
               <div className="p-6 space-y-6">
                 {/* Add Comment */}
-                <div className="border-2 border-gray-200 rounded-xl p-6 bg-gray-50">
-                  <h3 className="font-semibold text-gray-900 mb-3">Add a Comment</h3>
-                  <textarea
-                    value={newComment}
-                    onChange={(e) => setNewComment(e.target.value)}
-                    placeholder="Share your thoughts, ask questions, or provide updates..."
-                    rows={4}
-                    className="w-full border-2 border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-none transition-all duration-200"
-                  />
-                  <div className="flex justify-end mt-4">
-                    <button
-                      onClick={addComment}
-                      disabled={!newComment.trim() || submittingComment}
-                      className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-300 text-white px-6 py-3 rounded-lg flex items-center disabled:cursor-not-allowed transition-colors font-semibold shadow-sm"
-                    >
-                      {submittingComment ? (
-                        <LoadingSpinner size="sm" className="mr-2" />
-                      ) : (
-                        <Send className="h-4 w-4 mr-2" />
-                      )}
-                      Post Comment
-                    </button>
+                {can('comment.create') && !document.deleted_at && (
+                  <div className="border-2 border-gray-200 rounded-xl p-6 bg-gray-50">
+                    <h3 className="font-semibold text-gray-900 mb-3">Add a Comment</h3>
+                    <textarea
+                      value={newComment}
+                      onChange={(e) => setNewComment(e.target.value)}
+                      placeholder="Share your thoughts, ask questions, or provide updates..."
+                      rows={4}
+                      className="w-full border-2 border-gray-300 rounded-lg px-4 py-3 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent resize-none transition-all duration-200"
+                    />
+                    <div className="flex justify-end mt-4">
+                      <button
+                        onClick={addComment}
+                        disabled={!newComment.trim() || submittingComment}
+                        className="bg-purple-600 hover:bg-purple-700 disabled:bg-purple-300 text-white px-6 py-3 rounded-lg flex items-center disabled:cursor-not-allowed transition-colors font-semibold shadow-sm"
+                      >
+                        {submittingComment ? (
+                          <LoadingSpinner size="sm" className="mr-2" />
+                        ) : (
+                          <Send className="h-4 w-4 mr-2" />
+                        )}
+                        Post Comment
+                      </button>
+                    </div>
                   </div>
-                </div>
+                )}
 
                 {/* Comments List */}
                 <div className="space-y-4">
@@ -891,29 +1359,32 @@ const DocumentDetails = () => {
                       <p className="text-gray-600 max-w-md mx-auto">Start the conversation by adding the first comment above.</p>
                     </div>
                   ) : (
-                    comments.map((comment) => (
-                      <div key={comment.id} className="border-2 border-gray-200 rounded-xl p-6 bg-white hover:shadow-md transition-shadow duration-200">
-                        <div className="flex items-center justify-between mb-3">
-                          <div className="flex items-center">
-                            <div className="w-10 h-10 bg-purple-100 rounded-full flex items-center justify-center mr-4">
-                              <User className="h-5 w-5 text-purple-600" />
-                            </div>
-                            <div>
-                              <h4 className="font-semibold text-gray-900">{comment.user?.full_name}</h4>
-                              <p className="text-xs text-gray-500">
-                                {format(new Date(comment.created_at), 'MMMM d, yyyy \'at\' h:mm a')}
-                              </p>
+                    comments.map((comment) => {
+                      // The signed-in user's own comments follow profile edits without a reload
+                      const author = comment.user_id === user.id ? profile : comment.user
+
+                      return (
+                        <div key={comment.id} className="border-2 border-gray-200 rounded-xl p-6 bg-white hover:shadow-md transition-shadow duration-200">
+                          <div className="flex items-center justify-between mb-3">
+                            <div className="flex items-center">
+                              <UserAvatar user={author} className="mr-4" />
+                              <div>
+                                <h4 className="font-semibold text-gray-900">{author?.full_name}</h4>
+                                <p className="text-xs text-gray-500">
+                                  {format(new Date(comment.created_at), 'MMMM d, yyyy \'at\' h:mm a')}
+                                </p>
+                              </div>
                             </div>
+                            {adminIds.has(comment.user_id) && (
+                              <span className="px-3 py-1 bg-blue-100 text-blue-800 text-xs rounded-full font-semibold">
+                                Administrator
+                              </span>
+                            )}
                           </div>
-                          {comment.user?.role === 'admin' && (
-                            <span className="px-3 py-1 bg-blue-100 text-blue-800 text-xs rounded-full font-semibold">
-                              Administrator
-                            </span>
-                          )}
+                          <p className="text-gray-700 ml-14 leading-relaxed">{comment.comment}</p>
                         </div>
-                        <p className="text-gray-700 ml-14 leading-relaxed">{comment.comment}</p>
-                      </div>
-                    ))
+                      )
+                    })
                   )}
                 </div>
               </div>
@@ -956,6 +1427,152 @@ const DocumentDetails = () => {
               </div>
             </div>
 
+            {/* Attachments */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-6">
+                <h3 className="text-lg font-bold text-gray-900 flex items-center">
+                  <Paperclip className="h-5 w-5 mr-2" />
+                  Attachments ({attachments.length})
+                </h3>
+                {canManageSignatories() && (
+                  <label
+                    className={`text-sm font-medium text-blue-600 hover:text-blue-700 flex items-center ${uploadingAttachments ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  >
+                    {uploadingAttachments ? (
+                      <LoadingSpinner size="sm" className="mr-1" />
+                    ) : (
+                      <Plus className="h-4 w-4 mr-1" />
+                    )}
+                    Add
+                    <input
+                      type="file"
+                      multiple
+                      className="sr-only"
+                      accept={DOCUMENT_FILE_ACCEPT}
+                      onChange={handleAttachmentUpload}
+                      disabled={uploadingAttachments}
+                    />
+                  </label>
+                )}
+              </div>
+              {attachmentProgress && (
+                <div className="mb-4">
+                  <UploadProgress
+                    {...attachmentProgress}
+                    onCancel={() => attachmentAbortRef.current?.abort()}
+                  />
+                </div>
+              )}
+              <div className="space-y-4 max-h-96 overflow-y-auto">
+                {attachments.length === 0 ? (
+                  <p className="text-gray-500 text-sm text-center py-4">No supporting files attached</p>
+                ) : (
+                  attachments.map((attachment) => (
+                    <div key={attachment.id} className="flex items-start space-x-3 pb-4 border-b border-gray-100 last:border-b-0">
+                      <FileText className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-gray-900 font-medium truncate" title={attachment.file_name}>
+                          {attachment.file_name}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {attachment.file_size ? `${(attachment.file_size / 1024 / 1024).toFixed(2)} MB · ` : ''}
+                          {attachment.uploaded_by_user?.full_name || 'Unknown'} · {format(new Date(attachment.created_at), 'MMM d, h:mm a')}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => showPreview(attachment.file_url, attachment.file_name)}
+                        className="p-2 text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0"
+                        title="Preview"
+                      >
+                        <Eye className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => downloadFile(attachment.file_url, attachment.file_name)}
+                        className="p-2 text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0"
+                        title="Download"
+                      >
+                        <Download className="h-4 w-4" />
+                      </button>
+                      {(attachment.uploaded_by === user.id || canUserDelete()) && (
+                        <button
+                          onClick={() => deleteAttachment(attachment)}
+                          className="p-2 text-gray-400 hover:text-red-600 transition-colors flex-shrink-0"
+                          title="Remove attachment"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      )}
+                    </div>
+                  ))
+                )}
+              </div>
+              {attachments.length > 0 && (
+                <button
+                  onClick={downloadAllAsZip}
+                  disabled={zipping}
+                  className="mt-4 w-full bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-4 py-2 rounded-lg flex items-center justify-center transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {zipping ? (
+                    <LoadingSpinner size="sm" className="mr-2" />
+                  ) : (
+                    <Archive className="h-4 w-4 mr-2" />
+                  )}
+                  {zipping ? 'Preparing ZIP...' : 'Download All as ZIP'}
+                </button>
+              )}
+            </div>
+
+            {/* Version History */}
+            <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
+              <h3 className="text-lg font-bold text-gray-900 mb-6 flex items-center">
+                <History className="h-5 w-5 mr-2" />
+                Version History
+              </h3>
+              <div className="space-y-4 max-h-96 overflow-y-auto">
+                {versions.length === 0 ? (
+                  <p className="text-gray-500 text-sm text-center py-4">No revisions recorded yet</p>
+                ) : (
+                  versions.map((version) => (
+                    <div key={version.id} className="flex items-start space-x-3 pb-4 border-b border-gray-100 last:border-b-0">
+                      <div className={`w-8 h-8 rounded-full flex items-center justify-center text-xs font-bold flex-shrink-0 ${
+                        version.version_number === document.current_version
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-100 text-gray-700'
+                      }`}>
+                        v{version.version_number}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm text-gray-900 font-medium truncate" title={version.file_name}>
+                          {version.file_name}
+                        </p>
+                        {version.change_note && (
+                          <p className="text-sm text-gray-600 mt-1">{version.change_note}</p>
+                        )}
+                        <p className="text-xs text-gray-500 mt-1">
+                          {version.uploaded_by_user?.full_name || 'Unknown'} · {format(new Date(version.created_at), 'MMM d, h:mm a')}
+                          {version.version_number === document.current_version && ' · Current'}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => showPreview(version.file_url, version.file_name)}
+                        className="p-2 text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0"
+                        title={`Preview revision ${version.version_number}`}
+                      >
+                        <Eye className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => downloadFile(version.file_url, version.file_name)}
+                        className="p-2 text-gray-400 hover:text-blue-600 transition-colors flex-shrink-0"
+                        title={`Download revision ${version.version_number}`}
+                      >
+                        <Download className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
             {/* Activity Timeline */}
             <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-6">
               <h3 className="text-lg font-bold text-gray-900 mb-6 flex items-center">
@@ -974,6 +1591,24 @@ const DocumentDetails = () => {
                           <span className="font-semibold">{item.user?.full_name}</span>{' '}
                           {item.description}
                         </p>
+                        {item.metadata?.linked_document_id && (
+                          <Link
+                            to={`/document/${item.metadata.linked_document_id}`}
+                            className="mt-1 inline-flex items-center text-xs font-medium text-primary-600 hover:text-primary-700"
+                          >
+                            <FileText className="h-3 w-3 mr-1" />
+                            {item.metadata.linked_document_name}
+                          </Link>
+                        )}
+                        {item.metadata?.changes && (
+                          <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                            {Object.entries(item.metadata.changes).map(([field, change]) => (
+                              <li key={field} className="break-words">
+                                {field.replace(/_/g, ' ')}: {formatChangeValue(change.before)} → {formatChangeValue(change.after)}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
                         <p className="text-xs text-gray-500 mt-1">
                           {format(new Date(item.created_at), 'MMM d, h:mm a')}
                         </p>
@@ -986,6 +1621,47 @@ const DocumentDetails = () => {
           </div>
         </div>
       </div>
+
+      {showRevisionUpload && (
+        <RevisionUploadModal
+          document={document}
+          onClose={() => setShowRevisionUpload(false)}
+          onUploaded={handleRevisionUploaded}
+        />
+      )}
+
+      {showEdit && (
+        <EditDocumentModal
+          document={document}
+          signatories={signatories}
+          onClose={() => setShowEdit(false)}
+          onSaved={handleDocumentEdited}
+        />
+      )}
+
+      {showLabels && (
+        <DocumentLabelsModal
+          document={document}
+          onClose={() => setShowLabels(false)}
+          onSaved={handleLabelsSaved}
+        />
+      )}
+
+      {showDuplicate && (
+        <DuplicateDocumentModal
+          document={document}
+          signatories={signatories}
+          onClose={() => setShowDuplicate(false)}
+        />
+      )}
+
+      {showSaveTemplate && (
+        <SaveTemplateModal
+          document={document}
+          signatories={signatories}
+          onClose={() => setShowSaveTemplate(false)}
+        />
+      )}
     </div>
   )
 }
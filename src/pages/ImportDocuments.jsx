@@ -0,0 +1,528 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getDocumentCategories, normalizeTag } from '../lib/supabase'
+import { parseSpreadsheet } from '../lib/spreadsheet'
+import { ArrowLeft, FileSpreadsheet, Upload, Download, CheckCircle, AlertCircle, Users } from 'lucide-react'
+import { format } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Matches the limit import_documents() enforces
+const MAX_IMPORT_ROWS = 200
+const MAX_IMPORT_SIGNATORIES = 10
+const MAX_TAGS = 20
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const DOCUMENT_FIELDS = [
+  { key: 'name', label: 'Document Name', required: true, aliases: ['name', 'documentname', 'document', 'title'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details'] },
+  { key: 'due_date', label: 'Due Date', aliases: ['duedate', 'due', 'deadline'] },
+  { key: 'category', label: 'Category', aliases: ['category'] },
+  { key: 'tags', label: 'Tags', aliases: ['tags', 'labels'] },
+  { key: 'requires_admin_approval', label: 'Requires Admin Approval', aliases: ['requiresadminapproval', 'adminapproval', 'requiresapproval', 'approval'] }
+]
+
+const SIGNATORY_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'position', label: 'Position' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' }
+]
+
+const emptySignatoryColumns = { name: '', position: '', email: '', phone: '' }
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+// Map headers such as "Due Date" or "Signatory 2 Email" to their fields;
+// column indexes are kept as strings for the selects, '' when unmapped
+const guessMapping = (headers) => {
+  const mapping = Object.fromEntries(DOCUMENT_FIELDS.map(field => [field.key, '']))
+  const signatoryColumns = []
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header)
+
+    const field = DOCUMENT_FIELDS.find(f => f.aliases.includes(normalized))
+    if (field && mapping[field.key] === '') {
+      mapping[field.key] = String(index)
+      return
+    }
+
+    const numberFirst = normalized.match(/^(?:signatory|signer|sig)?(\d+)(name|position|email|phone)$/)
+    const fieldFirst = normalized.match(/^(?:signatory|signer|sig)?(name|position|email|phone)(\d+)$/)
+    const [position, key] = numberFirst
+      ? [Number(numberFirst[1]), numberFirst[2]]
+      : fieldFirst ? [Number(fieldFirst[2]), fieldFirst[1]] : []
+
+    if (position >= 1 && position <= MAX_IMPORT_SIGNATORIES) {
+      for (let i = signatoryColumns.length; i < position; i++) signatoryColumns.push({ ...emptySignatoryColumns })
+      if (signatoryColumns[position - 1][key] === '') signatoryColumns[position - 1][key] = String(index)
+    }
+  })
+
+  return {
+    mapping,
+    signatoryColumns: signatoryColumns.length > 0 ? signatoryColumns : [{ ...emptySignatoryColumns }]
+  }
+}
+
+// "2025-09-30" (end of that day) or "2025-09-30 17:00", in local time
+const parseDueDate = (value) => {
+  const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/)
+  if (!match) return null
+
+  const [, year, month, day, hours, minutes] = match.map(Number)
+  const date = match[4] === undefined
+    ? new Date(year, month - 1, day, 23, 59)
+    : new Date(year, month - 1, day, hours, minutes)
+
+  // Reject dates that rolled over, such as February 30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null
+}
+
+const parseYesNo = (value) => {
+  const normalized = value.toLowerCase()
+  if (['', 'no', 'n', 'false', '0'].includes(normalized)) return false
+  if (['yes', 'y', 'true', '1', 'x'].includes(normalized)) return true
+  return null
+}
+
+// Turn one spreadsheet row into the document import_documents() expects,
+// collecting every problem rather than stopping at the first
+const buildDocument = (row, mapping, signatoryColumns, categories) => {
+  const errors = []
+  const cell = (column) => column === '' ? '' : row[Number(column)] || ''
+
+  const name = cell(mapping.name)
+  if (!name) {
+    errors.push('Document name is missing')
+  } else if (name.length > 255) {
+    errors.push('Document name is longer than 255 characters')
+  }
+
+  let dueDate = null
+  const dueDateText = cell(mapping.due_date)
+  if (dueDateText) {
+    const parsed = parseDueDate(dueDateText)
+    if (!parsed) {
+      errors.push(`Due date "${dueDateText}" is not in YYYY-MM-DD or YYYY-MM-DD HH:MM form`)
+    } else if (parsed <= new Date()) {
+      errors.push('Due date must be in the future')
+    } else {
+      dueDate = parsed
+    }
+  }
+
+  let category = null
+  const categoryText = cell(mapping.category)
+  if (categoryText) {
+    category = categories.find(c => c.name.toLowerCase() === categoryText.toLowerCase())
+    if (!category) errors.push(`There is no "${categoryText}" category`)
+  }
+
+  const tags = [...new Set(cell(mapping.tags).split(/[,;]/).map(normalizeTag).filter(Boolean))]
+  if (tags.length > MAX_TAGS) errors.push(`At most ${MAX_TAGS} tags are allowed`)
+
+  const approvalText = cell(mapping.requires_admin_approval)
+  const requiresApproval = parseYesNo(approvalText)
+  if (requiresApproval === null) errors.push(`Admin approval "${approvalText}" should be yes or no`)
+
+  const signatories = []
+  signatoryColumns.forEach((columns, index) => {
+    const signatory = Object.fromEntries(SIGNATORY_FIELDS.map(field => [field.key, cell(columns[field.key])]))
+    if (!Object.values(signatory).some(Boolean)) return
+
+    if (!signatory.name) errors.push(`Signatory ${index + 1} has details but no name`)
+    if (signatory.email && !EMAIL_PATTERN.test(signatory.email)) {
+      errors.push(`Signatory ${index + 1} email "${signatory.email}" is not valid`)
+    }
+    if (signatory.phone.length > 50) errors.push(`Signatory ${index + 1} phone number is too long`)
+    signatories.push(signatory)
+  })
+  if (signatories.length === 0) errors.push('At least one signatory is required')
+
+  return {
+    document: {
+      name,
+      description: cell(mapping.description),
+      due_date: dueDate ? dueDate.toISOString() : null,
+      category_id: category?.id || null,
+      tags,
+      requires_admin_approval: requiresApproval ?? false,
+      signatories
+    },
+    categoryName: category?.name,
+    errors
+  }
+}
+
+const downloadSampleCsv = () => {
+  const headers = [
+    'Name', 'Description', 'Due Date', 'Category', 'Tags', 'Requires Admin Approval',
+    'Signatory 1 Name', 'Signatory 1 Position', 'Signatory 1 Email', 'Signatory 1 Phone',
+    'Signatory 2 Name', 'Signatory 2 Position', 'Signatory 2 Email', 'Signatory 2 Phone'
+  ]
+  const example = [
+    'Venue Booking - Spring Fest', 'Main hall booking form', format(new Date(new Date().getFullYear() + 1, 2, 1), 'yyyy-MM-dd'),
+    '', 'fest, venue', 'no',
+    'Jane Doe', 'Faculty Advisor', 'jane@example.edu', '',
+    'John Smith', 'Dean of Students', 'john@example.edu', ''
+  ]
+  const csv = [headers, example]
+    .map(row => row.map(value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(','))
+    .join('\r\n')
+
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }))
+  const link = window.document.createElement('a')
+  link.href = url
+  link.download = 'document-import-sample.csv'
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const ImportDocuments = () => {
+  const navigate = useNavigate()
+  const { currentOrganization } = useAuth()
+  const [step, setStep] = useState('upload')
+  const [categories, setCategories] = useState([])
+  const [parsing, setParsing] = useState(false)
+  const [sheet, setSheet] = useState(null)
+  const [mapping, setMapping] = useState({})
+  const [signatoryColumns, setSignatoryColumns] = useState([])
+  const [results, setResults] = useState([])
+  const [skipInvalid, setSkipInvalid] = useState(false)
+  const [importing, setImporting] = useState(false)
+
+  useEffect(() => {
+    fetchCategories()
+  }, [currentOrganization?.id])
+
+  const fetchCategories = async () => {
+    try {
+      setCategories(await getDocumentCategories(currentOrganization.id))
+    } catch (error) {
+      console.error('Error fetching categories:', error)
+    }
+  }
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    setParsing(true)
+    try {
+      const { headers, rows } = await parseSpreadsheet(file)
+
+      if (rows.length === 0) {
+        toast.error('The spreadsheet has no rows below its header row')
+        return
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        toast.error(`The spreadsheet has ${rows.length} rows; import at most ${MAX_IMPORT_ROWS} at a time`)
+        return
+      }
+
+      const guessed = guessMapping(headers)
+      setSheet({ fileName: file.name, headers, rows })
+      setMapping(guessed.mapping)
+      setSignatoryColumns(guessed.signatoryColumns)
+      setStep('map')
+    } catch (error) {
+      console.error('Error reading spreadsheet:', error)
+      toast.error(`Failed to read the spreadsheet: ${error.message}`)
+    } finally {
+      setParsing(false)
+    }
+  }
+
+  const setSignatoryCount = (count) => {
+    setSignatoryColumns(prev => Array.from({ length: count }, (_, index) => prev[index] || { ...emptySignatoryColumns }))
+  }
+
+  const updateSignatoryColumn = (index, key, value) => {
+    setSignatoryColumns(prev => prev.map((columns, i) => i === index ? { ...columns, [key]: value } : columns))
+  }
+
+  const reviewRows = () => {
+    if (mapping.name === '') {
+      toast.error('Choose the column that holds the document name')
+      return
+    }
+    if (!signatoryColumns.some(columns => columns.name !== '')) {
+      toast.error('Choose the column that holds at least one signatory name')
+      return
+    }
+
+    setResults(sheet.rows.map(row => buildDocument(row, mapping, signatoryColumns, categories)))
+    setSkipInvalid(false)
+    setStep('review')
+  }
+
+  const validResults = results.filter(result => result.errors.length === 0)
+  const invalidCount = results.length - validResults.length
+
+  const handleImport = async () => {
+    setImporting(true)
+    try {
+      const { data: imported, error } = await supabase.rpc('import_documents', {
+        p_organization_id: currentOrganization.id,
+        p_documents: validResults.map(result => result.document),
+        p_source_name: sheet.fileName
+      })
+
+      if (error) throw error
+
+      toast.success(`Imported ${imported} ${imported === 1 ? 'document' : 'documents'}`)
+      navigate('/dashboard')
+    } catch (error) {
+      console.error('Error importing documents:', error)
+      toast.error(`Nothing was imported: ${error.message}`)
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const columnSelect = (id, value, onChange) => (
+    <select
+      id={id}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="input-field"
+    >
+      <option value="">Not imported</option>
+      {sheet.headers.map((header, index) => (
+        <option key={index} value={String(index)}>{header}</option>
+      ))}
+    </select>
+  )
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="group flex items-center text-gray-600 hover:text-gray-900 mb-6 transition-all duration-200 hover:translate-x-1"
+        >
+          <ArrowLeft className="h-5 w-5 mr-2 transition-transform group-hover:-translate-x-1" />
+          Back to Dashboard
+        </button>
+        <h1 className="text-3xl font-bold text-gray-900">Import Document Trackers</h1>
+        <p className="mt-2 text-gray-600">
+          Create many trackers at once from a CSV or Excel (.xlsx) spreadsheet with one document per row.
+          Files are uploaded afterwards, one document at a time, with "New Revision".
+        </p>
+      </div>
+
+      {/* Step: choose a file */}
+      {step === 'upload' && (
+        <div className="card p-8 text-center">
+          <FileSpreadsheet className="mx-auto h-12 w-12 text-primary-600" />
+          <p className="mt-4 text-gray-700">
+            The first row must hold the column names. Up to {MAX_IMPORT_ROWS} rows and {MAX_IMPORT_SIGNATORIES} signatories per document.
+          </p>
+          <div className="mt-6 flex flex-col sm:flex-row items-center justify-center gap-3">
+            <label className={`btn-primary flex items-center cursor-pointer ${parsing ? 'opacity-50 pointer-events-none' : ''}`}>
+              {parsing ? (
+                <LoadingSpinner size="sm" className="mr-2" />
+              ) : (
+                <Upload className="h-4 w-4 mr-2" />
+              )}
+              {parsing ? 'Reading...' : 'Choose Spreadsheet'}
+              <input
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={downloadSampleCsv}
+              className="btn-secondary flex items-center"
+            >
+              <Download className="h-4 w-4 mr-2" />
+              Sample CSV
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step: map columns */}
+      {step === 'map' && sheet && (
+        <div className="space-y-8">
+          <div className="card p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-1">Document Columns</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {sheet.fileName}: {sheet.rows.length} {sheet.rows.length === 1 ? 'row' : 'rows'}. Dates are YYYY-MM-DD or YYYY-MM-DD HH:MM,
+              tags are separated by commas and categories must already exist.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {DOCUMENT_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label htmlFor={`map-${field.key}`} className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label}{field.required && <span className="text-red-500"> *</span>}
+                  </label>
+                  {columnSelect(`map-${field.key}`, mapping[field.key], value => setMapping(prev => ({ ...prev, [field.key]: value })))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="card p-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4 gap-3">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Users className="h-5 w-5 mr-2 text-primary-600" />
+                Signatory Columns
+              </h2>
+              <label className="flex items-center text-sm text-gray-700">
+                Signatories per document
+                <select
+                  value={signatoryColumns.length}
+                  onChange={(e) => setSignatoryCount(Number(e.target.value))}
+                  className="input-field w-auto ml-2 py-1"
+                >
+                  {Array.from({ length: MAX_IMPORT_SIGNATORIES }, (_, i) => i + 1).map(count => (
+                    <option key={count} value={count}>{count}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+              Signatories are added in this order. Empty signatory columns in a row are skipped.
+            </p>
+            <div className="space-y-4">
+              {signatoryColumns.map((columns, index) => (
+                <div key={index} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-center">
+                  <span className="text-sm font-medium text-gray-700">Signatory {index + 1}</span>
+                  {SIGNATORY_FIELDS.map(field => (
+                    <div key={field.key}>
+                      <label htmlFor={`map-signatory-${index}-${field.key}`} className="sr-only">
+                        Signatory {index + 1} {field.label}
+                      </label>
+                      {columnSelect(`map-signatory-${index}-${field.key}`, columns[field.key], value => updateSignatoryColumn(index, field.key, value))}
+                      <p className="mt-1 text-xs text-gray-500">{field.label}</p>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-between">
+            <button onClick={() => setStep('upload')} className="btn-secondary">
+              Choose Another File
+            </button>
+            <button onClick={reviewRows} className="btn-primary">
+              Review {sheet.rows.length} {sheet.rows.length === 1 ? 'Row' : 'Rows'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step: review and import */}
+      {step === 'review' && sheet && (
+        <div className="space-y-6">
+          <div className="flex flex-wrap items-center gap-4">
+            <span className="inline-flex items-center text-sm font-medium text-green-700">
+              <CheckCircle className="h-4 w-4 mr-1" />
+              {validResults.length} ready to import
+            </span>
+            {invalidCount > 0 && (
+              <span className="inline-flex items-center text-sm font-medium text-red-700">
+                <AlertCircle className="h-4 w-4 mr-1" />
+                {invalidCount} with errors
+              </span>
+            )}
+          </div>
+
+          <div className="card overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Row</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Document</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Signatories</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Due</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Category & Tags</th>
+                  <th className="px-4 py-3 text-left font-medium text-gray-500">Problems</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {results.map((result, index) => (
+                  <tr key={index} className={result.errors.length > 0 ? 'bg-red-50' : ''}>
+                    {/* Spreadsheet row number, counting the header row */}
+                    <td className="px-4 py-3 text-gray-500">{index + 2}</td>
+                    <td className="px-4 py-3">
+                      <p className="font-medium text-gray-900">{result.document.name || '—'}</p>
+                      {result.document.requires_admin_approval && (
+                        <p className="text-xs text-gray-500">Requires admin approval</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {result.document.signatories.map(sig => sig.name || '?').join(' → ') || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700 whitespace-nowrap">
+                      {result.document.due_date ? format(new Date(result.document.due_date), 'MMM d, yyyy h:mm a') : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-gray-700">
+                      {[result.categoryName, ...result.document.tags.map(tag => `#${tag}`)].filter(Boolean).join(' ') || '—'}
+                    </td>
+                    <td className="px-4 py-3">
+                      {result.errors.length === 0 ? (
+                        <CheckCircle className="h-4 w-4 text-green-600" />
+                      ) : (
+                        <ul className="space-y-0.5 text-red-700">
+                          {result.errors.map(error => (
+                            <li key={error}>{error}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {invalidCount > 0 && validResults.length > 0 && (
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={skipInvalid}
+                onChange={(e) => setSkipInvalid(e.target.checked)}
+                className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              Skip the {invalidCount} {invalidCount === 1 ? 'row' : 'rows'} with errors and import the rest
+            </label>
+          )}
+
+          <div className="flex justify-between">
+            <button onClick={() => setStep('map')} disabled={importing} className="btn-secondary">
+              Back to Columns
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing || validResults.length === 0 || (invalidCount > 0 && !skipInvalid)}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {importing ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Importing...
+                </>
+              ) : (
+                `Import ${validResults.length} ${validResults.length === 1 ? 'Document' : 'Documents'}`
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ImportDocuments
\ No newline at end of file
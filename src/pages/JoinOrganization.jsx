@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { getInvitation } from '../lib/supabase'
+import { Building2, AlertCircle, Shield, User } from 'lucide-react'
+import LoadingSpinner from '../components/LoadingSpinner'
+
+const JoinOrganization = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite')
+  const { user, acceptInvitation } = useAuth()
+  const [invitation, setInvitation] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [accepting, setAccepting] = useState(false)
+
+  useEffect(() => {
+    loadInvitation()
+  }, [inviteToken])
+
+  const loadInvitation = async () => {
+    try {
+      setLoading(true)
+      setInvitation(inviteToken ? await getInvitation(inviteToken) : null)
+    } catch (error) {
+      console.error('Error loading invitation:', error)
+      setInvitation(null)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAccept = async () => {
+    setAccepting(true)
+    try {
+      const result = await acceptInvitation(inviteToken)
+      if (result.success) {
+        navigate('/dashboard', { replace: true })
+      }
+    } finally {
+      setAccepting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  if (!invitation) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-12">
+        <div className="card p-8 text-center">
+          <AlertCircle className="mx-auto h-12 w-12 text-red-500 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Invitation invalid or expired</h2>
+          <p className="text-gray-600 mb-6">
+            Ask a club admin to send you a new invitation link.
+          </p>
+          <Link to="/dashboard" className="btn-primary">
+            Go to dashboard
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  const emailMatches = invitation.email.toLowerCase() === user?.email?.toLowerCase()
+
+  return (
+    <div className="max-w-md mx-auto px-4 py-12">
+      <div className="card p-8 text-center space-y-6">
+        <Building2 className="mx-auto h-12 w-12 text-primary-600" />
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Join {invitation.organization_name}</h2>
+          <p className="mt-2 text-gray-600 flex items-center justify-center">
+            You have been invited as
+            <span className="ml-1 inline-flex items-center font-medium text-gray-900">
+              {invitation.role === 'admin' ? <Shield className="h-4 w-4 mr-1" /> : <User className="h-4 w-4 mr-1" />}
+              {invitation.role_name}
+            </span>
+          </p>
+        </div>
+
+        {emailMatches ? (
+          <button
+            onClick={handleAccept}
+            disabled={accepting}
+            className="w-full btn-primary flex justify-center items-center py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {accepting ? (
+              <>
+                <LoadingSpinner size="sm" className="mr-2" />
+                Joining...
+              </>
+            ) : (
+              'Accept invitation'
+            )}
+          </button>
+        ) : (
+          <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+            This invitation was sent to {invitation.email}, but you are signed in as {user?.email}.
+            Sign in with the invited account to accept it.
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default JoinOrganization
\ No newline at end of file
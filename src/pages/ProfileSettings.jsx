@@ -0,0 +1,459 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getStoragePathFromUrl } from '../lib/supabase'
+import { stripImageMetadata } from '../lib/fileInspection'
+import { Camera, Trash2, Mail, Lock, ShieldCheck, ChevronRight } from 'lucide-react'
+import LoadingSpinner from '../components/LoadingSpinner'
+import UserAvatar from '../components/UserAvatar'
+import toast from 'react-hot-toast'
+
+// WebP is left out: stripImageMetadata only re-encodes PNG and JPEG, and avatars
+// are public
+const AVATAR_TYPES = ['image/png', 'image/jpeg']
+const AVATAR_MAX_SIZE = 2 * 1024 * 1024
+
+const getTimezones = () => {
+  try {
+    return Intl.supportedValuesOf('timeZone')
+  } catch {
+    return [Intl.DateTimeFormat().resolvedOptions().timeZone]
+  }
+}
+
+const ProfileSettings = () => {
+  const { user, profile, updateProfile, updateEmail, updatePassword } = useAuth()
+  const [savingProfile, setSavingProfile] = useState(false)
+  const [uploadingAvatar, setUploadingAvatar] = useState(false)
+  const [savingEmail, setSavingEmail] = useState(false)
+  const [savingPassword, setSavingPassword] = useState(false)
+  const fileInputRef = useRef(null)
+  const timezones = getTimezones()
+
+  const profileForm = useForm()
+  const emailForm = useForm({ defaultValues: { email: '' } })
+  const passwordForm = useForm({ defaultValues: { password: '', confirmPassword: '' } })
+  const password = passwordForm.watch('password')
+
+  useEffect(() => {
+    if (profile) {
+      profileForm.reset({
+        full_name: profile.full_name,
+        phone: profile.phone || '',
+        position: profile.position || '',
+        timezone: profile.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+      })
+    }
+  }, [profile?.id])
+
+  const onSaveProfile = async (data) => {
+    setSavingProfile(true)
+    try {
+      const result = await updateProfile({
+        full_name: data.full_name.trim(),
+        phone: data.phone.trim() || null,
+        position: data.position.trim() || null,
+        timezone: data.timezone
+      })
+      if (result.success) {
+        toast.success('Profile updated')
+      }
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  const removeAvatarFile = async (avatarUrl) => {
+    const path = getStoragePathFromUrl(avatarUrl, 'avatars')
+    if (!path) return
+
+    try {
+      await supabase.storage
+        .from('avatars')
+        .remove([path])
+    } catch (error) {
+      console.error('Error removing avatar:', error)
+    }
+  }
+
+  const handleAvatarUpload = async (event) => {
+    const file = event.target.files[0]
+    event.target.value = ''
+    if (!file) return
+
+    if (!AVATAR_TYPES.includes(file.type)) {
+      toast.error('Only PNG and JPG images are allowed')
+      return
+    }
+
+    if (file.size > AVATAR_MAX_SIZE) {
+      toast.error('Profile picture must be less than 2MB')
+      return
+    }
+
+    setUploadingAvatar(true)
+    try {
+      const fileExt = file.name.split('.').pop()
+      const fileName = `${user.id}/${Date.now()}.${fileExt}`
+
+      // Avatars are public, so photos lose their EXIF and GPS data first
+      const { error } = await supabase.storage
+        .from('avatars')
+        .upload(fileName, await stripImageMetadata(file))
+
+      if (error) throw error
+
+      const { data: { publicUrl } } = supabase.storage
+        .from('avatars')
+        .getPublicUrl(fileName)
+
+      const previousAvatarUrl = profile.avatar_url
+      const result = await updateProfile({ avatar_url: publicUrl })
+      if (!result.success) {
+        await removeAvatarFile(publicUrl)
+        return
+      }
+
+      if (previousAvatarUrl) {
+        await removeAvatarFile(previousAvatarUrl)
+      }
+      toast.success('Profile picture updated')
+    } catch (error) {
+      console.error('Error uploading avatar:', error)
+      toast.error(`Failed to upload profile picture: ${error.message}`)
+    } finally {
+      setUploadingAvatar(false)
+    }
+  }
+
+  const handleAvatarRemove = async () => {
+    setUploadingAvatar(true)
+    try {
+      const previousAvatarUrl = profile.avatar_url
+      const result = await updateProfile({ avatar_url: null })
+      if (result.success) {
+        await removeAvatarFile(previousAvatarUrl)
+        toast.success('Profile picture removed')
+      }
+    } finally {
+      setUploadingAvatar(false)
+    }
+  }
+
+  const onChangeEmail = async (data) => {
+    setSavingEmail(true)
+    try {
+      const result = await updateEmail(data.email.trim().toLowerCase())
+      if (result.success) {
+        emailForm.reset()
+      }
+    } finally {
+      setSavingEmail(false)
+    }
+  }
+
+  const onChangePassword = async (data) => {
+    setSavingPassword(true)
+    try {
+      const result = await updatePassword(data.password)
+      if (result.success) {
+        passwordForm.reset()
+      }
+    } finally {
+      setSavingPassword(false)
+    }
+  }
+
+  if (!profile) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Profile Settings</h1>
+        <p className="mt-2 text-gray-600">
+          Update how other members see you, and manage your sign-in details.
+        </p>
+      </div>
+
+      {/* Profile */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-6">Profile</h2>
+
+        <div className="flex items-center space-x-6 mb-6">
+          <UserAvatar user={profile} size="lg" />
+          <div className="space-y-2">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={AVATAR_TYPES.join(',')}
+              onChange={handleAvatarUpload}
+              className="hidden"
+            />
+            {uploadingAvatar ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <div className="flex items-center space-x-2">
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="btn-secondary text-sm flex items-center"
+                >
+                  <Camera className="h-4 w-4 mr-1" />
+                  {profile.avatar_url ? 'Change picture' : 'Upload picture'}
+                </button>
+                {profile.avatar_url && (
+                  <button
+                    type="button"
+                    onClick={handleAvatarRemove}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Remove picture"
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
+            )}
+            <p className="text-xs text-gray-500">PNG or JPG, up to 2MB</p>
+          </div>
+        </div>
+
+        <form onSubmit={profileForm.handleSubmit(onSaveProfile)} className="space-y-4">
+          <div>
+            <label htmlFor="full_name" className="block text-sm font-medium text-gray-700 mb-1">
+              Full Name
+            </label>
+            <input
+              id="full_name"
+              type="text"
+              {...profileForm.register('full_name', {
+                required: 'Full name is required',
+                validate: value => value.trim().length >= 2 || 'Name must be at least 2 characters'
+              })}
+              className={`input-field ${profileForm.formState.errors.full_name ? 'border-red-500' : ''}`}
+            />
+            {profileForm.formState.errors.full_name && (
+              <p className="mt-1 text-sm text-red-600">{profileForm.formState.errors.full_name.message}</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="position" className="block text-sm font-medium text-gray-700 mb-1">
+                Position in the Club
+              </label>
+              <input
+                id="position"
+                type="text"
+                {...profileForm.register('position', {
+                  maxLength: {
+                    value: 100,
+                    message: 'Position must be at most 100 characters'
+                  }
+                })}
+                className={`input-field ${profileForm.formState.errors.position ? 'border-red-500' : ''}`}
+                placeholder="e.g., Events Coordinator"
+              />
+              {profileForm.formState.errors.position && (
+                <p className="mt-1 text-sm text-red-600">{profileForm.formState.errors.position.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-1">
+                Phone
+              </label>
+              <input
+                id="phone"
+                type="tel"
+                autoComplete="tel"
+                {...profileForm.register('phone', {
+                  pattern: {
+                    value: /^[+\d][\d\s().-]{5,28}$/,
+                    message: 'Invalid phone number'
+                  }
+                })}
+                className={`input-field ${profileForm.formState.errors.phone ? 'border-red-500' : ''}`}
+                placeholder="e.g., +1 555 123 4567"
+              />
+              {profileForm.formState.errors.phone && (
+                <p className="mt-1 text-sm text-red-600">{profileForm.formState.errors.phone.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 mb-1">
+              Timezone
+            </label>
+            <select
+              id="timezone"
+              {...profileForm.register('timezone')}
+              className="input-field"
+            >
+              {timezones.map(timezone => (
+                <option key={timezone} value={timezone}>{timezone.replace(/_/g, ' ')}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={savingProfile}
+              className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {savingProfile ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </>
+              ) : (
+                'Save Profile'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Email */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-2 flex items-center">
+          <Mail className="h-5 w-5 mr-2 text-primary-600" />
+          Email Address
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          You sign in with <span className="font-medium">{user.email}</span>.
+          {user.new_email && ` A change to ${user.new_email} is waiting for confirmation.`}
+        </p>
+
+        <form onSubmit={emailForm.handleSubmit(onChangeEmail)} className="flex flex-col sm:flex-row sm:items-start gap-3">
+          <div className="flex-1">
+            <input
+              type="email"
+              autoComplete="email"
+              {...emailForm.register('email', {
+                required: 'Email is required',
+                pattern: {
+                  value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                  message: 'Invalid email address'
+                },
+                validate: value => value.trim().toLowerCase() !== user.email || 'This is already your email address'
+              })}
+              className={`input-field ${emailForm.formState.errors.email ? 'border-red-500' : ''}`}
+              placeholder="New email address"
+            />
+            {emailForm.formState.errors.email && (
+              <p className="mt-1 text-sm text-red-600">{emailForm.formState.errors.email.message}</p>
+            )}
+          </div>
+          <button
+            type="submit"
+            disabled={savingEmail}
+            className="btn-secondary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {savingEmail ? (
+              <>
+                <LoadingSpinner size="sm" className="mr-2" />
+                Sending...
+              </>
+            ) : (
+              'Change Email'
+            )}
+          </button>
+        </form>
+      </div>
+
+      {/* Password */}
+      <div className="card p-6 mb-8">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+          <Lock className="h-5 w-5 mr-2 text-primary-600" />
+          Password
+        </h2>
+
+        <form onSubmit={passwordForm.handleSubmit(onChangePassword)} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                New Password
+              </label>
+              <input
+                id="password"
+                type="password"
+                autoComplete="new-password"
+                {...passwordForm.register('password', {
+                  required: 'Password is required',
+                  minLength: {
+                    value: 6,
+                    message: 'Password must be at least 6 characters'
+                  }
+                })}
+                className={`input-field ${passwordForm.formState.errors.password ? 'border-red-500' : ''}`}
+              />
+              {passwordForm.formState.errors.password && (
+                <p className="mt-1 text-sm text-red-600">{passwordForm.formState.errors.password.message}</p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                Confirm New Password
+              </label>
+              <input
+                id="confirmPassword"
+                type="password"
+                autoComplete="new-password"
+                {...passwordForm.register('confirmPassword', {
+                  required: 'Please confirm your password',
+                  validate: value => value === password || 'Passwords do not match'
+                })}
+                className={`input-field ${passwordForm.formState.errors.confirmPassword ? 'border-red-500' : ''}`}
+              />
+              {passwordForm.formState.errors.confirmPassword && (
+                <p className="mt-1 text-sm text-red-600">{passwordForm.formState.errors.confirmPassword.message}</p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={savingPassword}
+              className="btn-secondary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {savingPassword ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Updating...
+                </>
+              ) : (
+                'Change Password'
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Security */}
+      <Link to="/settings/security" className="card p-6 flex items-center justify-between hover:shadow-md transition-shadow">
+        <div className="flex items-center">
+          <ShieldCheck className="h-6 w-6 mr-3 text-primary-600" />
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h2>
+            <p className="text-sm text-gray-600">Manage the authenticator apps that protect your account</p>
+          </div>
+        </div>
+        <ChevronRight className="h-5 w-5 text-gray-400" />
+      </Link>
+    </div>
+  )
+}
+
+export default ProfileSettings
\ No newline at end of file
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react'
+import { useForm } from 'react-hook-form'
+import { useAuth } from '../contexts/AuthContext'
+import { ShieldCheck, ShieldAlert, Smartphone, Trash2, Plus, Copy } from 'lucide-react'
+import { format } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const SecuritySettings = () => {
+  const { isAal2, listFactors, enrollTotp, verifyTotp, unenrollFactor } = useAuth()
+  const [factors, setFactors] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [enrolment, setEnrolment] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [removingFactorId, setRemovingFactorId] = useState(null)
+  const { register, handleSubmit, reset, formState: { errors } } = useForm()
+
+  useEffect(() => {
+    fetchFactors()
+  }, [])
+
+  const fetchFactors = async () => {
+    try {
+      setLoading(true)
+      const totpFactors = await listFactors()
+      setFactors(totpFactors.filter(f => f.status === 'verified'))
+    } catch (error) {
+      console.error('Error fetching factors:', error)
+      toast.error('Failed to load two-factor settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const startEnrolment = async () => {
+    setSubmitting(true)
+    try {
+      const result = await enrollTotp(`Authenticator ${factors.length + 1}`)
+      if (result.success) {
+        setEnrolment(result.factor)
+        reset({ code: '' })
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const onVerify = async (data) => {
+    setSubmitting(true)
+    try {
+      const result = await verifyTotp(enrolment.id, data.code)
+      if (result.success) {
+        toast.success('Two-factor authentication enabled')
+        setEnrolment(null)
+        fetchFactors()
+      } else {
+        reset({ code: '' })
+      }
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const removeFactor = async (factor) => {
+    if (!window.confirm(`Remove ${factor.friendly_name}? You will no longer be asked for a code when signing in.`)) return
+
+    try {
+      setRemovingFactorId(factor.id)
+      const result = await unenrollFactor(factor.id)
+      if (result.success) {
+        fetchFactors()
+      }
+    } finally {
+      setRemovingFactorId(null)
+    }
+  }
+
+  const copySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret)
+      toast.success('Secret copied')
+    } catch (error) {
+      console.error('Error copying secret:', error)
+      toast.error('Failed to copy secret')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Account Security</h1>
+        <p className="mt-2 text-gray-600">
+          Protect your account with an authenticator app. Approving, rejecting and deleting other members' documents requires it.
+        </p>
+      </div>
+
+      {/* Status */}
+      <div className={`card p-6 mb-8 flex items-start ${factors.length > 0 ? 'border-green-200' : 'border-amber-200'}`}>
+        {factors.length > 0 ? (
+          <ShieldCheck className="h-8 w-8 text-green-600 mr-4 flex-shrink-0" />
+        ) : (
+          <ShieldAlert className="h-8 w-8 text-amber-500 mr-4 flex-shrink-0" />
+        )}
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">
+            Two-factor authentication is {factors.length > 0 ? 'on' : 'off'}
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {factors.length > 0
+              ? 'You will be asked for a code from your authenticator app each time you sign in.'
+              : 'Anyone with your password can sign in to your account.'
+            }
+          </p>
+          {factors.length > 0 && !isAal2 && (
+            <p className="text-sm text-amber-700 mt-2">
+              This session has not been verified with a code. Sign out and back in to use protected actions.
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Factors */}
+      <div className="card mb-8">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900">Authenticator apps</h2>
+          {!enrolment && (
+            <button
+              onClick={startEnrolment}
+              disabled={submitting}
+              className="btn-primary text-sm flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add app
+            </button>
+          )}
+        </div>
+
+        {factors.length === 0 ? (
+          <p className="text-gray-500 text-sm text-center py-8">No authenticator apps set up yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {factors.map((factor) => (
+              <div key={factor.id} className="px-6 py-4 flex items-center justify-between">
+                <div className="flex items-center">
+                  <Smartphone className="h-5 w-5 text-gray-400 mr-3" />
+                  <div>
+                    <p className="font-medium text-gray-900">{factor.friendly_name}</p>
+                    <p className="text-sm text-gray-500">
+                      Added {format(new Date(factor.created_at), 'MMM d, yyyy')}
+                    </p>
+                  </div>
+                </div>
+                {removingFactorId === factor.id ? (
+                  <LoadingSpinner size="sm" />
+                ) : (
+                  <button
+                    onClick={() => removeFactor(factor)}
+                    disabled={!isAal2}
+                    className="p-2 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                    title={isAal2 ? 'Remove authenticator app' : 'Sign in with a code to remove this app'}
+                  >
+                    <Trash2 className="h-5 w-5" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Enrolment */}
+      {enrolment && (
+        <div className="card p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Set up your authenticator app</h2>
+          <ol className="list-decimal list-inside space-y-2 text-sm text-gray-700 mb-6">
+            <li>Open an authenticator app such as Google Authenticator, 1Password or Authy.</li>
+            <li>Scan the QR code, or enter the secret manually.</li>
+            <li>Enter the 6-digit code the app shows to finish.</li>
+          </ol>
+
+          <div className="flex flex-col sm:flex-row items-center sm:items-start gap-6">
+            <img
+              src={enrolment.totp.qr_code}
+              alt="Authenticator QR code"
+              className="w-44 h-44 border border-gray-200 rounded-lg bg-white p-2"
+            />
+
+            <div className="flex-1 w-full space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Secret</label>
+                <div className="flex items-center space-x-2">
+                  <input readOnly value={enrolment.totp.secret} className="input-field font-mono text-sm" />
+                  <button
+                    type="button"
+                    onClick={() => copySecret(enrolment.totp.secret)}
+                    className="btn-secondary flex items-center"
+                    title="Copy secret"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              <form onSubmit={handleSubmit(onVerify)} className="space-y-4">
+                <div>
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+                    Code from the app
+                  </label>
+                  <input
+                    id="code"
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    {...register('code', {
+                      required: 'Code is required',
+                      pattern: {
+                        value: /^\d{6}$/,
+                        message: 'Enter the 6-digit code'
+                      }
+                    })}
+                    className={`input-field tracking-widest ${errors.code ? 'border-red-500' : ''}`}
+                    placeholder="123456"
+                  />
+                  {errors.code && (
+                    <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+                  )}
+                </div>
+
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setEnrolment(null)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={submitting}
+                    className="btn-primary flex items-center disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {submitting ? (
+                      <>
+                        <LoadingSpinner size="sm" className="mr-2" />
+                        Verifying...
+                      </>
+                    ) : (
+                      'Enable'
+                    )}
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SecuritySettings
\ No newline at end of file
@@ -2,19 +2,78 @@ import React, { useState } from 'react'
 import { Link } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
 import { useAuth } from '../contexts/AuthContext'
-import { Eye, EyeOff, FileText, Mail, Lock } from 'lucide-react'
+import { Eye, EyeOff, FileText, Mail, Lock, CheckCircle, ShieldCheck } from 'lucide-react'
 import LoadingSpinner from '../components/LoadingSpinner'
 
+const MODES = {
+  password: {
+    title: 'Sign in to your account',
+    subtitle: "Access your club's document tracker",
+    submit: 'Sign in',
+    submitting: 'Signing in...'
+  },
+  magicLink: {
+    title: 'Sign in with a link',
+    subtitle: "We'll email you a one-time link to sign in",
+    submit: 'Email me a sign-in link',
+    submitting: 'Sending link...'
+  },
+  forgotPassword: {
+    title: 'Reset your password',
+    subtitle: "Enter your email and we'll send you a reset link",
+    submit: 'Send reset link',
+    submitting: 'Sending link...'
+  },
+  mfaChallenge: {
+    title: 'Two-factor authentication',
+    subtitle: 'Enter the 6-digit code from your authenticator app',
+    submit: 'Verify',
+    submitting: 'Verifying...'
+  }
+}
+
 const SignIn = () => {
   const [showPassword, setShowPassword] = useState(false)
   const [loading, setLoading] = useState(false)
-  const { signIn } = useAuth()
-  const { register, handleSubmit, formState: { errors } } = useForm()
+  const [mode, setMode] = useState('password')
+  const [emailSentTo, setEmailSentTo] = useState(null)
+  const { signIn, signInWithOtp, resetPassword, signOut, mfaRequired, verifyMfaChallenge } = useAuth()
+  const { register, handleSubmit, unregister, reset, formState: { errors } } = useForm()
+
+  // A signed-in session waiting for its second factor always shows the code step
+  const currentMode = MODES[mfaRequired ? 'mfaChallenge' : mode]
+
+  const switchMode = (nextMode) => {
+    if (nextMode !== 'password') {
+      unregister('password')
+    }
+    setEmailSentTo(null)
+    setMode(nextMode)
+  }
 
   const onSubmit = async (data) => {
     setLoading(true)
     try {
-      await signIn(data.email, data.password)
+      if (mfaRequired) {
+        const result = await verifyMfaChallenge(data.code)
+        if (!result.success) {
+          reset({ code: '' })
+        }
+        return
+      }
+
+      if (mode === 'password') {
+        await signIn(data.email, data.password)
+        return
+      }
+
+      const result = mode === 'magicLink'
+        ? await signInWithOtp(data.email)
+        : await resetPassword(data.email)
+
+      if (result.success) {
+        setEmailSentTo(data.email)
+      }
     } finally {
       setLoading(false)
     }
@@ -29,88 +88,45 @@ const SignIn = () => {
             <FileText className="h-12 w-12 text-primary-600" />
           </div>
           <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
-            Sign in to your account
+            {currentMode.title}
           </h2>
           <p className="mt-2 text-sm text-gray-600">
-            Access your club's document tracker
+            {currentMode.subtitle}
           </p>
         </div>
 
-        {/* Form */}
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-          <div className="space-y-4">
-            {/* Email Field */}
+        {mfaRequired ? (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
             <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                Email address
+              <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">
+                Authentication code
               </label>
               <div className="relative">
                 <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Mail className="h-5 w-5 text-gray-400" />
+                  <ShieldCheck className="h-5 w-5 text-gray-400" />
                 </div>
                 <input
-                  id="email"
-                  type="email"
-                  autoComplete="email"
-                  {...register('email', {
-                    required: 'Email is required',
+                  id="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  {...register('code', {
+                    required: 'Code is required',
                     pattern: {
-                      value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                      message: 'Invalid email address'
+                      value: /^\d{6}$/,
+                      message: 'Enter the 6-digit code'
                     }
                   })}
-                  className={`input-field pl-10 ${errors.email ? 'border-red-500' : ''}`}
-                  placeholder="Enter your email"
+                  className={`input-field pl-10 tracking-widest ${errors.code ? 'border-red-500' : ''}`}
+                  placeholder="123456"
                 />
               </div>
-              {errors.email && (
-                <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
-              )}
-            </div>
-
-            {/* Password Field */}
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <Lock className="h-5 w-5 text-gray-400" />
-                </div>
-                <input
-                  id="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  {...register('password', {
-                    required: 'Password is required',
-                    minLength: {
-                      value: 6,
-                      message: 'Password must be at least 6 characters'
-                    }
-                  })}
-                  className={`input-field pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
-                  placeholder="Enter your password"
-                />
-                <button
-                  type="button"
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
-                  onClick={() => setShowPassword(!showPassword)}
-                >
-                  {showPassword ? (
-                    <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
-                </button>
-              </div>
-              {errors.password && (
-                <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+              {errors.code && (
+                <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
               )}
             </div>
-          </div>
 
-          {/* Submit Button */}
-          <div>
             <button
               type="submit"
               disabled={loading}
@@ -119,27 +135,170 @@ const SignIn = () => {
               {loading ? (
                 <>
                   <LoadingSpinner size="sm" className="mr-2" />
-                  Signing in...
+                  {currentMode.submitting}
                 </>
               ) : (
-                'Sign in'
+                currentMode.submit
               )}
             </button>
-          </div>
 
-          {/* Sign Up Link */}
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <Link
-                to="/signup"
-                className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={signOut}
+                className="text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
               >
-                Sign up here
-              </Link>
-            </p>
+                Sign in with a different account
+              </button>
+            </div>
+          </form>
+        ) : emailSentTo ? (
+          <div className="card p-6 text-center space-y-4">
+            <CheckCircle className="mx-auto h-12 w-12 text-green-500" />
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Check your email</h3>
+              <p className="mt-1 text-sm text-gray-600">
+                {mode === 'magicLink'
+                  ? `We sent a sign-in link to ${emailSentTo}.`
+                  : `We sent a password reset link to ${emailSentTo}.`
+                }
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => switchMode('password')}
+              className="font-medium text-primary-600 hover:text-primary-500 transition-colors text-sm"
+            >
+              Back to sign in
+            </button>
           </div>
-        </form>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+            <div className="space-y-4">
+              {/* Email Field */}
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    autoComplete="email"
+                    {...register('email', {
+                      required: 'Email is required',
+                      pattern: {
+                        value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                        message: 'Invalid email address'
+                      }
+                    })}
+                    className={`input-field pl-10 ${errors.email ? 'border-red-500' : ''}`}
+                    placeholder="Enter your email"
+                  />
+                </div>
+                {errors.email && (
+                  <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
+                )}
+              </div>
+
+              {/* Password Field */}
+              {mode === 'password' && (
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                      Password
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => switchMode('forgotPassword')}
+                      className="text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                    >
+                      Forgot password?
+                    </button>
+                  </div>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <Lock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id="password"
+                      type={showPassword ? 'text' : 'password'}
+                      autoComplete="current-password"
+                      {...register('password', {
+                        required: 'Password is required',
+                        minLength: {
+                          value: 6,
+                          message: 'Password must be at least 6 characters'
+                        }
+                      })}
+                      className={`input-field pl-10 pr-10 ${errors.password ? 'border-red-500' : ''}`}
+                      placeholder="Enter your password"
+                    />
+                    <button
+                      type="button"
+                      className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                      onClick={() => setShowPassword(!showPassword)}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      ) : (
+                        <Eye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                      )}
+                    </button>
+                  </div>
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600">{errors.password.message}</p>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Submit Button */}
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary flex justify-center items-center py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? (
+                  <>
+                    <LoadingSpinner size="sm" className="mr-2" />
+                    {currentMode.submitting}
+                  </>
+                ) : (
+                  currentMode.submit
+                )}
+              </button>
+            </div>
+
+            {/* Alternative Sign-in Methods */}
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => switchMode(mode === 'password' ? 'magicLink' : 'password')}
+                className="text-sm font-medium text-primary-600 hover:text-primary-500 transition-colors"
+              >
+                {mode === 'password' ? 'Email me a sign-in link instead' : 'Sign in with password instead'}
+              </button>
+            </div>
+
+            {/* Sign Up Link */}
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <Link
+                  to="/signup"
+                  className="font-medium text-primary-600 hover:text-primary-500 transition-colors"
+                >
+                  Sign up here
+                </Link>
+              </p>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   )
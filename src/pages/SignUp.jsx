@@ -1,37 +1,60 @@
-import React, { useState } from 'react'
-import { Link } from 'react-router-dom'
+import React, { useState, useEffect } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useForm } from 'react-hook-form'
 import { useAuth } from '../contexts/AuthContext'
-import { Eye, EyeOff, FileText, Mail, Lock, User, Shield, Key } from 'lucide-react'
+import { getInvitation } from '../lib/supabase'
+import { Eye, EyeOff, FileText, Mail, Lock, User, Shield } from 'lucide-react'
+import { format } from 'date-fns'
 import LoadingSpinner from '../components/LoadingSpinner'
 import toast from 'react-hot-toast'
 
-const ADMIN_SECRET_CODE = '1234'
-
 const SignUp = () => {
+  const [searchParams] = useSearchParams()
+  const inviteToken = searchParams.get('invite')
   const [showPassword, setShowPassword] = useState(false)
   const [showConfirmPassword, setShowConfirmPassword] = useState(false)
-  const [accountType, setAccountType] = useState('member')
+  const [invitation, setInvitation] = useState(null)
+  const [checkingInvite, setCheckingInvite] = useState(!!inviteToken)
   const [loading, setLoading] = useState(false)
   const { signUp } = useAuth()
-  const { register, handleSubmit, watch, formState: { errors } } = useForm()
+  const { register, handleSubmit, watch, setValue, formState: { errors } } = useForm()
 
   const password = watch('password')
 
-  const onSubmit = async (data) => {
-    // Validate admin secret code if admin account type is selected
-    if (accountType === 'admin' && data.secretCode !== ADMIN_SECRET_CODE) {
-      toast.error('Invalid admin secret code')
-      return
+  useEffect(() => {
+    if (inviteToken) {
+      loadInvitation()
+    }
+  }, [inviteToken])
+
+  const loadInvitation = async () => {
+    try {
+      setCheckingInvite(true)
+      const invite = await getInvitation(inviteToken)
+
+      if (!invite) {
+        toast.error('This invitation link is invalid or has expired')
+        return
+      }
+
+      setInvitation(invite)
+      setValue('email', invite.email)
+    } catch (error) {
+      console.error('Error loading invitation:', error)
+      toast.error('Failed to load invitation')
+    } finally {
+      setCheckingInvite(false)
     }
+  }
 
+  const onSubmit = async (data) => {
     setLoading(true)
     try {
       const result = await signUp(
         data.email,
         data.password,
         data.fullName,
-        accountType
+        invitation ? inviteToken : null
       )
       
       if (result.success) {
@@ -42,6 +65,14 @@ const SignUp = () => {
     }
   }
 
+  if (checkingInvite) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -103,6 +134,7 @@ const SignUp = () => {
                   id="email"
                   type="email"
                   autoComplete="email"
+                  readOnly={!!invitation}
                   {...register('email', {
                     required: 'Email is required',
                     pattern: {
@@ -110,76 +142,53 @@ const SignUp = () => {
                       message: 'Invalid email address'
                     }
                   })}
-                  className={`input-field pl-10 ${errors.email ? 'border-red-500' : ''}`}
+                  className={`input-field pl-10 ${errors.email ? 'border-red-500' : ''} ${invitation ? 'bg-gray-100 cursor-not-allowed' : ''}`}
                   placeholder="Enter your email"
                 />
               </div>
               {errors.email && (
                 <p className="mt-1 text-sm text-red-600">{errors.email.message}</p>
               )}
+              {invitation && (
+                <p className="mt-1 text-xs text-gray-500">
+                  This invitation can only be used with the email address it was sent to
+                </p>
+              )}
             </div>
 
-            {/* Account Type Selection */}
+            {/* Account Type */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Account Type
               </label>
-              <div className="grid grid-cols-2 gap-3">
-                <button
-                  type="button"
-                  onClick={() => setAccountType('member')}
-                  className={`flex items-center justify-center p-3 border rounded-lg transition-colors ${
-                    accountType === 'member'
-                      ? 'border-primary-600 bg-primary-50 text-primary-700'
-                      : 'border-gray-300 hover:border-gray-400'
-                  }`}
-                >
+              {invitation ? (
+                <div className="flex items-center p-3 border border-primary-600 bg-primary-50 text-primary-700 rounded-lg">
+                  {invitation.role === 'admin' ? (
+                    <Shield className="h-5 w-5 mr-2" />
+                  ) : (
+                    <User className="h-5 w-5 mr-2" />
+                  )}
+                  <div>
+                    <p className="font-medium">
+                      Invited to {invitation.organization_name} as {invitation.role_name}
+                    </p>
+                    <p className="text-xs text-primary-600">
+                      Invitation expires {format(new Date(invitation.expires_at), 'MMM d, yyyy \'at\' h:mm a')}
+                    </p>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-center p-3 border border-gray-300 rounded-lg text-gray-700">
                   <User className="h-5 w-5 mr-2" />
-                  Member
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setAccountType('admin')}
-                  className={`flex items-center justify-center p-3 border rounded-lg transition-colors ${
-                    accountType === 'admin'
-                      ? 'border-primary-600 bg-primary-50 text-primary-700'
-                      : 'border-gray-300 hover:border-gray-400'
-                  }`}
-                >
-                  <Shield className="h-5 w-5 mr-2" />
-                  Admin
-                </button>
-              </div>
-            </div>
-
-            {/* Admin Secret Code Field */}
-            {accountType === 'admin' && (
-              <div>
-                <label htmlFor="secretCode" className="block text-sm font-medium text-gray-700 mb-1">
-                  Admin Secret Code
-                </label>
-                <div className="relative">
-                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                    <Key className="h-5 w-5 text-gray-400" />
+                  <div>
+                    <p className="font-medium">New club</p>
+                    <p className="text-xs text-gray-500">
+                      After signing up you can create your own club. To join an existing club, use the invitation link sent by one of its admins
+                    </p>
                   </div>
-                  <input
-                    id="secretCode"
-                    type="password"
-                    {...register('secretCode', {
-                      required: accountType === 'admin' ? 'Secret code is required for admin accounts' : false
-                    })}
-                    className={`input-field pl-10 ${errors.secretCode ? 'border-red-500' : ''}`}
-                    placeholder="Enter admin secret code"
-                  />
                 </div>
-                {errors.secretCode && (
-                  <p className="mt-1 text-sm text-red-600">{errors.secretCode.message}</p>
-                )}
-                <p className="mt-1 text-xs text-gray-500">
-                  Contact your club administrator for the secret code
-                </p>
-              </div>
-            )}
+              )}
+            </div>
 
             {/* Password Field */}
             <div>
@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, getDocumentTemplates, applyNamePattern } from '../lib/supabase'
+import { LayoutTemplate, Users, Shield, Trash2, Plus } from 'lucide-react'
+import { format } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const Templates = () => {
+  const { user, isAdmin, currentOrganization } = useAuth()
+  const navigate = useNavigate()
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchTemplates()
+  }, [currentOrganization?.id])
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true)
+      setTemplates(await getDocumentTemplates(currentOrganization.id))
+    } catch (error) {
+      console.error('Error fetching templates:', error)
+      toast.error('Failed to fetch templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template? Documents created from it are not affected.`)) return
+
+    try {
+      const { error } = await supabase
+        .from('document_templates')
+        .delete()
+        .eq('id', template.id)
+
+      if (error) throw error
+
+      setTemplates(prev => prev.filter(t => t.id !== template.id))
+      toast.success('Template deleted')
+    } catch (error) {
+      console.error('Error deleting template:', error)
+      toast.error(`Failed to delete template: ${error.message}`)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Document Templates</h1>
+          <p className="mt-2 text-gray-600">
+            Start recurring paperwork in {currentOrganization?.name} with the same settings and signatories every time.
+            Save a template from any document's page.
+          </p>
+        </div>
+        <Link to="/create-document" className="btn-primary inline-flex items-center justify-center">
+          <Plus className="h-4 w-4 mr-2" />
+          New Document
+        </Link>
+      </div>
+
+      {templates.length === 0 ? (
+        <div className="card p-12 text-center">
+          <LayoutTemplate className="h-12 w-12 text-gray-300 mx-auto mb-4" />
+          <h2 className="text-lg font-semibold text-gray-900">No templates yet</h2>
+          <p className="mt-2 text-gray-600">
+            Open a document and choose "Save as Template" to reuse its signatories and settings.
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {templates.map(template => (
+            <div key={template.id} className="card p-6 flex flex-col">
+              <div className="flex items-start justify-between">
+                <h2 className="text-lg font-semibold text-gray-900">{template.name}</h2>
+                {(template.created_by === user?.id || isAdmin) && (
+                  <button
+                    onClick={() => deleteTemplate(template)}
+                    className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                    title="Delete template"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+
+              <p className="mt-1 text-sm text-gray-500">
+                Creates "{applyNamePattern(template.name_pattern)}"
+              </p>
+
+              {template.description && (
+                <p className="mt-3 text-sm text-gray-600 line-clamp-3">{template.description}</p>
+              )}
+
+              <div className="mt-4 flex flex-wrap gap-2">
+                <span className="inline-flex items-center px-2 py-1 bg-gray-100 text-gray-700 rounded-full text-xs font-medium">
+                  <Users className="h-3 w-3 mr-1" />
+                  {template.signatories.length} {template.signatories.length === 1 ? 'signatory' : 'signatories'}
+                </span>
+                {template.requires_admin_approval && (
+                  <span className="inline-flex items-center px-2 py-1 bg-primary-100 text-primary-700 rounded-full text-xs font-medium">
+                    <Shield className="h-3 w-3 mr-1" />
+                    Admin approval
+                  </span>
+                )}
+              </div>
+
+              {template.signatories.length > 0 && (
+                <ol className="mt-4 space-y-1 text-sm text-gray-600 list-decimal list-inside">
+                  {template.signatories.map((sig, index) => (
+                    <li key={index}>
+                      {sig.name}
+                      {sig.position && <span className="text-gray-400"> · {sig.position}</span>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              <div className="mt-auto pt-6 flex items-center justify-between">
+                <span className="text-xs text-gray-400">
+                  {template.created_by_user?.full_name || 'Unknown'} · {format(new Date(template.created_at), 'MMM d, yyyy')}
+                </span>
+                <button
+                  onClick={() => navigate(`/create-document?template=${template.id}`)}
+                  className="btn-primary text-sm"
+                >
+                  Use Template
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Templates
\ No newline at end of file
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+import { supabase, purgeDocument } from '../lib/supabase'
+import { Trash2, RotateCcw, FileText, Settings } from 'lucide-react'
+import { format, addDays } from 'date-fns'
+import LoadingSpinner from '../components/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+// Deleted documents, kept for the club's retention period so they can be restored
+const Trash = () => {
+  const { user, currentOrganization, refreshOrganizations, can, isAdmin, isAal2 } = useAuth()
+  const [documents, setDocuments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState(null)
+  const [retentionDays, setRetentionDays] = useState(currentOrganization?.trash_retention_days ?? 30)
+  const [savingRetention, setSavingRetention] = useState(false)
+
+  const currentRetention = currentOrganization?.trash_retention_days ?? 30
+
+  useEffect(() => {
+    fetchTrash()
+    setRetentionDays(currentOrganization?.trash_retention_days ?? 30)
+  }, [currentOrganization?.id])
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true)
+
+      const { data, error } = await supabase
+        .from('documents')
+        .select(`
+          id, name, status, created_by, deleted_at,
+          created_by_user:users!created_by(full_name),
+          deleted_by_user:users!deleted_by(full_name)
+        `)
+        .eq('organization_id', currentOrganization.id)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false })
+
+      if (error) throw error
+
+      setDocuments(data)
+    } catch (error) {
+      console.error('Error fetching trash:', error)
+      toast.error('Failed to fetch the trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const canRestore = (document) => {
+    return can('document.delete') || document.created_by === user?.id
+  }
+
+  const restoreDocument = async (document) => {
+    try {
+      setBusyId(document.id)
+
+      const { error } = await supabase.rpc('restore_document', { p_document_id: document.id })
+
+      if (error) throw error
+
+      setDocuments(prev => prev.filter(d => d.id !== document.id))
+      toast.success(`${document.name} restored`)
+    } catch (error) {
+      console.error('Error restoring document:', error)
+      toast.error(`Failed to restore document: ${error.message}`)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const deleteForever = async (document) => {
+    if (document.created_by !== user.id && !isAal2) {
+      toast.error("Permanently deleting other members' documents requires two-factor authentication. Set up an authenticator app under Account Security and sign in again.")
+      return
+    }
+
+    if (!window.confirm(`Permanently delete "${document.name}"?\n\nIts files, signatures, comments and activity history are removed for good. This cannot be undone.`)) return
+
+    try {
+      setBusyId(document.id)
+      await purgeDocument(document.id)
+
+      setDocuments(prev => prev.filter(d => d.id !== document.id))
+      toast.success(`${document.name} permanently deleted`)
+    } catch (error) {
+      console.error('Error purging document:', error)
+      toast.error(`Failed to delete document: ${error.message}`)
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const saveRetention = async (event) => {
+    event.preventDefault()
+
+    const days = Number(retentionDays)
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      toast.error('Keep deleted documents for between 1 and 365 days')
+      return
+    }
+
+    setSavingRetention(true)
+    try {
+      const { error } = await supabase
+        .from('organizations')
+        .update({ trash_retention_days: days })
+        .eq('id', currentOrganization.id)
+
+      if (error) throw error
+
+      await refreshOrganizations()
+      toast.success('Retention period updated')
+    } catch (error) {
+      console.error('Error updating retention period:', error)
+      toast.error(`Failed to update retention period: ${error.message}`)
+    } finally {
+      setSavingRetention(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Trash</h1>
+        <p className="mt-2 text-gray-600">
+          Deleted documents keep their signatures, comments, activity and files for {currentRetention} days.
+          Restore them before then, or they are permanently deleted.
+        </p>
+      </div>
+
+      {/* Retention */}
+      {isAdmin && (
+        <div className="card p-6 mb-8">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Settings className="h-5 w-5 mr-2 text-primary-600" />
+            Retention Period
+          </h2>
+          <form onSubmit={saveRetention} className="flex flex-col sm:flex-row sm:items-end gap-4">
+            <div>
+              <label htmlFor="trash_retention_days" className="block text-sm font-medium text-gray-700 mb-1">
+                Keep deleted documents for (days)
+              </label>
+              <input
+                id="trash_retention_days"
+                type="number"
+                min="1"
+                max="365"
+                value={retentionDays}
+                onChange={(e) => setRetentionDays(e.target.value)}
+                className="input-field w-32"
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={savingRetention || Number(retentionDays) === currentRetention}
+              className="btn-primary flex items-center justify-center disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {savingRetention ? (
+                <>
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Saving...
+                </>
+              ) : (
+                'Save'
+              )}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Deleted Documents */}
+      {documents.length === 0 ? (
+        <div className="text-center py-12">
+          <Trash2 className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">The trash is empty</h3>
+          <p className="mt-1 text-sm text-gray-500">Deleted documents show up here until they are permanently deleted.</p>
+        </div>
+      ) : (
+        <div className="card overflow-hidden">
+          <ul className="divide-y divide-gray-200">
+            {documents.map(document => (
+              <li key={document.id} className="px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div className="flex items-start min-w-0">
+                  <FileText className="h-5 w-5 mr-3 mt-0.5 text-gray-400 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <Link
+                      to={`/document/${document.id}`}
+                      className="font-medium text-gray-900 hover:text-primary-600 truncate block"
+                    >
+                      {document.name}
+                    </Link>
+                    <p className="text-sm text-gray-500">
+                      Deleted by {document.deleted_by_user?.full_name || 'someone'} on {format(new Date(document.deleted_at), 'MMM d, yyyy')}
+                      {' • '}Created by {document.created_by_user?.full_name}
+                    </p>
+                    <p className="text-xs text-red-600">
+                      Permanently deleted on {format(addDays(new Date(document.deleted_at), currentRetention), 'MMM d, yyyy')}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  {canRestore(document) && (
+                    <button
+                      onClick={() => restoreDocument(document)}
+                      disabled={busyId === document.id}
+                      className="bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 hover:border-gray-400 px-3 py-1.5 rounded-lg flex items-center text-sm font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-1" />
+                      Restore
+                    </button>
+                  )}
+                  {isAdmin && (
+                    <button
+                      onClick={() => deleteForever(document)}
+                      disabled={busyId === document.id}
+                      className="bg-red-600 hover:bg-red-700 disabled:bg-red-400 text-white px-3 py-1.5 rounded-lg flex items-center text-sm font-medium transition-all duration-200 disabled:cursor-not-allowed"
+                    >
+                      <Trash2 className="h-4 w-4 mr-1" />
+                      Delete Forever
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Trash
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Permanently deletes trashed documents, with every file they reference.
+//
+// Called on a schedule with the service role key (see the README), it purges
+// documents that have been in the trash longer than their club's retention
+// period. Called by a signed-in club admin with { documentId }, it purges
+// that document from the Trash page.
+//
+// Deploy with `supabase functions deploy purge-trash`.
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+}
+
+const jsonResponse = (body: unknown, status = 200) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
+
+// The service role can delete any club's files, so only paths in the
+// document's club folder, or recorded for its club before tenancy, are kept
+const clubFilePaths = async (
+  serviceClient: ReturnType<typeof createClient>,
+  organizationId: string,
+  paths: string[]
+) => {
+  const inFolder = paths.filter((path) => path.startsWith(`${organizationId}/`))
+  const others = paths.filter((path) => !path.startsWith(`${organizationId}/`))
+  if (others.length === 0) return inFolder
+
+  const { data, error } = await serviceClient
+    .from('legacy_document_files')
+    .select('path')
+    .eq('organization_id', organizationId)
+    .in('path', others)
+
+  if (error) throw error
+
+  const legacy = new Set(data.map((file) => file.path))
+  const foreign = others.filter((path) => !legacy.has(path))
+  if (foreign.length > 0) {
+    console.error(`Skipped files outside club ${organizationId}:`, foreign)
+  }
+  return [...inFolder, ...others.filter((path) => legacy.has(path))]
+}
+
+// Remove a club's files from the documents bucket and return the paths that
+// are still there: storage skips files it can't find without reporting an error
+const removeFiles = async (
+  serviceClient: ReturnType<typeof createClient>,
+  organizationId: string,
+  filePaths: string[]
+) => {
+  const paths = await clubFilePaths(serviceClient, organizationId, filePaths)
+  if (paths.length === 0) return []
+
+  const { data, error } = await serviceClient.storage
+    .from('documents')
+    .remove(paths)
+
+  if (error) throw error
+
+  const removed = new Set(data.map((file) => file.name))
+  return paths.filter((path) => !removed.has(path))
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+  const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+  const authorization = req.headers.get('Authorization') ?? ''
+  const serviceClient = createClient(supabaseUrl, serviceRoleKey)
+
+  try {
+    if (authorization !== `Bearer ${serviceRoleKey}`) {
+      const { documentId } = await req.json()
+      if (!documentId) {
+        return jsonResponse({ error: 'documentId is required' }, 400)
+      }
+
+      // purge_document checks, as the caller, that they are an admin of the
+      // document's club (with two-factor authentication for other members'
+      // documents) and deletes the row before any file is touched
+      const callerClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+        global: { headers: { Authorization: authorization } }
+      })
+
+      const { data, error } = await callerClient.rpc('purge_document', { p_document_id: documentId })
+      if (error) {
+        return jsonResponse({ error: error.message }, error.code === '42501' ? 403 : 400)
+      }
+      const [{ organization_id: organizationId, file_paths: filePaths }] = data
+
+      // The document is gone by now, so a storage failure is logged rather
+      // than reported as a failed purge
+      let remaining = filePaths
+      try {
+        remaining = await removeFiles(serviceClient, organizationId, filePaths)
+      } catch (storageError) {
+        console.error(`Error removing files of purged document ${documentId}:`, storageError)
+      }
+      if (remaining.length > 0) {
+        console.error(`Files of purged document ${documentId} were not removed:`, remaining)
+      }
+
+      return jsonResponse({ purged: 1, remainingFiles: remaining.length })
+    }
+
+    const { data: expired, error } = await serviceClient.rpc('expired_trash_documents')
+    if (error) throw error
+
+    let purged = 0
+    for (const { document_id: documentId, organization_id: organizationId, file_paths: filePaths } of expired) {
+      // The row first: a failed delete leaves the document and its files for
+      // the next run, instead of a document whose files are gone
+      const { error: deleteError } = await serviceClient
+        .from('documents')
+        .delete()
+        .eq('id', documentId)
+        .not('deleted_at', 'is', null)
+
+      if (deleteError) {
+        console.error(`Error purging document ${documentId}:`, deleteError)
+        continue
+      }
+
+      purged += 1
+
+      let remaining = filePaths
+      try {
+        remaining = await removeFiles(serviceClient, organizationId, filePaths)
+      } catch (storageError) {
+        console.error(`Error removing files of purged document ${documentId}:`, storageError)
+      }
+      if (remaining.length > 0) {
+        console.error(`Files of purged document ${documentId} were not removed:`, remaining)
+      }
+    }
+
+    return jsonResponse({ purged })
+  } catch (error) {
+    console.error('Error purging the trash:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
\ No newline at end of file
@@ -0,0 +1,120 @@
+// Emails a club invitation link to the invitee.
+//
+// Deploy with `supabase functions deploy send-invitation` and set the
+// RESEND_API_KEY, INVITE_FROM_EMAIL and SITE_URL secrets.
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+}
+
+const jsonResponse = (body: unknown, status = 200) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+}
+
+const escapeHtml = (value: string) => {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { invitationId } = await req.json()
+    if (!invitationId) {
+      return jsonResponse({ error: 'invitationId is required' }, 400)
+    }
+
+    // The link is only ever built from the configured site, never from request
+    // headers a caller controls, so an invite token can't be sent to their domain
+    const siteUrl = Deno.env.get('SITE_URL')
+    if (!siteUrl) {
+      return jsonResponse({ error: 'SITE_URL is not configured' }, 500)
+    }
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+
+    // Read the invitation as the caller, so RLS only lets members with
+    // member.manage in the invitation's club send it
+    const callerClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_ANON_KEY')!, {
+      global: { headers: { Authorization: req.headers.get('Authorization') ?? '' } }
+    })
+
+    const { data: invitation, error } = await callerClient
+      .from('invitations')
+      .select(`
+        *,
+        organization:organizations(name),
+        created_by_user:users!created_by(full_name)
+      `)
+      .eq('id', invitationId)
+      .maybeSingle()
+
+    if (error) throw error
+    if (!invitation) {
+      return jsonResponse({ error: 'Invitation not found' }, 404)
+    }
+    if (invitation.accepted_at || invitation.revoked_at) {
+      return jsonResponse({ error: 'This invitation can no longer be used' }, 400)
+    }
+    if (new Date(invitation.expires_at) <= new Date()) {
+      return jsonResponse({ error: 'This invitation has expired' }, 400)
+    }
+
+    const link = `${siteUrl.replace(/\/$/, '')}/signup?invite=${invitation.token}`
+    const organizationName = invitation.organization?.name || 'the club'
+    const inviterName = invitation.created_by_user?.full_name || 'A club admin'
+    const expiresOn = new Date(invitation.expires_at).toUTCString()
+
+    const emailResponse = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${Deno.env.get('RESEND_API_KEY')}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: Deno.env.get('INVITE_FROM_EMAIL'),
+        to: invitation.email,
+        subject: `You're invited to join ${organizationName} on Document Tracker`,
+        html: `
+          <p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(organizationName)}</strong> on Document Tracker.</p>
+          <p><a href="${link}">Accept the invitation</a></p>
+          <p>The link can only be used with ${escapeHtml(invitation.email)} and expires on ${expiresOn}.</p>
+        `,
+        text: `${inviterName} has invited you to join ${organizationName} on Document Tracker.\n\nAccept the invitation: ${link}\n\nThe link can only be used with ${invitation.email} and expires on ${expiresOn}.`
+      })
+    })
+
+    if (!emailResponse.ok) {
+      console.error('Error sending invitation email:', await emailResponse.text())
+      return jsonResponse({ error: 'The email provider rejected the message' }, 502)
+    }
+
+    // Members cannot update invitations directly, so record the send with the service role
+    const serviceClient = createClient(supabaseUrl, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!)
+    const { error: updateError } = await serviceClient
+      .from('invitations')
+      .update({
+        last_sent_at: new Date().toISOString(),
+        send_count: (invitation.send_count ?? 0) + 1
+      })
+      .eq('id', invitation.id)
+
+    if (updateError) throw updateError
+
+    return jsonResponse({ success: true })
+  } catch (error) {
+    console.error('Error sending invitation:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
\ No newline at end of file
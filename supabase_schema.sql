@@ -4,6 +4,9 @@
 -- Enable RLS (Row Level Security)
 -- This will be set up for each table
 
+-- Required for random invitation tokens
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
 -- Users table with role-based access
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -68,12 +71,26 @@ CREATE TABLE IF NOT EXISTS document_comments (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Invitations issued by admins; the only way to sign up with a non-member role
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token VARCHAR(64) UNIQUE NOT NULL DEFAULT encode(gen_random_bytes(24), 'hex'),
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_documents_created_by ON documents(created_by);
 CREATE INDEX IF NOT EXISTS idx_documents_status ON documents(status);
 CREATE INDEX IF NOT EXISTS idx_document_signatories_document_id ON document_signatories(document_id);
 CREATE INDEX IF NOT EXISTS idx_document_activity_document_id ON document_activity(document_id);
 CREATE INDEX IF NOT EXISTS idx_document_comments_document_id ON document_comments(document_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
 
 -- Enable Row Level Security
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
@@ -81,6 +98,7 @@ ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
 ALTER TABLE document_signatories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE document_activity ENABLE ROW LEVEL SECURITY;
 ALTER TABLE document_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for users table
 CREATE POLICY "Users can view all users" ON users
@@ -175,17 +193,48 @@ CREATE TRIGGER update_document_comments_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
--- Function to automatically create user profile when auth user is created
+-- Function to automatically create user profile when auth user is created.
+-- Roles are never read from client metadata: a valid, unused invitation
+-- token issued for the user's email is the only way to join a club, and
+-- the club role comes from the invitation.
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
+DECLARE
+    invite public.invitations%ROWTYPE;
 BEGIN
+    IF NEW.raw_user_meta_data ? 'invite_token' THEN
+        SELECT * INTO invite
+        FROM public.invitations
+        WHERE token = NEW.raw_user_meta_data->>'invite_token'
+          AND accepted_at IS NULL
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+          AND lower(email) = lower(NEW.email)
+        FOR UPDATE;
+
+        IF FOUND THEN
+            UPDATE public.invitations
+            SET accepted_at = NOW()
+            WHERE id = invite.id;
+        END IF;
+    END IF;
+
     INSERT INTO public.users (id, email, full_name, role)
     VALUES (
         NEW.id,
         NEW.email,
         COALESCE(NEW.raw_user_meta_data->>'full_name', split_part(NEW.email, '@', 1)),
-        COALESCE(NEW.raw_user_meta_data->>'role', 'member')
+        'member'
     );
+
+    -- accepted_by and memberships reference users, so link them once the profile exists
+    IF invite.id IS NOT NULL THEN
+        UPDATE public.invitations SET accepted_by = NEW.id WHERE id = invite.id;
+
+        INSERT INTO public.organization_members (organization_id, user_id, role)
+        VALUES (invite.organization_id, NEW.id, invite.role);
+    END IF;
+
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -219,8 +268,54 @@ CREATE POLICY "Document owners and admins can delete documents" ON storage.objec
          EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role = 'admin'))
     );
 
--- Insert admin secret for validation
-INSERT INTO app_config (key, value) VALUES ('admin_secret', '1234');
+-- ================================================================
+-- INVITATION FUNCTIONS
+-- ================================================================
+
+-- Public lookup used by the sign-up page to pre-fill an invite link.
+-- Only returns an invitation that can still be accepted.
+DROP FUNCTION IF EXISTS get_invitation(TEXT);
+CREATE OR REPLACE FUNCTION get_invitation(p_token TEXT)
+RETURNS TABLE (
+    email VARCHAR,
+    role VARCHAR,
+    role_name VARCHAR,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    organization_name VARCHAR
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT i.email, i.role, COALESCE(r.name, i.role), i.expires_at, o.name
+    FROM invitations i
+    JOIN organizations o ON o.id = i.organization_id
+    LEFT JOIN organization_roles r ON r.organization_id = i.organization_id AND r.key = i.role
+    WHERE i.token = p_token
+      AND i.accepted_at IS NULL
+      AND i.revoked_at IS NULL
+      AND i.expires_at > NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_invitation(TEXT) TO anon, authenticated;
+
+-- Prevent members from promoting themselves through the
+-- "Users can update their own profile" policy
+CREATE OR REPLACE FUNCTION prevent_role_escalation()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.role IS DISTINCT FROM OLD.role
+       AND auth.uid() IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin') THEN
+        RAISE EXCEPTION 'Only admins can change user roles';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER prevent_users_role_escalation
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION prevent_role_escalation();
 
 -- ================================================================
 -- NOTIFICATION SYSTEM TABLES AND TRIGGERS
@@ -296,26 +391,42 @@ CREATE TRIGGER update_push_subscriptions_updated_at
 -- NOTIFICATION FUNCTIONS
 -- ================================================================
 
--- Function to create notification for all users except the actor
+-- Function to create notification for every member of an organization except the actor.
+-- The organization defaults to the one owning p_document_id.
+DROP FUNCTION IF EXISTS create_notification_for_users(TEXT, TEXT, TEXT, UUID, JSONB, UUID);
 CREATE OR REPLACE FUNCTION create_notification_for_users(
     p_title TEXT,
     p_message TEXT,
     p_type TEXT,
     p_document_id UUID DEFAULT NULL,
     p_data JSONB DEFAULT '{}',
-    p_exclude_user_id UUID DEFAULT NULL
+    p_exclude_user_id UUID DEFAULT NULL,
+    p_organization_id UUID DEFAULT NULL
 ) RETURNS VOID AS $$
+DECLARE
+    target_organization UUID;
 BEGIN
-    INSERT INTO notifications (user_id, document_id, title, message, type, data)
+    target_organization := COALESCE(
+        p_organization_id,
+        (SELECT organization_id FROM documents WHERE id = p_document_id)
+    );
+
+    IF target_organization IS NULL THEN
+        RAISE EXCEPTION 'An organization is required to notify its members';
+    END IF;
+
+    INSERT INTO notifications (user_id, organization_id, document_id, title, message, type, data)
     SELECT 
-        u.id,
+        m.user_id,
+        target_organization,
         p_document_id,
         p_title,
         p_message,
         p_type,
         p_data
-    FROM users u
-    WHERE u.id != COALESCE(p_exclude_user_id, '00000000-0000-0000-0000-000000000000'::UUID);
+    FROM organization_members m
+    WHERE m.organization_id = target_organization
+    AND m.user_id != COALESCE(p_exclude_user_id, '00000000-0000-0000-0000-000000000000'::UUID);
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
@@ -329,8 +440,16 @@ CREATE OR REPLACE FUNCTION create_notification_for_user(
     p_data JSONB DEFAULT '{}'
 ) RETURNS VOID AS $$
 BEGIN
-    INSERT INTO notifications (user_id, document_id, title, message, type, data)
-    VALUES (p_user_id, p_document_id, p_title, p_message, p_type, p_data);
+    INSERT INTO notifications (user_id, organization_id, document_id, title, message, type, data)
+    VALUES (
+        p_user_id,
+        (SELECT organization_id FROM documents WHERE id = p_document_id),
+        p_document_id,
+        p_title,
+        p_message,
+        p_type,
+        p_data
+    );
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
@@ -345,17 +464,20 @@ CREATE OR REPLACE FUNCTION create_notification_for_document_users(
 ) RETURNS VOID AS $$
 DECLARE
     doc_creator UUID;
+    doc_organization UUID;
     signatory_users UUID[];
     commenter_users UUID[];
     all_users UUID[];
 BEGIN
-    -- Get document creator
-    SELECT created_by INTO doc_creator FROM documents WHERE id = p_document_id;
+    -- Get document creator and organization
+    SELECT created_by, organization_id INTO doc_creator, doc_organization
+    FROM documents WHERE id = p_document_id;
     
-    -- Get all signatory users (admins who might be interested)
-    SELECT ARRAY_AGG(DISTINCT u.id) INTO signatory_users
-    FROM users u 
-    WHERE u.role = 'admin';
+    -- Get the admins of the document's organization
+    SELECT ARRAY_AGG(DISTINCT m.user_id) INTO signatory_users
+    FROM organization_members m
+    WHERE m.organization_id = doc_organization
+    AND m.role = 'admin';
     
     -- Get users who have commented on this document
     SELECT ARRAY_AGG(DISTINCT user_id) INTO commenter_users
@@ -365,17 +487,23 @@ BEGIN
     -- Combine all interested users
     all_users := ARRAY[doc_creator] || COALESCE(signatory_users, ARRAY[]::UUID[]) || COALESCE(commenter_users, ARRAY[]::UUID[]);
     
-    -- Create notifications for all interested users
-    INSERT INTO notifications (user_id, document_id, title, message, type, data)
-    SELECT 
-        DISTINCT unnest(all_users),
+    -- Create notifications for all interested users who still belong to the organization
+    INSERT INTO notifications (user_id, organization_id, document_id, title, message, type, data)
+    SELECT DISTINCT
+        recipient,
+        doc_organization,
         p_document_id,
         p_title,
         p_message,
         p_type,
         p_data
-    WHERE unnest(all_users) != COALESCE(p_exclude_user_id, '00000000-0000-0000-0000-000000000000'::UUID)
-    AND unnest(all_users) IS NOT NULL;
+    FROM unnest(all_users) AS recipient
+    WHERE recipient IS NOT NULL
+    AND recipient != COALESCE(p_exclude_user_id, '00000000-0000-0000-0000-000000000000'::UUID)
+    AND EXISTS (
+        SELECT 1 FROM organization_members m
+        WHERE m.organization_id = doc_organization AND m.user_id = recipient
+    );
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
@@ -388,6 +516,12 @@ CREATE OR REPLACE FUNCTION notify_document_created() RETURNS TRIGGER AS $$
 DECLARE
     creator_name TEXT;
 BEGIN
+    -- Drafts are announced when they are published, and import_documents
+    -- sends one notification for the whole import instead of one per document
+    IF NEW.status = 'draft' OR current_setting('app.bulk_import', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
     -- Get creator name
     SELECT full_name INTO creator_name FROM users WHERE id = NEW.created_by;
     
@@ -405,26 +539,45 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Trigger for document deletion
+-- Trigger for moving a document to the trash (UPDATE) and purging it (DELETE)
 CREATE OR REPLACE FUNCTION notify_document_deleted() RETURNS TRIGGER AS $$
 DECLARE
     deleter_name TEXT;
-    doc_name TEXT;
+    retention_days INTEGER;
 BEGIN
-    -- Get deleter name and document name
+    -- Discarding a draft is not worth a notification
+    IF OLD.status = 'draft' THEN
+        RETURN OLD;
+    END IF;
+
     SELECT full_name INTO deleter_name FROM users WHERE id = auth.uid();
-    doc_name := OLD.name;
-    
-    -- Notify interested users
-    PERFORM create_notification_for_document_users(
-        'Document Deleted',
-        deleter_name || ' deleted the document: ' || doc_name,
-        'document_deleted',
-        OLD.id,
-        jsonb_build_object('document_name', doc_name, 'deleter', deleter_name),
-        auth.uid()
-    );
-    
+
+    IF TG_OP = 'UPDATE' THEN
+        SELECT trash_retention_days INTO retention_days FROM organizations WHERE id = OLD.organization_id;
+
+        PERFORM create_notification_for_document_users(
+            'Document Deleted',
+            COALESCE(deleter_name, 'Someone') || ' moved the document to the trash: ' || OLD.name ||
+                ' (it can be restored for ' || retention_days || ' days)',
+            'document_deleted',
+            OLD.id,
+            jsonb_build_object('document_name', OLD.name, 'deleter', deleter_name, 'trashed', true),
+            auth.uid()
+        );
+    ELSE
+        PERFORM create_notification_for_document_users(
+            'Document Permanently Deleted',
+            CASE WHEN deleter_name IS NULL
+                THEN 'The document ' || OLD.name || ' was permanently deleted from the trash'
+                ELSE deleter_name || ' permanently deleted the document: ' || OLD.name
+            END,
+            'document_deleted',
+            OLD.id,
+            jsonb_build_object('document_name', OLD.name, 'deleter', deleter_name),
+            auth.uid()
+        );
+    END IF;
+
     RETURN OLD;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -471,33 +624,25 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 CREATE OR REPLACE FUNCTION notify_signature_updated() RETURNS TRIGGER AS $$
 DECLARE
     doc_name TEXT;
-    signatory_name TEXT;
     status_text TEXT;
 BEGIN
     -- Only notify on signature status changes
-    IF OLD.signed_at IS DISTINCT FROM NEW.signed_at OR OLD.status != NEW.status THEN
-        -- Get document name
+    IF OLD.is_signed IS DISTINCT FROM NEW.is_signed THEN
         SELECT name INTO doc_name FROM documents WHERE id = NEW.document_id;
-        
-        -- Get signatory name
-        signatory_name := NEW.name;
-        
-        -- Convert status to readable text
-        status_text := CASE NEW.status
-            WHEN 'signed' THEN 'signed'
-            WHEN 'rejected' THEN 'rejected'
-            ELSE 'pending'
-        END;
-        
-        -- Notify interested users
+
+        status_text := CASE WHEN NEW.is_signed THEN 'signed' ELSE 'pending' END;
+
         PERFORM create_notification_for_document_users(
             'Signature Update',
-            signatory_name || ' has ' || status_text || ' the document "' || doc_name || '"',
+            CASE WHEN NEW.is_signed
+                THEN NEW.name || ' has signed the document "' || doc_name || '"'
+                ELSE NEW.name || '''s signature on "' || doc_name || '" was removed'
+            END,
             'signature_added',
             NEW.document_id,
             jsonb_build_object(
                 'document_name', doc_name,
-                'signatory_name', signatory_name,
+                'signatory_name', NEW.name,
                 'status', status_text,
                 'position', NEW.position
             ),
@@ -524,4 +669,2651 @@ CREATE TRIGGER document_status_updated_notification
 
 CREATE TRIGGER signature_updated_notification
     AFTER UPDATE ON document_signatories
-    FOR EACH ROW EXECUTE FUNCTION notify_signature_updated();
\ No newline at end of file
+    FOR EACH ROW EXECUTE FUNCTION notify_signature_updated();
+
+-- ================================================================
+-- USER MANAGEMENT
+-- ================================================================
+
+-- Account status managed by admins
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_by UUID REFERENCES users(id);
+
+-- Audit trail of every change made from the user-management console
+CREATE TABLE IF NOT EXISTS user_audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target_user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(100) NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_audit_log_target_user_id ON user_audit_log(target_user_id);
+CREATE INDEX IF NOT EXISTS idx_user_audit_log_created_at ON user_audit_log(created_at);
+
+ALTER TABLE user_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Entries are only written by the admin functions below, so there is no insert policy
+CREATE POLICY "Admins can view the user audit log" ON user_audit_log
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role = 'admin')
+    );
+
+-- Members must not reactivate themselves through "Users can update their own profile"
+CREATE OR REPLACE FUNCTION prevent_status_self_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (NEW.is_active IS DISTINCT FROM OLD.is_active
+        OR NEW.deactivated_at IS DISTINCT FROM OLD.deactivated_at
+        OR NEW.deactivated_by IS DISTINCT FROM OLD.deactivated_by)
+       AND auth.uid() IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin') THEN
+        RAISE EXCEPTION 'Only admins can change account status';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER prevent_users_status_self_change
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION prevent_status_self_change();
+
+-- Raise unless the caller is a platform admin (users.role)
+CREATE OR REPLACE FUNCTION assert_admin()
+RETURNS VOID AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND role = 'admin' AND is_active) THEN
+        RAISE EXCEPTION 'Only admins can perform this action' USING ERRCODE = '42501';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Deactivate or reactivate an account. Deactivated users are banned in
+-- Supabase Auth so they cannot sign in or refresh an existing session.
+CREATE OR REPLACE FUNCTION admin_set_user_active(p_user_id UUID, p_active BOOLEAN)
+RETURNS VOID AS $$
+DECLARE
+    current_active BOOLEAN;
+BEGIN
+    PERFORM assert_admin();
+
+    IF p_user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot deactivate your own account';
+    END IF;
+
+    SELECT is_active INTO current_active FROM users WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found';
+    END IF;
+
+    IF current_active = p_active THEN
+        RETURN;
+    END IF;
+
+    UPDATE users
+    SET is_active = p_active,
+        deactivated_at = CASE WHEN p_active THEN NULL ELSE NOW() END,
+        deactivated_by = CASE WHEN p_active THEN NULL ELSE auth.uid() END
+    WHERE id = p_user_id;
+
+    UPDATE auth.users
+    SET banned_until = CASE WHEN p_active THEN NULL ELSE 'infinity'::TIMESTAMPTZ END
+    WHERE id = p_user_id;
+
+    INSERT INTO user_audit_log (actor_id, target_user_id, action, old_value, new_value)
+    VALUES (
+        auth.uid(),
+        p_user_id,
+        CASE WHEN p_active THEN 'reactivated' ELSE 'deactivated' END,
+        current_active::TEXT,
+        p_active::TEXT
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION admin_set_user_active(UUID, BOOLEAN) FROM anon;
+
+-- ================================================================
+-- ORGANIZATIONS (MULTI-CLUB TENANCY)
+-- ================================================================
+-- Every document, invitation and notification belongs to an organization
+-- (club). Club roles live on organization_members; users.role is kept as
+-- the platform role used for account administration.
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) UNIQUE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organization_id, user_id)
+);
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE user_audit_log ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_documents_organization_id ON documents(organization_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_organization_id ON notifications(organization_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_organization_id ON invitations(organization_id);
+
+-- Existing single-club installs: move everything into a default organization
+DO $$
+DECLARE
+    default_organization UUID;
+BEGIN
+    IF EXISTS (SELECT 1 FROM users) AND NOT EXISTS (SELECT 1 FROM organizations) THEN
+        INSERT INTO organizations (name, slug)
+        VALUES ('My Club', 'my-club')
+        RETURNING id INTO default_organization;
+
+        INSERT INTO organization_members (organization_id, user_id, role)
+        SELECT default_organization, id, role FROM users;
+
+        UPDATE documents SET organization_id = default_organization WHERE organization_id IS NULL;
+        UPDATE invitations SET organization_id = default_organization WHERE organization_id IS NULL;
+        UPDATE notifications SET organization_id = default_organization WHERE organization_id IS NULL;
+    END IF;
+END $$;
+
+ALTER TABLE documents ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE invitations ALTER COLUMN organization_id SET NOT NULL;
+
+CREATE TRIGGER update_organizations_updated_at 
+    BEFORE UPDATE ON organizations 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Membership checks used by the policies below. SECURITY DEFINER so they
+-- can read organization_members without recursing into its own policies.
+CREATE OR REPLACE FUNCTION is_org_member(p_organization_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM organization_members
+        WHERE organization_id = p_organization_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION is_org_admin(p_organization_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM organization_members
+        WHERE organization_id = p_organization_id AND user_id = auth.uid() AND role = 'admin'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION document_organization(p_document_id UUID)
+RETURNS UUID AS $$
+    SELECT organization_id FROM documents WHERE id = p_document_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for organizations table
+CREATE POLICY "Members can view their organizations" ON organizations
+    FOR SELECT USING (is_org_member(id));
+
+CREATE POLICY "Organization admins can update their organization" ON organizations
+    FOR UPDATE USING (is_org_admin(id));
+
+-- RLS Policies for organization_members table
+CREATE POLICY "Members can view fellow members" ON organization_members
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Organization admins can remove members" ON organization_members
+    FOR DELETE USING (is_org_admin(organization_id) AND user_id != auth.uid());
+
+-- Profiles are only visible to people who share an organization
+DROP POLICY IF EXISTS "Users can view all users" ON users;
+
+CREATE POLICY "Users can view members of their organizations" ON users
+    FOR SELECT USING (
+        id = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM organization_members mine
+            JOIN organization_members theirs ON theirs.organization_id = mine.organization_id
+            WHERE mine.user_id = auth.uid() AND theirs.user_id = users.id
+        )
+    );
+
+-- Replace the global document policies with organization-scoped ones
+DROP POLICY IF EXISTS "All authenticated users can view documents" ON documents;
+DROP POLICY IF EXISTS "All authenticated users can create documents" ON documents;
+DROP POLICY IF EXISTS "Document creators and admins can update documents" ON documents;
+DROP POLICY IF EXISTS "Document creators and admins can delete documents" ON documents;
+
+CREATE POLICY "Organization members can view documents" ON documents
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Organization members can create documents" ON documents
+    FOR INSERT WITH CHECK (is_org_member(organization_id) AND created_by = auth.uid());
+
+CREATE POLICY "Document creators and organization admins can update documents" ON documents
+    FOR UPDATE USING (auth.uid() = created_by OR is_org_admin(organization_id))
+    WITH CHECK (is_org_member(organization_id));
+
+CREATE POLICY "Document creators and organization admins can delete documents" ON documents
+    FOR DELETE USING (auth.uid() = created_by OR is_org_admin(organization_id));
+
+DROP POLICY IF EXISTS "All authenticated users can view signatories" ON document_signatories;
+DROP POLICY IF EXISTS "Document creators and admins can manage signatories" ON document_signatories;
+
+CREATE POLICY "Organization members can view signatories" ON document_signatories
+    FOR SELECT USING (is_org_member(document_organization(document_id)));
+
+CREATE POLICY "Document creators and organization admins can manage signatories" ON document_signatories
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM documents 
+            WHERE documents.id = document_signatories.document_id 
+            AND (documents.created_by = auth.uid() OR is_org_admin(documents.organization_id))
+        )
+    );
+
+DROP POLICY IF EXISTS "All authenticated users can view activity" ON document_activity;
+DROP POLICY IF EXISTS "All authenticated users can create activity" ON document_activity;
+
+CREATE POLICY "Organization members can view activity" ON document_activity
+    FOR SELECT USING (is_org_member(document_organization(document_id)));
+
+CREATE POLICY "Organization members can create activity" ON document_activity
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND is_org_member(document_organization(document_id))
+    );
+
+DROP POLICY IF EXISTS "All authenticated users can view comments" ON document_comments;
+DROP POLICY IF EXISTS "All authenticated users can create comments" ON document_comments;
+DROP POLICY IF EXISTS "Comment creators and admins can delete comments" ON document_comments;
+
+CREATE POLICY "Organization members can view comments" ON document_comments
+    FOR SELECT USING (is_org_member(document_organization(document_id)));
+
+CREATE POLICY "Organization members can create comments" ON document_comments
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND is_org_member(document_organization(document_id))
+    );
+
+CREATE POLICY "Comment creators and organization admins can delete comments" ON document_comments
+    FOR DELETE USING (
+        auth.uid() = user_id OR is_org_admin(document_organization(document_id))
+    );
+
+-- RLS Policies for invitations table
+CREATE POLICY "Organization admins can view invitations" ON invitations
+    FOR SELECT USING (is_org_admin(organization_id));
+
+CREATE POLICY "Organization admins can create invitations" ON invitations
+    FOR INSERT WITH CHECK (created_by = auth.uid() AND is_org_admin(organization_id));
+
+CREATE POLICY "Organization admins can delete unused invitations" ON invitations
+    FOR DELETE USING (accepted_at IS NULL AND is_org_admin(organization_id));
+
+-- Audit entries are visible to platform admins and to the admins of their organization
+DROP POLICY IF EXISTS "Admins can view the user audit log" ON user_audit_log;
+
+CREATE POLICY "Admins can view the user audit log" ON user_audit_log
+    FOR SELECT USING (
+        is_org_admin(organization_id) OR
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role = 'admin')
+    );
+
+-- Storage objects live under <organization_id>/<user_id>/. Objects uploaded
+-- before tenancy (<user_id>/...) stay deletable by their owner.
+DROP POLICY IF EXISTS "Authenticated users can upload documents" ON storage.objects;
+DROP POLICY IF EXISTS "Authenticated users can view documents" ON storage.objects;
+DROP POLICY IF EXISTS "Document owners and admins can delete documents" ON storage.objects;
+
+CREATE POLICY "Organization members can upload documents" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'documents' AND
+        (storage.foldername(name))[2] = auth.uid()::text AND
+        (storage.foldername(name))[1] IN (
+            SELECT organization_id::text FROM organization_members WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Organization members can view documents" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'documents' AND
+        (storage.foldername(name))[1] IN (
+            SELECT organization_id::text FROM organization_members WHERE user_id = auth.uid()
+        )
+    );
+
+CREATE POLICY "Document owners and organization admins can delete documents" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'documents' AND
+        (auth.uid()::text = (storage.foldername(name))[1] OR
+         auth.uid()::text = (storage.foldername(name))[2] OR
+         (storage.foldername(name))[1] IN (
+             SELECT organization_id::text FROM organization_members
+             WHERE user_id = auth.uid() AND role = 'admin'
+         ))
+    );
+
+-- Create a club; the creator becomes its first admin
+CREATE OR REPLACE FUNCTION create_organization(p_name TEXT)
+RETURNS UUID AS $$
+DECLARE
+    new_organization UUID;
+    base_slug TEXT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'You must be signed in to create an organization';
+    END IF;
+
+    IF length(trim(p_name)) < 2 THEN
+        RAISE EXCEPTION 'Organization name must be at least 2 characters';
+    END IF;
+
+    base_slug := trim(both '-' from regexp_replace(lower(trim(p_name)), '[^a-z0-9]+', '-', 'g'));
+
+    INSERT INTO organizations (name, slug, created_by)
+    VALUES (
+        trim(p_name),
+        base_slug || '-' || substr(encode(gen_random_bytes(3), 'hex'), 1, 6),
+        auth.uid()
+    )
+    RETURNING id INTO new_organization;
+
+    INSERT INTO organization_members (organization_id, user_id, role)
+    VALUES (new_organization, auth.uid(), 'admin');
+
+    RETURN new_organization;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Join a club with an invitation while already signed in
+CREATE OR REPLACE FUNCTION accept_invitation(p_token TEXT)
+RETURNS UUID AS $$
+DECLARE
+    invite invitations%ROWTYPE;
+BEGIN
+    SELECT * INTO invite
+    FROM invitations
+    WHERE token = p_token
+      AND accepted_at IS NULL
+      AND revoked_at IS NULL
+      AND expires_at > NOW()
+      AND lower(email) = lower((SELECT email FROM users WHERE id = auth.uid()))
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'This invitation is invalid, expired, revoked or was sent to a different email';
+    END IF;
+
+    UPDATE invitations
+    SET accepted_at = NOW(), accepted_by = auth.uid()
+    WHERE id = invite.id;
+
+    INSERT INTO organization_members (organization_id, user_id, role)
+    VALUES (invite.organization_id, auth.uid(), invite.role)
+    ON CONFLICT (organization_id, user_id) DO UPDATE SET role = EXCLUDED.role;
+
+    RETURN invite.organization_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Raise unless the caller is an admin of the organization
+CREATE OR REPLACE FUNCTION assert_org_admin(p_organization_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF NOT is_org_admin(p_organization_id) THEN
+        RAISE EXCEPTION 'Only organization admins can perform this action' USING ERRCODE = '42501';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION create_organization(TEXT) FROM anon;
+REVOKE EXECUTE ON FUNCTION accept_invitation(TEXT) FROM anon;
+
+-- ================================================================
+-- ROLES AND PERMISSIONS
+-- ================================================================
+-- Club roles are rows in organization_roles, and what each role may do is
+-- the organization_role_permissions matrix. The admin role always holds
+-- every permission; admin and member are system roles and cannot be deleted.
+
+CREATE TABLE IF NOT EXISTS permissions (
+    key VARCHAR(50) PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+INSERT INTO permissions (key, description) VALUES
+    ('document.create', 'Create document trackers'),
+    ('document.approve', 'Approve or reject documents that require approval'),
+    ('document.delete', 'Delete documents created by other members'),
+    ('document.edit', 'Edit the details, file and labels of documents created by other members'),
+    ('signatory.manage', 'Manage signatories and record signatures on any document'),
+    ('comment.create', 'Comment on documents'),
+    ('member.manage', 'Invite members, change their roles and remove them')
+ON CONFLICT (key) DO UPDATE SET description = EXCLUDED.description;
+
+CREATE TABLE IF NOT EXISTS organization_roles (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    key VARCHAR(20) NOT NULL CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+    name VARCHAR(50) NOT NULL,
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organization_id, key)
+);
+
+CREATE TABLE IF NOT EXISTS organization_role_permissions (
+    organization_id UUID NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    permission VARCHAR(50) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+    PRIMARY KEY (organization_id, role, permission),
+    FOREIGN KEY (organization_id, role) REFERENCES organization_roles(organization_id, key) ON DELETE CASCADE
+);
+
+-- Default roles for a new club
+CREATE OR REPLACE FUNCTION seed_organization_roles(p_organization_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO organization_roles (organization_id, key, name, description, is_system) VALUES
+        (p_organization_id, 'admin', 'Admin', 'Full control of the club', true),
+        (p_organization_id, 'member', 'Member', 'Creates documents and tracks signatures', true),
+        (p_organization_id, 'treasurer', 'Treasurer', 'Member who can also approve documents', false),
+        (p_organization_id, 'secretary', 'Secretary', 'Member who can also delete documents and manage members', false),
+        (p_organization_id, 'viewer', 'Viewer', 'Read-only access to the club''s documents', false)
+    ON CONFLICT (organization_id, key) DO NOTHING;
+
+    INSERT INTO organization_role_permissions (organization_id, role, permission)
+    SELECT p_organization_id, 'admin', key FROM permissions
+    UNION ALL
+    SELECT p_organization_id, r.role, r.permission
+    FROM (VALUES
+        ('member', 'document.create'),
+        ('member', 'signatory.manage'),
+        ('member', 'comment.create'),
+        ('treasurer', 'document.create'),
+        ('treasurer', 'document.approve'),
+        ('treasurer', 'signatory.manage'),
+        ('treasurer', 'comment.create'),
+        ('secretary', 'document.create'),
+        ('secretary', 'document.delete'),
+        ('secretary', 'signatory.manage'),
+        ('secretary', 'comment.create'),
+        ('secretary', 'member.manage')
+    ) AS r(role, permission)
+    ON CONFLICT DO NOTHING;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION seed_new_organization_roles()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM seed_organization_roles(NEW.id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS seed_organization_roles_on_insert ON organizations;
+CREATE TRIGGER seed_organization_roles_on_insert
+    AFTER INSERT ON organizations
+    FOR EACH ROW
+    EXECUTE FUNCTION seed_new_organization_roles();
+
+-- Existing clubs get the default roles before roles become foreign keys
+DO $$
+DECLARE
+    org RECORD;
+BEGIN
+    FOR org IN SELECT id FROM organizations LOOP
+        PERFORM seed_organization_roles(org.id);
+    END LOOP;
+END $$;
+
+ALTER TABLE organization_members DROP CONSTRAINT IF EXISTS organization_members_role_check;
+ALTER TABLE organization_members DROP CONSTRAINT IF EXISTS organization_members_role_fkey;
+ALTER TABLE organization_members ADD CONSTRAINT organization_members_role_fkey
+    FOREIGN KEY (organization_id, role) REFERENCES organization_roles(organization_id, key);
+
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_check;
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_fkey;
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_fkey
+    FOREIGN KEY (organization_id, role) REFERENCES organization_roles(organization_id, key);
+
+-- Whether the caller's role in the organization grants the permission
+CREATE OR REPLACE FUNCTION has_permission(p_organization_id UUID, p_permission TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM organization_members m
+        WHERE m.organization_id = p_organization_id
+          AND m.user_id = auth.uid()
+          AND (
+              m.role = 'admin' OR
+              EXISTS (
+                  SELECT 1 FROM organization_role_permissions rp
+                  WHERE rp.organization_id = m.organization_id
+                    AND rp.role = m.role
+                    AND rp.permission = p_permission
+              )
+          )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Raise unless the caller's role grants the permission
+CREATE OR REPLACE FUNCTION assert_permission(p_organization_id UUID, p_permission TEXT)
+RETURNS VOID AS $$
+BEGIN
+    IF NOT has_permission(p_organization_id, p_permission) THEN
+        RAISE EXCEPTION 'You do not have the % permission in this organization', p_permission USING ERRCODE = '42501';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for permissions table
+CREATE POLICY "Authenticated users can view permissions" ON permissions
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+-- RLS Policies for organization_roles table
+CREATE POLICY "Members can view their organization's roles" ON organization_roles
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Organization admins can create roles" ON organization_roles
+    FOR INSERT WITH CHECK (is_org_admin(organization_id) AND is_system = false);
+
+CREATE POLICY "Organization admins can update roles" ON organization_roles
+    FOR UPDATE USING (is_org_admin(organization_id))
+    WITH CHECK (is_org_admin(organization_id));
+
+CREATE POLICY "Organization admins can delete custom roles" ON organization_roles
+    FOR DELETE USING (is_org_admin(organization_id) AND is_system = false);
+
+-- RLS Policies for organization_role_permissions table
+CREATE POLICY "Members can view their organization's role permissions" ON organization_role_permissions
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Organization admins can grant permissions" ON organization_role_permissions
+    FOR INSERT WITH CHECK (is_org_admin(organization_id) AND role != 'admin');
+
+CREATE POLICY "Organization admins can revoke permissions" ON organization_role_permissions
+    FOR DELETE USING (is_org_admin(organization_id) AND role != 'admin');
+
+-- Keep key and system flag fixed once a role exists
+CREATE OR REPLACE FUNCTION prevent_role_key_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.key != OLD.key OR NEW.is_system != OLD.is_system OR NEW.organization_id != OLD.organization_id THEN
+        RAISE EXCEPTION 'Only the name and description of a role can be changed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_organization_roles_key_change ON organization_roles;
+CREATE TRIGGER prevent_organization_roles_key_change
+    BEFORE UPDATE ON organization_roles
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_role_key_change();
+
+-- Permission-based document policies
+DROP POLICY IF EXISTS "Organization members can create documents" ON documents;
+DROP POLICY IF EXISTS "Document creators and organization admins can update documents" ON documents;
+DROP POLICY IF EXISTS "Document creators and organization admins can delete documents" ON documents;
+
+CREATE POLICY "Members with document.create can create documents" ON documents
+    FOR INSERT WITH CHECK (
+        has_permission(organization_id, 'document.create') AND created_by = auth.uid()
+    );
+
+-- Signatory managers update the completion status; approval fields are
+-- further restricted by the prevent_unauthorized_approval trigger
+CREATE POLICY "Document creators and permitted members can update documents" ON documents
+    FOR UPDATE USING (
+        auth.uid() = created_by OR
+        has_permission(organization_id, 'document.approve') OR
+        has_permission(organization_id, 'signatory.manage')
+    )
+    WITH CHECK (is_org_member(organization_id));
+
+-- Members who did not create a document may only move its status and
+-- approval fields. The trigger is not SECURITY DEFINER so current_user is
+-- 'authenticated' for updates straight from the app, while the editing
+-- functions (which check permissions themselves) run as their owner.
+CREATE OR REPLACE FUNCTION prevent_unauthorized_document_edit()
+RETURNS TRIGGER AS $$
+DECLARE
+    status_columns TEXT[] := ARRAY['status', 'admin_approved', 'admin_approved_by', 'admin_approved_at', 'updated_at'];
+BEGIN
+    IF current_user = 'authenticated'
+       AND OLD.created_by IS DISTINCT FROM auth.uid()
+       AND to_jsonb(NEW) - status_columns IS DISTINCT FROM to_jsonb(OLD) - status_columns THEN
+        RAISE EXCEPTION 'Only the document creator can edit the details of this document' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_documents_unauthorized_edit ON documents;
+CREATE TRIGGER prevent_documents_unauthorized_edit
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_unauthorized_document_edit();
+
+CREATE POLICY "Document creators and members with document.delete can delete documents" ON documents
+    FOR DELETE USING (
+        auth.uid() = created_by OR has_permission(organization_id, 'document.delete')
+    );
+
+DROP POLICY IF EXISTS "Document creators and organization admins can manage signatories" ON document_signatories;
+
+CREATE POLICY "Document creators and members with signatory.manage can manage signatories" ON document_signatories
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM documents 
+            WHERE documents.id = document_signatories.document_id 
+            AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'signatory.manage'))
+        )
+    );
+
+DROP POLICY IF EXISTS "Organization members can create comments" ON document_comments;
+
+CREATE POLICY "Members with comment.create can create comments" ON document_comments
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND has_permission(document_organization(document_id), 'comment.create')
+    );
+
+-- Invitations: member.manage, and only admins can invite admins
+DROP POLICY IF EXISTS "Organization admins can view invitations" ON invitations;
+DROP POLICY IF EXISTS "Organization admins can create invitations" ON invitations;
+DROP POLICY IF EXISTS "Organization admins can delete unused invitations" ON invitations;
+
+CREATE POLICY "Member managers can view invitations" ON invitations
+    FOR SELECT USING (has_permission(organization_id, 'member.manage'));
+
+CREATE POLICY "Member managers can create invitations" ON invitations
+    FOR INSERT WITH CHECK (
+        created_by = auth.uid() AND
+        has_permission(organization_id, 'member.manage') AND
+        (role != 'admin' OR is_org_admin(organization_id))
+    );
+
+CREATE POLICY "Member managers can delete unused invitations" ON invitations
+    FOR DELETE USING (accepted_at IS NULL AND has_permission(organization_id, 'member.manage'));
+
+DROP POLICY IF EXISTS "Admins can view the user audit log" ON user_audit_log;
+
+CREATE POLICY "Admins can view the user audit log" ON user_audit_log
+    FOR SELECT USING (
+        has_permission(organization_id, 'member.manage') OR
+        EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND users.role = 'admin')
+    );
+
+DROP POLICY IF EXISTS "Document owners and organization admins can delete documents" ON storage.objects;
+
+CREATE POLICY "Document owners and members with document.delete can delete documents" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'documents' AND
+        (auth.uid()::text = (storage.foldername(name))[1] OR
+         auth.uid()::text = (storage.foldername(name))[2] OR
+         (storage.foldername(name))[1] IN (
+             SELECT organization_id::text FROM organization_members m
+             WHERE m.user_id = auth.uid()
+             AND has_permission(m.organization_id, 'document.delete')
+         ))
+    );
+
+-- Member list with activity figures for the admin console
+DROP FUNCTION IF EXISTS admin_list_users();
+CREATE OR REPLACE FUNCTION admin_list_users(p_organization_id UUID)
+RETURNS TABLE (
+    id UUID,
+    email VARCHAR,
+    full_name VARCHAR,
+    role VARCHAR,
+    is_active BOOLEAN,
+    created_at TIMESTAMP WITH TIME ZONE,
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    document_count BIGINT,
+    last_activity_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    PERFORM assert_permission(p_organization_id, 'member.manage');
+
+    RETURN QUERY
+    SELECT
+        u.id,
+        u.email,
+        u.full_name,
+        m.role,
+        u.is_active,
+        m.created_at,
+        u.deactivated_at,
+        (SELECT COUNT(*) FROM documents d
+         WHERE d.created_by = u.id AND d.organization_id = p_organization_id),
+        GREATEST(
+            au.last_sign_in_at,
+            (SELECT MAX(a.created_at) FROM document_activity a
+             JOIN documents d ON d.id = a.document_id
+             WHERE a.user_id = u.id AND d.organization_id = p_organization_id),
+            (SELECT MAX(c.created_at) FROM document_comments c
+             JOIN documents d ON d.id = c.document_id
+             WHERE c.user_id = u.id AND d.organization_id = p_organization_id)
+        )
+    FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    LEFT JOIN auth.users au ON au.id = u.id
+    WHERE m.organization_id = p_organization_id
+    ORDER BY m.created_at DESC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Change a member's role within an organization. Granting or taking away
+-- the admin role is reserved for admins.
+DROP FUNCTION IF EXISTS admin_set_user_role(UUID, TEXT);
+CREATE OR REPLACE FUNCTION admin_set_user_role(p_organization_id UUID, p_user_id UUID, p_role TEXT)
+RETURNS VOID AS $$
+DECLARE
+    current_role_value VARCHAR(20);
+BEGIN
+    PERFORM assert_permission(p_organization_id, 'member.manage');
+
+    IF p_user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot change your own role';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM organization_roles
+        WHERE organization_id = p_organization_id AND key = p_role
+    ) THEN
+        RAISE EXCEPTION 'Unknown role: %', p_role;
+    END IF;
+
+    SELECT role INTO current_role_value
+    FROM organization_members
+    WHERE organization_id = p_organization_id AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User is not a member of this organization';
+    END IF;
+
+    IF current_role_value = p_role THEN
+        RETURN;
+    END IF;
+
+    IF (current_role_value = 'admin' OR p_role = 'admin') AND NOT is_org_admin(p_organization_id) THEN
+        RAISE EXCEPTION 'Only organization admins can grant or revoke the admin role' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE organization_members
+    SET role = p_role
+    WHERE organization_id = p_organization_id AND user_id = p_user_id;
+
+    INSERT INTO user_audit_log (actor_id, target_user_id, organization_id, action, old_value, new_value)
+    VALUES (auth.uid(), p_user_id, p_organization_id, 'role_changed', current_role_value, p_role);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Remove a member from an organization. Only admins can remove admins.
+CREATE OR REPLACE FUNCTION admin_remove_member(p_organization_id UUID, p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    current_role_value VARCHAR(20);
+BEGIN
+    PERFORM assert_permission(p_organization_id, 'member.manage');
+
+    IF p_user_id = auth.uid() THEN
+        RAISE EXCEPTION 'You cannot remove yourself from the organization';
+    END IF;
+
+    SELECT role INTO current_role_value
+    FROM organization_members
+    WHERE organization_id = p_organization_id AND user_id = p_user_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'User is not a member of this organization';
+    END IF;
+
+    IF current_role_value = 'admin' AND NOT is_org_admin(p_organization_id) THEN
+        RAISE EXCEPTION 'Only organization admins can remove admins' USING ERRCODE = '42501';
+    END IF;
+
+    DELETE FROM organization_members
+    WHERE organization_id = p_organization_id AND user_id = p_user_id;
+
+    INSERT INTO user_audit_log (actor_id, target_user_id, organization_id, action)
+    VALUES (auth.uid(), p_user_id, p_organization_id, 'member_removed');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION seed_organization_roles(UUID) FROM anon, authenticated;
+REVOKE EXECUTE ON FUNCTION admin_list_users(UUID) FROM anon;
+REVOKE EXECUTE ON FUNCTION admin_set_user_role(UUID, UUID, TEXT) FROM anon;
+REVOKE EXECUTE ON FUNCTION admin_remove_member(UUID, UUID) FROM anon;
+
+-- ================================================================
+-- TWO-FACTOR AUTHENTICATION
+-- ================================================================
+-- Approving documents and deleting other members' documents require a
+-- session verified with an authenticator app (Supabase MFA, aal2).
+
+CREATE OR REPLACE FUNCTION is_aal2()
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2';
+$$ LANGUAGE sql STABLE;
+
+-- Approval decisions need document.approve and an aal2 session, whoever created the document
+CREATE OR REPLACE FUNCTION prevent_unauthorized_approval()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL
+       AND (NEW.admin_approved IS DISTINCT FROM OLD.admin_approved OR
+            NEW.admin_approved_by IS DISTINCT FROM OLD.admin_approved_by OR
+            NEW.admin_approved_at IS DISTINCT FROM OLD.admin_approved_at) THEN
+        IF NOT has_permission(OLD.organization_id, 'document.approve') THEN
+            RAISE EXCEPTION 'You do not have permission to approve documents' USING ERRCODE = '42501';
+        END IF;
+
+        IF NOT is_aal2() THEN
+            RAISE EXCEPTION 'Approving documents requires two-factor authentication' USING ERRCODE = '42501';
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS prevent_documents_unauthorized_approval ON documents;
+CREATE TRIGGER prevent_documents_unauthorized_approval
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_unauthorized_approval();
+
+DROP POLICY IF EXISTS "Document creators and members with document.delete can delete documents" ON documents;
+
+CREATE POLICY "Document creators and members with document.delete can delete documents" ON documents
+    FOR DELETE USING (
+        auth.uid() = created_by OR
+        (has_permission(organization_id, 'document.delete') AND is_aal2())
+    );
+
+DROP POLICY IF EXISTS "Document owners and members with document.delete can delete documents" ON storage.objects;
+
+CREATE POLICY "Document owners and members with document.delete can delete documents" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'documents' AND
+        (auth.uid()::text = (storage.foldername(name))[1] OR
+         auth.uid()::text = (storage.foldername(name))[2] OR
+         (is_aal2() AND (storage.foldername(name))[1] IN (
+             SELECT organization_id::text FROM organization_members m
+             WHERE m.user_id = auth.uid()
+             AND has_permission(m.organization_id, 'document.delete')
+         )))
+    );
+
+-- ================================================================
+-- EMAIL INVITATIONS
+-- ================================================================
+-- Invitations are emailed by the send-invitation edge function and are
+-- revoked rather than deleted, so the Invitations page keeps a history of
+-- pending, accepted, expired and revoked invites.
+
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS revoked_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invitations ADD COLUMN IF NOT EXISTS send_count INTEGER NOT NULL DEFAULT 0;
+
+-- Revoking goes through revoke_invitation so the row is kept
+DROP POLICY IF EXISTS "Member managers can delete unused invitations" ON invitations;
+
+-- Stop an unused invitation from being accepted
+CREATE OR REPLACE FUNCTION revoke_invitation(p_invitation_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    invite invitations%ROWTYPE;
+BEGIN
+    SELECT * INTO invite FROM invitations WHERE id = p_invitation_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invitation not found';
+    END IF;
+
+    PERFORM assert_permission(invite.organization_id, 'member.manage');
+
+    IF invite.role = 'admin' AND NOT is_org_admin(invite.organization_id) THEN
+        RAISE EXCEPTION 'Only organization admins can revoke admin invitations' USING ERRCODE = '42501';
+    END IF;
+
+    IF invite.accepted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invitation has already been accepted';
+    END IF;
+
+    UPDATE invitations
+    SET revoked_at = COALESCE(revoked_at, NOW()), revoked_by = COALESCE(revoked_by, auth.uid())
+    WHERE id = p_invitation_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Extend an unused invitation before it is resent. Expired invitations get
+-- a fresh seven days; pending ones keep a later expiry if they have one.
+CREATE OR REPLACE FUNCTION renew_invitation(p_invitation_id UUID)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    invite invitations%ROWTYPE;
+    new_expires_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT * INTO invite FROM invitations WHERE id = p_invitation_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Invitation not found';
+    END IF;
+
+    PERFORM assert_permission(invite.organization_id, 'member.manage');
+
+    IF invite.role = 'admin' AND NOT is_org_admin(invite.organization_id) THEN
+        RAISE EXCEPTION 'Only organization admins can resend admin invitations' USING ERRCODE = '42501';
+    END IF;
+
+    IF invite.accepted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invitation has already been accepted';
+    END IF;
+
+    IF invite.revoked_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This invitation has been revoked';
+    END IF;
+
+    new_expires_at := GREATEST(invite.expires_at, NOW() + INTERVAL '7 days');
+
+    UPDATE invitations SET expires_at = new_expires_at WHERE id = p_invitation_id;
+
+    RETURN new_expires_at;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION revoke_invitation(UUID) FROM anon;
+REVOKE EXECUTE ON FUNCTION renew_invitation(UUID) FROM anon;
+
+-- Tell the inviter when their invitation is accepted
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('document_created', 'document_deleted', 'status_updated', 'signature_added', 'admin_approval', 'comment_added', 'invitation_accepted'));
+
+CREATE OR REPLACE FUNCTION notify_invitation_accepted() RETURNS TRIGGER AS $$
+DECLARE
+    member_name TEXT;
+    organization_name TEXT;
+BEGIN
+    IF NEW.created_by IS NULL OR NEW.created_by = NEW.accepted_by THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT full_name INTO member_name FROM users WHERE id = NEW.accepted_by;
+    SELECT name INTO organization_name FROM organizations WHERE id = NEW.organization_id;
+
+    INSERT INTO notifications (user_id, organization_id, title, message, type, data)
+    VALUES (
+        NEW.created_by,
+        NEW.organization_id,
+        'Invitation Accepted',
+        COALESCE(member_name, NEW.email) || ' accepted your invitation to join ' || organization_name,
+        'invitation_accepted',
+        jsonb_build_object(
+            'invitation_id', NEW.id,
+            'email', NEW.email,
+            'role', NEW.role,
+            'accepted_by', NEW.accepted_by
+        )
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- accepted_by is set once the profile exists, for both sign-up and accept_invitation
+DROP TRIGGER IF EXISTS invitation_accepted_notification ON invitations;
+CREATE TRIGGER invitation_accepted_notification
+    AFTER UPDATE OF accepted_by ON invitations
+    FOR EACH ROW
+    WHEN (OLD.accepted_by IS NULL AND NEW.accepted_by IS NOT NULL)
+    EXECUTE FUNCTION notify_invitation_accepted();
+
+-- ================================================================
+-- USER PROFILES
+-- ================================================================
+-- Members edit these through "Users can update their own profile"; the
+-- role, status and email columns stay protected by the triggers below.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS position VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- The profile email mirrors auth.users, which only changes once the
+-- new address has been confirmed
+CREATE OR REPLACE FUNCTION prevent_email_self_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.email IS DISTINCT FROM OLD.email
+       AND NEW.email IS DISTINCT FROM (SELECT email FROM auth.users WHERE id = NEW.id) THEN
+        RAISE EXCEPTION 'Change your email address from your profile settings';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS prevent_users_email_self_change ON users;
+CREATE TRIGGER prevent_users_email_self_change
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION prevent_email_self_change();
+
+CREATE OR REPLACE FUNCTION public.sync_user_email()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.users SET email = NEW.email WHERE id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_auth_user_email_changed ON auth.users;
+CREATE TRIGGER on_auth_user_email_changed
+    AFTER UPDATE OF email ON auth.users
+    FOR EACH ROW
+    WHEN (NEW.email IS DISTINCT FROM OLD.email)
+    EXECUTE FUNCTION public.sync_user_email();
+
+-- Profile pictures live under avatars/<user_id>/ and are publicly readable
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('avatars', 'avatars', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can upload their own avatar" ON storage.objects;
+DROP POLICY IF EXISTS "Users can delete their own avatar" ON storage.objects;
+
+CREATE POLICY "Users can upload their own avatar" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'avatars' AND
+        auth.uid()::text = (storage.foldername(name))[1]
+    );
+
+CREATE POLICY "Users can delete their own avatar" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'avatars' AND
+        auth.uid()::text = (storage.foldername(name))[1]
+    );
+
+-- ================================================================
+-- DOCUMENT VERSIONS
+-- ================================================================
+-- documents.file_url / file_name always point at the current revision;
+-- every revision, including the first, is kept in document_versions.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS reset_signatures_on_revision BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS document_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    file_url VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255),
+    change_note TEXT,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (document_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_document_id ON document_versions(document_id);
+
+ALTER TABLE document_versions ENABLE ROW LEVEL SECURITY;
+
+-- Revisions are only added through upload_document_revision, so there is no insert policy
+DROP POLICY IF EXISTS "Organization members can view document versions" ON document_versions;
+
+CREATE POLICY "Organization members can view document versions" ON document_versions
+    FOR SELECT USING (is_org_member(document_organization(document_id)));
+
+-- Existing documents start with their current file as version 1
+INSERT INTO document_versions (document_id, version_number, file_url, file_name, uploaded_by, created_at)
+SELECT id, 1, file_url, file_name, created_by, created_at
+FROM documents
+WHERE file_url IS NOT NULL
+ON CONFLICT (document_id, version_number) DO NOTHING;
+
+-- Record the file a document is created with, and its fingerprint, as
+-- version 1. A draft's file can still change, so drafts get theirs when
+-- they are published.
+CREATE OR REPLACE FUNCTION create_initial_document_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.file_url IS NOT NULL AND NEW.status <> 'draft' THEN
+        INSERT INTO document_versions (document_id, version_number, file_url, file_name, file_hash, uploaded_by)
+        VALUES (NEW.id, 1, NEW.file_url, NEW.file_name, NEW.file_hash, NEW.created_by)
+        ON CONFLICT (document_id, version_number) DO NOTHING;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS document_initial_version ON documents;
+CREATE TRIGGER document_initial_version
+    AFTER INSERT ON documents
+    FOR EACH ROW EXECUTE FUNCTION create_initial_document_version();
+
+-- Older schemas created this without p_file_hash
+DROP FUNCTION IF EXISTS upload_document_revision(UUID, TEXT, TEXT, TEXT, BOOLEAN);
+
+-- Replace a document's file with a new revision. The document creator and
+-- members with document.edit can upload revisions; optionally every
+-- collected signature is cleared so signatories sign the new revision.
+CREATE OR REPLACE FUNCTION upload_document_revision(
+    p_document_id UUID,
+    p_file_url TEXT,
+    p_file_name TEXT,
+    p_change_note TEXT DEFAULT NULL,
+    p_reset_signatures BOOLEAN DEFAULT NULL,
+    p_file_hash TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    doc documents%ROWTYPE;
+    new_version INTEGER;
+    reset_signatures BOOLEAN;
+    cleared_signatures INTEGER := 0;
+BEGIN
+    SELECT * INTO doc FROM documents WHERE id = p_document_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found';
+    END IF;
+
+    IF doc.deleted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This document is in the trash; restore it before changing it';
+    END IF;
+
+    IF doc.created_by IS DISTINCT FROM auth.uid()
+       AND NOT has_permission(doc.organization_id, 'document.edit') THEN
+        RAISE EXCEPTION 'You do not have permission to upload revisions of this document' USING ERRCODE = '42501';
+    END IF;
+
+    new_version := doc.current_version + 1;
+    reset_signatures := COALESCE(p_reset_signatures, doc.reset_signatures_on_revision);
+
+    INSERT INTO document_versions (document_id, version_number, file_url, file_name, file_hash, change_note, uploaded_by)
+    VALUES (p_document_id, new_version, p_file_url, p_file_name, lower(p_file_hash), NULLIF(trim(p_change_note), ''), auth.uid());
+
+    UPDATE documents
+    SET file_url = p_file_url,
+        file_name = p_file_name,
+        file_hash = lower(p_file_hash),
+        current_version = new_version,
+        status = CASE WHEN reset_signatures AND status IN ('in_progress', 'completed') THEN 'pending' ELSE status END
+    WHERE id = p_document_id;
+
+    INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+    VALUES (
+        p_document_id,
+        auth.uid(),
+        'version_uploaded',
+        'Uploaded revision ' || new_version || COALESCE(': ' || NULLIF(trim(p_change_note), ''), ''),
+        jsonb_build_object(
+            'version', new_version,
+            'file_name', p_file_name,
+            'file_hash', lower(p_file_hash),
+            'previous_file_name', doc.file_name,
+            'previous_file_hash', doc.file_hash,
+            'change_note', NULLIF(trim(p_change_note), ''),
+            'signatures_reset', reset_signatures
+        )
+    );
+
+    IF reset_signatures THEN
+        UPDATE document_signatories
+        SET is_signed = false, signed_at = NULL, notes = NULL
+        WHERE document_id = p_document_id AND is_signed;
+
+        GET DIAGNOSTICS cleared_signatures = ROW_COUNT;
+
+        IF cleared_signatures > 0 THEN
+            INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+            VALUES (
+                p_document_id,
+                auth.uid(),
+                'signatures_reset',
+                'Cleared ' || cleared_signatures || ' collected signature' ||
+                    CASE WHEN cleared_signatures = 1 THEN '' ELSE 's' END || ' for revision ' || new_version,
+                jsonb_build_object('version', new_version, 'count', cleared_signatures)
+            );
+        END IF;
+    END IF;
+
+    RETURN new_version;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION upload_document_revision(UUID, TEXT, TEXT, TEXT, BOOLEAN, TEXT) FROM anon;
+
+-- ================================================================
+-- DOCUMENT TEMPLATES
+-- ================================================================
+-- Reusable starting points for recurring paperwork. name_pattern may use
+-- {date}, {month} and {year}, filled in when a document is created from
+-- the template. signatories is an ordered array of
+-- { name, position, email, phone } objects.
+
+CREATE TABLE IF NOT EXISTS document_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    name_pattern VARCHAR(255) NOT NULL,
+    description TEXT,
+    requires_admin_approval BOOLEAN NOT NULL DEFAULT false,
+    reset_signatures_on_revision BOOLEAN NOT NULL DEFAULT false,
+    signatories JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(signatories) = 'array'),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (organization_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_templates_organization_id ON document_templates(organization_id);
+
+ALTER TABLE document_templates ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_document_templates_updated_at ON document_templates;
+CREATE TRIGGER update_document_templates_updated_at
+    BEFORE UPDATE ON document_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP POLICY IF EXISTS "Organization members can view templates" ON document_templates;
+DROP POLICY IF EXISTS "Members with document.create can create templates" ON document_templates;
+DROP POLICY IF EXISTS "Template creators and organization admins can update templates" ON document_templates;
+DROP POLICY IF EXISTS "Template creators and organization admins can delete templates" ON document_templates;
+
+CREATE POLICY "Organization members can view templates" ON document_templates
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Members with document.create can create templates" ON document_templates
+    FOR INSERT WITH CHECK (
+        created_by = auth.uid() AND has_permission(organization_id, 'document.create')
+    );
+
+CREATE POLICY "Template creators and organization admins can update templates" ON document_templates
+    FOR UPDATE USING (created_by = auth.uid() OR is_org_admin(organization_id))
+    WITH CHECK (is_org_member(organization_id));
+
+CREATE POLICY "Template creators and organization admins can delete templates" ON document_templates
+    FOR DELETE USING (created_by = auth.uid() OR is_org_admin(organization_id));
+
+-- ================================================================
+-- DRAFT DOCUMENTS
+-- ================================================================
+-- The create form autosaves into a 'draft' document. Drafts are only
+-- visible to their creator, keep the unsaved form (signatories included)
+-- in draft_data, and become a regular document once published.
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_status_check;
+ALTER TABLE documents ADD CONSTRAINT documents_status_check
+    CHECK (status IN ('draft', 'pending', 'in_progress', 'completed', 'rejected'));
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS draft_data JSONB;
+
+DROP POLICY IF EXISTS "Organization members can view documents" ON documents;
+
+CREATE POLICY "Organization members can view documents" ON documents
+    FOR SELECT USING (
+        is_org_member(organization_id) AND
+        (status <> 'draft' OR created_by = auth.uid())
+    );
+
+-- Nobody else hears about a document until its draft is published
+DROP TRIGGER IF EXISTS document_published_notification ON documents;
+CREATE TRIGGER document_published_notification
+    AFTER UPDATE OF status ON documents
+    FOR EACH ROW
+    WHEN (OLD.status = 'draft' AND NEW.status <> 'draft')
+    EXECUTE FUNCTION notify_document_created();
+
+-- A draft's file can still change, so version 1 is recorded on publish
+DROP TRIGGER IF EXISTS document_published_initial_version ON documents;
+CREATE TRIGGER document_published_initial_version
+    AFTER UPDATE OF status ON documents
+    FOR EACH ROW
+    WHEN (OLD.status = 'draft' AND NEW.status <> 'draft')
+    EXECUTE FUNCTION create_initial_document_version();
+
+-- Submit the create form: publish the caller's draft (p_draft_id) or create
+-- the document outright, with its signatories, supporting files and the
+-- "created" activity. All of it is saved or, on any error, none of it, so a
+-- failed submit leaves the draft in "My drafts" and can simply be retried.
+-- p_document: { name, description, file_url, file_name, file_hash, due_date,
+-- category_id, tags: [], requires_admin_approval, reset_signatures_on_revision,
+-- signatories: [{ name, position, email, phone, due_date }],
+-- attachments: [{ file_url, file_name, file_size, mime_type }] }
+CREATE OR REPLACE FUNCTION publish_document(
+    p_organization_id UUID,
+    p_draft_id UUID,
+    p_document JSONB
+)
+RETURNS UUID AS $$
+DECLARE
+    new_document_id UUID;
+BEGIN
+    IF NOT has_permission(p_organization_id, 'document.create') THEN
+        RAISE EXCEPTION 'You do not have permission to create documents' USING ERRCODE = '42501';
+    END IF;
+
+    IF trim(COALESCE(p_document->>'name', '')) = '' THEN
+        RAISE EXCEPTION 'Document name is required';
+    END IF;
+
+    IF COALESCE(p_document->>'file_url', '') = '' THEN
+        RAISE EXCEPTION 'Please upload a document file';
+    END IF;
+
+    IF p_draft_id IS NOT NULL THEN
+        UPDATE documents
+        SET name = trim(p_document->>'name'),
+            description = NULLIF(trim(p_document->>'description'), ''),
+            file_url = p_document->>'file_url',
+            file_name = p_document->>'file_name',
+            file_hash = p_document->>'file_hash',
+            due_date = (p_document->>'due_date')::TIMESTAMP WITH TIME ZONE,
+            category_id = (p_document->>'category_id')::UUID,
+            tags = ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_document->'tags', '[]'::jsonb))),
+            requires_admin_approval = COALESCE((p_document->>'requires_admin_approval')::BOOLEAN, false),
+            reset_signatures_on_revision = COALESCE((p_document->>'reset_signatures_on_revision')::BOOLEAN, false),
+            status = 'pending',
+            draft_data = NULL,
+            created_at = NOW()
+        WHERE id = p_draft_id
+        AND organization_id = p_organization_id
+        AND created_by = auth.uid()
+        AND status = 'draft'
+        AND deleted_at IS NULL
+        RETURNING id INTO new_document_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'This draft no longer exists';
+        END IF;
+    ELSE
+        INSERT INTO documents (
+            organization_id, name, description, file_url, file_name, file_hash, due_date,
+            category_id, tags, requires_admin_approval, reset_signatures_on_revision,
+            status, created_by
+        )
+        VALUES (
+            p_organization_id,
+            trim(p_document->>'name'),
+            NULLIF(trim(p_document->>'description'), ''),
+            p_document->>'file_url',
+            p_document->>'file_name',
+            p_document->>'file_hash',
+            (p_document->>'due_date')::TIMESTAMP WITH TIME ZONE,
+            (p_document->>'category_id')::UUID,
+            ARRAY(SELECT jsonb_array_elements_text(COALESCE(p_document->'tags', '[]'::jsonb))),
+            COALESCE((p_document->>'requires_admin_approval')::BOOLEAN, false),
+            COALESCE((p_document->>'reset_signatures_on_revision')::BOOLEAN, false),
+            'pending',
+            auth.uid()
+        )
+        RETURNING id INTO new_document_id;
+    END IF;
+
+    -- Rows without a name are left out
+    INSERT INTO document_signatories (document_id, name, position, email, phone, due_date, order_index, is_signed)
+    SELECT new_document_id,
+           trim(s.value->>'name'),
+           NULLIF(trim(s.value->>'position'), ''),
+           NULLIF(trim(s.value->>'email'), ''),
+           NULLIF(trim(s.value->>'phone'), ''),
+           (s.value->>'due_date')::TIMESTAMP WITH TIME ZONE,
+           row_number() OVER (ORDER BY s.ordinality) - 1,
+           false
+    FROM jsonb_array_elements(COALESCE(p_document->'signatories', '[]'::jsonb)) WITH ORDINALITY AS s(value, ordinality)
+    WHERE trim(COALESCE(s.value->>'name', '')) <> '';
+
+    INSERT INTO document_files (document_id, file_url, file_name, file_size, mime_type, uploaded_by)
+    SELECT new_document_id,
+           f.value->>'file_url',
+           f.value->>'file_name',
+           (f.value->>'file_size')::BIGINT,
+           f.value->>'mime_type',
+           auth.uid()
+    FROM jsonb_array_elements(COALESCE(p_document->'attachments', '[]'::jsonb)) AS f(value);
+
+    INSERT INTO document_activity (document_id, user_id, action, description)
+    VALUES (new_document_id, auth.uid(), 'created', 'Document tracker created');
+
+    RETURN new_document_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION publish_document(UUID, UUID, JSONB) FROM anon;
+
+-- ================================================================
+-- DOCUMENT EDITING
+-- ================================================================
+
+-- Save the edit form of a document in one go. p_signatories is the full,
+-- ordered list: entries with an id update that signatory, entries without
+-- one are added, and signatories missing from the list are removed. The
+-- document creator and members with document.edit can save it. Every change
+-- is logged with its before and after values in the metadata.
+CREATE OR REPLACE FUNCTION update_document_details(
+    p_document_id UUID,
+    p_name TEXT,
+    p_description TEXT,
+    p_requires_admin_approval BOOLEAN,
+    p_signatories JSONB
+)
+RETURNS VOID AS $$
+DECLARE
+    doc documents%ROWTYPE;
+    sig document_signatories%ROWTYPE;
+    item RECORD;
+    new_name TEXT := trim(p_name);
+    new_description TEXT := NULLIF(trim(p_description), '');
+    changes JSONB := '{}'::jsonb;
+    before_details JSONB;
+    after_details JSONB;
+    kept_ids UUID[];
+    previous_order UUID[];
+    previous_names JSONB;
+    new_signatory_id UUID;
+BEGIN
+    SELECT * INTO doc FROM documents WHERE id = p_document_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found';
+    END IF;
+
+    IF doc.deleted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This document is in the trash; restore it before changing it';
+    END IF;
+
+    IF doc.created_by IS DISTINCT FROM auth.uid()
+       AND NOT has_permission(doc.organization_id, 'document.edit') THEN
+        RAISE EXCEPTION 'You do not have permission to edit this document' USING ERRCODE = '42501';
+    END IF;
+
+    -- Otherwise a rejected document could be unlocked by dropping the approval step
+    IF doc.requires_admin_approval AND NOT p_requires_admin_approval
+       AND NOT has_permission(doc.organization_id, 'document.approve') THEN
+        RAISE EXCEPTION 'Only members who can approve documents can remove the approval requirement' USING ERRCODE = '42501';
+    END IF;
+
+    IF new_name IS NULL OR length(new_name) < 3 THEN
+        RAISE EXCEPTION 'Name must be at least 3 characters';
+    END IF;
+
+    IF jsonb_typeof(p_signatories) <> 'array' OR jsonb_array_length(p_signatories) = 0 THEN
+        RAISE EXCEPTION 'At least one signatory is required';
+    END IF;
+
+    -- Document details
+    IF doc.name IS DISTINCT FROM new_name THEN
+        changes := changes || jsonb_build_object('name', jsonb_build_object('before', doc.name, 'after', new_name));
+    END IF;
+    IF doc.description IS DISTINCT FROM new_description THEN
+        changes := changes || jsonb_build_object('description', jsonb_build_object('before', doc.description, 'after', new_description));
+    END IF;
+    IF doc.requires_admin_approval IS DISTINCT FROM p_requires_admin_approval THEN
+        changes := changes || jsonb_build_object('requires_admin_approval', jsonb_build_object('before', doc.requires_admin_approval, 'after', p_requires_admin_approval));
+    END IF;
+
+    IF changes <> '{}'::jsonb THEN
+        UPDATE documents
+        SET name = new_name,
+            description = new_description,
+            requires_admin_approval = p_requires_admin_approval
+        WHERE id = p_document_id;
+
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (
+            p_document_id,
+            auth.uid(),
+            'details_updated',
+            'Updated the document ' || (
+                SELECT string_agg(replace(replace(key, 'requires_admin_approval', 'approval requirement'), '_', ' '), ', ')
+                FROM jsonb_object_keys(changes) AS key
+            ),
+            jsonb_build_object('changes', changes)
+        );
+    END IF;
+
+    -- Removed signatories
+    kept_ids := ARRAY(
+        SELECT (value->>'id')::UUID
+        FROM jsonb_array_elements(p_signatories) WITH ORDINALITY
+        WHERE value->>'id' IS NOT NULL
+        ORDER BY ordinality
+    );
+
+    FOR sig IN
+        SELECT * FROM document_signatories
+        WHERE document_id = p_document_id AND NOT (id = ANY(kept_ids))
+        ORDER BY order_index
+    LOOP
+        DELETE FROM document_signatories WHERE id = sig.id;
+
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (
+            p_document_id,
+            auth.uid(),
+            'signatory_removed',
+            'Removed signatory ' || sig.name,
+            jsonb_build_object(
+                'signatory_id', sig.id,
+                'before', jsonb_build_object('name', sig.name, 'position', sig.position, 'email', sig.email, 'phone', sig.phone, 'is_signed', sig.is_signed),
+                'after', NULL
+            )
+        );
+    END LOOP;
+
+    previous_order := ARRAY(
+        SELECT id FROM document_signatories
+        WHERE document_id = p_document_id
+        ORDER BY order_index, created_at
+    );
+    previous_names := (
+        SELECT COALESCE(jsonb_agg(name ORDER BY order_index, created_at), '[]'::jsonb)
+        FROM document_signatories WHERE document_id = p_document_id
+    );
+
+    -- Added and edited signatories, in their new order
+    FOR item IN
+        SELECT value AS data, ordinality - 1 AS new_index
+        FROM jsonb_array_elements(p_signatories) WITH ORDINALITY
+    LOOP
+        after_details := jsonb_build_object(
+            'name', NULLIF(trim(item.data->>'name'), ''),
+            'position', NULLIF(trim(item.data->>'position'), ''),
+            'email', NULLIF(trim(item.data->>'email'), ''),
+            'phone', NULLIF(trim(item.data->>'phone'), '')
+        );
+
+        IF after_details->>'name' IS NULL THEN
+            RAISE EXCEPTION 'Every signatory needs a name';
+        END IF;
+
+        IF item.data->>'id' IS NULL THEN
+            INSERT INTO document_signatories (document_id, name, position, email, phone, order_index, is_signed)
+            VALUES (
+                p_document_id,
+                after_details->>'name',
+                after_details->>'position',
+                after_details->>'email',
+                after_details->>'phone',
+                item.new_index,
+                false
+            )
+            RETURNING id INTO new_signatory_id;
+
+            INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+            VALUES (
+                p_document_id,
+                auth.uid(),
+                'signatory_added',
+                'Added signatory ' || (after_details->>'name'),
+                jsonb_build_object('signatory_id', new_signatory_id, 'before', NULL, 'after', after_details)
+            );
+        ELSE
+            SELECT * INTO sig FROM document_signatories
+            WHERE id = (item.data->>'id')::UUID AND document_id = p_document_id;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'Signatory not found';
+            END IF;
+
+            before_details := jsonb_build_object('name', sig.name, 'position', sig.position, 'email', sig.email, 'phone', sig.phone);
+            changes := (
+                SELECT COALESCE(jsonb_object_agg(key, jsonb_build_object('before', before_details->key, 'after', after_details->key)), '{}'::jsonb)
+                FROM jsonb_object_keys(after_details) AS key
+                WHERE before_details->key IS DISTINCT FROM after_details->key
+            );
+
+            IF changes <> '{}'::jsonb OR sig.order_index <> item.new_index THEN
+                UPDATE document_signatories
+                SET name = after_details->>'name',
+                    position = after_details->>'position',
+                    email = after_details->>'email',
+                    phone = after_details->>'phone',
+                    order_index = item.new_index,
+                    updated_at = NOW()
+                WHERE id = sig.id;
+            END IF;
+
+            IF changes <> '{}'::jsonb THEN
+                INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+                VALUES (
+                    p_document_id,
+                    auth.uid(),
+                    'signatory_updated',
+                    'Updated signatory ' || (after_details->>'name'),
+                    jsonb_build_object('signatory_id', sig.id, 'changes', changes)
+                );
+            END IF;
+        END IF;
+    END LOOP;
+
+    IF previous_order IS DISTINCT FROM kept_ids THEN
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (
+            p_document_id,
+            auth.uid(),
+            'signatories_reordered',
+            'Changed the signing order',
+            jsonb_build_object(
+                'before', previous_names,
+                'after', (
+                    SELECT jsonb_agg(name ORDER BY order_index)
+                    FROM document_signatories WHERE document_id = p_document_id
+                )
+            )
+        );
+    END IF;
+
+    -- A newly added signatory still has to sign a completed document
+    IF doc.status = 'completed' AND EXISTS (
+        SELECT 1 FROM document_signatories
+        WHERE document_id = p_document_id AND NOT is_signed
+    ) THEN
+        UPDATE documents SET status = 'pending' WHERE id = p_document_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION update_document_details(UUID, TEXT, TEXT, BOOLEAN, JSONB) FROM anon;
+
+-- ================================================================
+-- DOCUMENT ATTACHMENTS
+-- ================================================================
+-- Supporting files (receipts, quotes, ...) that travel with a document.
+-- The main file stays in documents.file_url with its revision history.
+
+CREATE TABLE IF NOT EXISTS document_files (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    file_url VARCHAR(500) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_size BIGINT,
+    mime_type VARCHAR(255),
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_files_document_id ON document_files(document_id);
+
+ALTER TABLE document_files ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Organization members can view attachments" ON document_files;
+DROP POLICY IF EXISTS "Document creators and members with signatory.manage can add attachments" ON document_files;
+DROP POLICY IF EXISTS "Uploaders, document creators and members with document.delete can remove attachments" ON document_files;
+
+CREATE POLICY "Organization members can view attachments" ON document_files
+    FOR SELECT USING (is_org_member(document_organization(document_id)));
+
+CREATE POLICY "Document creators and members with signatory.manage can add attachments" ON document_files
+    FOR INSERT WITH CHECK (
+        uploaded_by = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM documents
+            WHERE documents.id = document_files.document_id
+            AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'signatory.manage'))
+        )
+    );
+
+CREATE POLICY "Uploaders, document creators and members with document.delete can remove attachments" ON document_files
+    FOR DELETE USING (
+        uploaded_by = auth.uid() OR
+        EXISTS (
+            SELECT 1 FROM documents
+            WHERE documents.id = document_files.document_id
+            AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'document.delete'))
+        )
+    );
+
+-- Whoever may remove an attachment may delete its file, even when someone
+-- else uploaded it into their own folder. The app deletes the file before
+-- the row, while the row still references it.
+DROP POLICY IF EXISTS "Members who can remove an attachment can delete its file" ON storage.objects;
+
+CREATE POLICY "Members who can remove an attachment can delete its file" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'documents' AND
+        EXISTS (
+            SELECT 1 FROM document_files
+            JOIN documents ON documents.id = document_files.document_id
+            WHERE document_files.file_url = storage.objects.name
+            AND (
+                document_files.uploaded_by = auth.uid() OR
+                documents.created_by = auth.uid() OR
+                has_permission(documents.organization_id, 'document.delete')
+            )
+        )
+    );
+
+-- ================================================================
+-- PRIVATE DOCUMENT STORAGE
+-- ================================================================
+-- Anyone holding a public link could read club paperwork without signing
+-- in. The bucket is now private; file_url columns hold storage paths
+-- (<organization_id>/<user_id>/<file>) and the app signs short-lived links
+-- on demand, which the "Organization members can view documents" storage
+-- policy limits to members of the file's club.
+
+UPDATE storage.buckets SET public = false WHERE id = 'documents';
+
+-- Rewrite public links (.../storage/v1/object/public/documents/<path>) into paths
+UPDATE documents
+SET file_url = split_part(file_url, '/object/public/documents/', 2)
+WHERE file_url LIKE '%/object/public/documents/%';
+
+UPDATE document_versions
+SET file_url = split_part(file_url, '/object/public/documents/', 2)
+WHERE file_url LIKE '%/object/public/documents/%';
+
+UPDATE document_files
+SET file_url = split_part(file_url, '/object/public/documents/', 2)
+WHERE file_url LIKE '%/object/public/documents/%';
+
+-- Draft attachments already carry their path next to the public link
+UPDATE documents
+SET draft_data = jsonb_set(draft_data, '{attachments}', (
+    SELECT jsonb_agg(attachment - 'url' ORDER BY position)
+    FROM jsonb_array_elements(draft_data->'attachments') WITH ORDINALITY AS a(attachment, position)
+))
+WHERE status = 'draft'
+AND jsonb_typeof(draft_data->'attachments') = 'array'
+AND jsonb_array_length(draft_data->'attachments') > 0;
+
+COMMENT ON COLUMN documents.file_url IS 'Path of the current file in the private documents bucket';
+COMMENT ON COLUMN document_versions.file_url IS 'Path of this revision in the private documents bucket';
+COMMENT ON COLUMN document_files.file_url IS 'Path of the attachment in the private documents bucket';
+
+-- Files uploaded before tenancy sit under <user_id>/ with no organization
+-- folder, so the storage policy above never matches them. The club each one
+-- belongs to is recorded once, when this table is created, from the documents
+-- that reference it and only if its uploader is a member of that club.
+-- file_url is written by clients, so it can't be trusted after that; the
+-- table has RLS and no policies, so clients can neither read nor change it.
+DO $$
+BEGIN
+    IF to_regclass('public.legacy_document_files') IS NULL THEN
+        CREATE TABLE legacy_document_files (
+            path TEXT PRIMARY KEY,
+            organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE
+        );
+
+        INSERT INTO legacy_document_files (path, organization_id)
+        SELECT DISTINCT ON (o.name) o.name, r.organization_id
+        FROM storage.objects o
+        JOIN (
+            SELECT organization_id, file_url FROM documents
+            UNION ALL
+            SELECT d.organization_id, v.file_url FROM document_versions v JOIN documents d ON d.id = v.document_id
+            UNION ALL
+            SELECT d.organization_id, f.file_url FROM document_files f JOIN documents d ON d.id = f.document_id
+        ) r ON r.file_url = o.name
+        WHERE o.bucket_id = 'documents'
+        AND array_length(storage.foldername(o.name), 1) = 1
+        AND EXISTS (
+            SELECT 1 FROM organization_members m
+            WHERE m.organization_id = r.organization_id
+            AND m.user_id::text = (storage.foldername(o.name))[1]
+        )
+        ORDER BY o.name;
+    END IF;
+END $$;
+
+ALTER TABLE legacy_document_files ENABLE ROW LEVEL SECURITY;
+
+-- Members can read such a file when it was recorded for one of their clubs
+CREATE OR REPLACE FUNCTION is_member_document_file(p_path TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM legacy_document_files
+        WHERE path = p_path AND is_org_member(organization_id)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+DROP POLICY IF EXISTS "Organization members can view document files uploaded before tenancy" ON storage.objects;
+
+CREATE POLICY "Organization members can view document files uploaded before tenancy" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'documents' AND
+        array_length(storage.foldername(name), 1) = 1 AND
+        is_member_document_file(name)
+    );
+
+-- ================================================================
+-- FILE INTEGRITY
+-- ================================================================
+-- The browser fingerprints every main file with SHA-256 before uploading
+-- it. The hash is kept on the document and on each revision so a file can
+-- be re-downloaded and checked against what signatories saw, and so the
+-- create form can warn when the same file is already being tracked.
+-- Files uploaded before this change have no hash.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS file_hash CHAR(64) CHECK (file_hash ~ '^[0-9a-f]{64}$');
+ALTER TABLE document_versions ADD COLUMN IF NOT EXISTS file_hash CHAR(64) CHECK (file_hash ~ '^[0-9a-f]{64}$');
+
+CREATE INDEX IF NOT EXISTS idx_documents_file_hash ON documents(organization_id, file_hash) WHERE file_hash IS NOT NULL;
+
+COMMENT ON COLUMN documents.file_hash IS 'SHA-256 of the current file, lowercase hex';
+COMMENT ON COLUMN document_versions.file_hash IS 'SHA-256 of this revision''s file, lowercase hex';
+
+-- ================================================================
+-- DEADLINES
+-- ================================================================
+-- Optional due dates for a document and for each signatory. A document is
+-- overdue while it is not completed or rejected after its due date, or
+-- while a signatory past their due date has not signed.
+-- notify_passed_deadlines() sends one deadline_passed notification per
+-- missed deadline; moving a due date re-arms it.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deadline_notified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_signatories ADD COLUMN IF NOT EXISTS due_date TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_signatories ADD COLUMN IF NOT EXISTS deadline_notified_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_documents_due_date ON documents(due_date) WHERE due_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_document_signatories_due_date ON document_signatories(due_date) WHERE due_date IS NOT NULL;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('document_created', 'document_deleted', 'status_updated', 'signature_added', 'admin_approval', 'comment_added', 'invitation_accepted', 'deadline_passed'));
+
+CREATE OR REPLACE FUNCTION reset_deadline_notification()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.due_date IS DISTINCT FROM OLD.due_date THEN
+        NEW.deadline_notified_at := NULL;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_deadline_changed ON documents;
+CREATE TRIGGER document_deadline_changed
+    BEFORE UPDATE OF due_date ON documents
+    FOR EACH ROW EXECUTE FUNCTION reset_deadline_notification();
+
+DROP TRIGGER IF EXISTS signatory_deadline_changed ON document_signatories;
+CREATE TRIGGER signatory_deadline_changed
+    BEFORE UPDATE OF due_date ON document_signatories
+    FOR EACH ROW EXECUTE FUNCTION reset_deadline_notification();
+
+-- Notify the stakeholders of every deadline that passed since the last run
+CREATE OR REPLACE FUNCTION notify_passed_deadlines()
+RETURNS INTEGER AS $$
+DECLARE
+    doc RECORD;
+    sig RECORD;
+    notified INTEGER := 0;
+BEGIN
+    FOR doc IN
+        SELECT id, name, due_date
+        FROM documents
+        WHERE due_date <= NOW()
+        AND deadline_notified_at IS NULL
+        AND status IN ('pending', 'in_progress')
+        AND deleted_at IS NULL
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        PERFORM create_notification_for_document_users(
+            'Deadline Passed',
+            '"' || doc.name || '" was due ' || to_char(doc.due_date, 'Mon DD, YYYY HH24:MI TZ') || ' and is not completed yet',
+            'deadline_passed',
+            doc.id,
+            jsonb_build_object('document_name', doc.name, 'due_date', doc.due_date)
+        );
+
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (doc.id, NULL, 'deadline_passed', 'The document deadline passed', jsonb_build_object('due_date', doc.due_date));
+
+        UPDATE documents SET deadline_notified_at = NOW() WHERE id = doc.id;
+        notified := notified + 1;
+    END LOOP;
+
+    FOR sig IN
+        SELECT s.id, s.name, s.due_date, d.id AS document_id, d.name AS document_name
+        FROM document_signatories s
+        JOIN documents d ON d.id = s.document_id
+        WHERE s.due_date <= NOW()
+        AND s.deadline_notified_at IS NULL
+        AND NOT s.is_signed
+        AND d.status IN ('pending', 'in_progress')
+        AND d.deleted_at IS NULL
+        FOR UPDATE OF s SKIP LOCKED
+    LOOP
+        PERFORM create_notification_for_document_users(
+            'Signature Overdue',
+            sig.name || ' has not signed "' || sig.document_name || '", which was due ' || to_char(sig.due_date, 'Mon DD, YYYY HH24:MI TZ'),
+            'deadline_passed',
+            sig.document_id,
+            jsonb_build_object('document_name', sig.document_name, 'signatory_id', sig.id, 'signatory_name', sig.name, 'due_date', sig.due_date)
+        );
+
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (
+            sig.document_id,
+            NULL,
+            'deadline_passed',
+            sig.name || ' missed their signing deadline',
+            jsonb_build_object('signatory_id', sig.id, 'due_date', sig.due_date)
+        );
+
+        UPDATE document_signatories SET deadline_notified_at = NOW() WHERE id = sig.id;
+        notified := notified + 1;
+    END LOOP;
+
+    RETURN notified;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the scheduler runs this; members must not trigger it for other clubs
+REVOKE EXECUTE ON FUNCTION notify_passed_deadlines() FROM PUBLIC, anon, authenticated;
+
+-- Check for passed deadlines every 15 minutes. Requires the pg_cron
+-- extension (Database > Extensions in the Supabase dashboard); scheduling
+-- a job under an existing name replaces it.
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+SELECT cron.schedule('notify-passed-deadlines', '*/15 * * * *', 'SELECT notify_passed_deadlines()');
+
+-- ================================================================
+-- CATEGORIES AND TAGS
+-- ================================================================
+-- Club admins maintain a list of categories (Finance, Events, ...); each
+-- document has at most one. Tags are free-form labels any editor can add,
+-- stored trimmed, lower-case and without duplicates.
+
+CREATE TABLE IF NOT EXISTS document_categories (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL CHECK (trim(name) <> ''),
+    color VARCHAR(20) NOT NULL DEFAULT 'gray'
+        CHECK (color IN ('gray', 'red', 'amber', 'green', 'blue', 'indigo', 'purple', 'pink')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (organization_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_categories_organization_id ON document_categories(organization_id);
+
+ALTER TABLE document_categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Organization members can view categories" ON document_categories;
+DROP POLICY IF EXISTS "Organization admins can manage categories" ON document_categories;
+
+CREATE POLICY "Organization members can view categories" ON document_categories
+    FOR SELECT USING (is_org_member(organization_id));
+
+CREATE POLICY "Organization admins can manage categories" ON document_categories
+    FOR ALL USING (is_org_admin(organization_id))
+    WITH CHECK (is_org_admin(organization_id));
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES document_categories(id) ON DELETE SET NULL;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}' CHECK (cardinality(tags) <= 20);
+
+CREATE INDEX IF NOT EXISTS idx_documents_category_id ON documents(category_id);
+CREATE INDEX IF NOT EXISTS idx_documents_tags ON documents USING GIN (tags);
+
+CREATE OR REPLACE FUNCTION normalize_document_labels()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.tags := COALESCE((
+        SELECT array_agg(DISTINCT tag ORDER BY tag)
+        FROM (
+            SELECT trim(left(lower(regexp_replace(trim(raw), '\s+', ' ', 'g')), 30)) AS tag
+            FROM unnest(NEW.tags) AS raw
+        ) cleaned
+        WHERE tag <> ''
+    ), '{}');
+
+    IF NEW.category_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM document_categories
+        WHERE id = NEW.category_id AND organization_id = NEW.organization_id
+    ) THEN
+        RAISE EXCEPTION 'The category belongs to another organization';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_labels_normalized ON documents;
+CREATE TRIGGER document_labels_normalized
+    BEFORE INSERT OR UPDATE OF tags, category_id, organization_id ON documents
+    FOR EACH ROW EXECUTE FUNCTION normalize_document_labels();
+
+-- Change a document's category and tags, logging the before and after values.
+-- Same permission as the rest of the edit form.
+CREATE OR REPLACE FUNCTION update_document_labels(
+    p_document_id UUID,
+    p_category_id UUID,
+    p_tags TEXT[]
+)
+RETURNS VOID AS $$
+DECLARE
+    doc documents%ROWTYPE;
+    updated documents%ROWTYPE;
+    changes JSONB := '{}'::jsonb;
+BEGIN
+    SELECT * INTO doc FROM documents WHERE id = p_document_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found';
+    END IF;
+
+    IF doc.deleted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'This document is in the trash; restore it before changing it';
+    END IF;
+
+    IF doc.created_by IS DISTINCT FROM auth.uid()
+       AND NOT has_permission(doc.organization_id, 'document.edit') THEN
+        RAISE EXCEPTION 'You do not have permission to edit this document' USING ERRCODE = '42501';
+    END IF;
+
+    UPDATE documents
+    SET category_id = p_category_id,
+        tags = COALESCE(p_tags, '{}')
+    WHERE id = p_document_id
+    RETURNING * INTO updated;
+
+    IF doc.category_id IS DISTINCT FROM updated.category_id THEN
+        changes := changes || jsonb_build_object('category', jsonb_build_object(
+            'before', (SELECT name FROM document_categories WHERE id = doc.category_id),
+            'after', (SELECT name FROM document_categories WHERE id = updated.category_id)
+        ));
+    END IF;
+    IF doc.tags IS DISTINCT FROM updated.tags THEN
+        changes := changes || jsonb_build_object('tags', jsonb_build_object(
+            'before', to_jsonb(doc.tags),
+            'after', to_jsonb(updated.tags)
+        ));
+    END IF;
+
+    IF changes <> '{}'::jsonb THEN
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (p_document_id, auth.uid(), 'labels_updated', 'Updated the category and tags', jsonb_build_object('changes', changes));
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION update_document_labels(UUID, UUID, TEXT[]) FROM anon;
+
+-- ================================================================
+-- TRASH
+-- ================================================================
+-- Deleting a document moves it to the trash (deleted_at, deleted_by) and
+-- keeps its signatures, comments, activity and files, so it can be
+-- restored. Club admins purge trashed documents for good; anything left
+-- longer than the club's trash_retention_days is purged by the
+-- purge-trash edge function.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER NOT NULL DEFAULT 30
+    CHECK (trash_retention_days BETWEEN 1 AND 365);
+
+CREATE INDEX IF NOT EXISTS idx_documents_deleted_at ON documents(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Keep the "Document Deleted" notification once the document row is gone
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_document_id_fkey;
+ALTER TABLE notifications ADD CONSTRAINT notifications_document_id_fkey
+    FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE SET NULL;
+
+-- Trashing needs the rights the old delete policy asked for; restoring
+-- does not need two-factor authentication. The database stamps who and when.
+CREATE OR REPLACE FUNCTION guard_document_trash()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.deleted_at IS NOT DISTINCT FROM OLD.deleted_at THEN
+        NEW.deleted_by := OLD.deleted_by;
+        RETURN NEW;
+    END IF;
+
+    IF OLD.status = 'draft' THEN
+        RAISE EXCEPTION 'Drafts are discarded, not moved to the trash';
+    END IF;
+
+    IF auth.uid() IS NOT NULL THEN
+        IF NEW.deleted_at IS NOT NULL
+           AND OLD.created_by IS DISTINCT FROM auth.uid()
+           AND NOT (has_permission(OLD.organization_id, 'document.delete') AND is_aal2()) THEN
+            RAISE EXCEPTION 'You do not have permission to delete this document' USING ERRCODE = '42501';
+        END IF;
+
+        IF NEW.deleted_at IS NULL
+           AND OLD.created_by IS DISTINCT FROM auth.uid()
+           AND NOT has_permission(OLD.organization_id, 'document.delete') THEN
+            RAISE EXCEPTION 'You do not have permission to restore this document' USING ERRCODE = '42501';
+        END IF;
+    END IF;
+
+    IF NEW.deleted_at IS NULL THEN
+        NEW.deleted_by := NULL;
+    ELSE
+        NEW.deleted_at := NOW();
+        NEW.deleted_by := auth.uid();
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS documents_trash_guard ON documents;
+CREATE TRIGGER documents_trash_guard
+    BEFORE UPDATE OF deleted_at, deleted_by ON documents
+    FOR EACH ROW EXECUTE FUNCTION guard_document_trash();
+
+-- Members with document.delete may not be allowed to update the document,
+-- so trashing and restoring go through these functions
+CREATE OR REPLACE FUNCTION trash_document(p_document_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE documents SET deleted_at = NOW()
+    WHERE id = p_document_id AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found or already in the trash';
+    END IF;
+
+    INSERT INTO document_activity (document_id, user_id, action, description)
+    VALUES (p_document_id, auth.uid(), 'document_trashed', 'Moved the document to the trash');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION restore_document(p_document_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE documents SET deleted_at = NULL
+    WHERE id = p_document_id AND deleted_at IS NOT NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found in the trash';
+    END IF;
+
+    INSERT INTO document_activity (document_id, user_id, action, description)
+    VALUES (p_document_id, auth.uid(), 'document_restored', 'Restored the document from the trash');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION trash_document(UUID) FROM anon;
+REVOKE EXECUTE ON FUNCTION restore_document(UUID) FROM anon;
+
+-- Rows are only deleted to discard a draft or to purge a trashed document
+DROP POLICY IF EXISTS "Document creators and members with document.delete can delete documents" ON documents;
+DROP POLICY IF EXISTS "Draft owners and organization admins can delete documents" ON documents;
+
+CREATE POLICY "Draft owners and organization admins can delete documents" ON documents
+    FOR DELETE USING (
+        (status = 'draft' AND auth.uid() = created_by) OR
+        (deleted_at IS NOT NULL AND is_org_admin(organization_id) AND
+         (auth.uid() = created_by OR is_aal2()))
+    );
+
+-- Trashed documents are read-only until restored. The editing functions
+-- refuse them too; trash_document and restore_document bypass these policies.
+CREATE OR REPLACE FUNCTION is_document_trashed(p_document_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM documents WHERE id = p_document_id AND deleted_at IS NOT NULL);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+DROP POLICY IF EXISTS "Document creators and permitted members can update documents" ON documents;
+
+CREATE POLICY "Document creators and permitted members can update documents" ON documents
+    FOR UPDATE USING (
+        deleted_at IS NULL AND
+        (auth.uid() = created_by OR
+         has_permission(organization_id, 'document.approve') OR
+         has_permission(organization_id, 'signatory.manage'))
+    )
+    WITH CHECK (is_org_member(organization_id));
+
+DROP POLICY IF EXISTS "Document creators and members with signatory.manage can manage signatories" ON document_signatories;
+
+CREATE POLICY "Document creators and members with signatory.manage can manage signatories" ON document_signatories
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM documents
+            WHERE documents.id = document_signatories.document_id
+            AND documents.deleted_at IS NULL
+            AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'signatory.manage'))
+        )
+    );
+
+DROP POLICY IF EXISTS "Members with comment.create can create comments" ON document_comments;
+DROP POLICY IF EXISTS "Comment creators can update their comments" ON document_comments;
+DROP POLICY IF EXISTS "Comment creators and organization admins can delete comments" ON document_comments;
+
+CREATE POLICY "Members with comment.create can create comments" ON document_comments
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        has_permission(document_organization(document_id), 'comment.create') AND
+        NOT is_document_trashed(document_id)
+    );
+
+CREATE POLICY "Comment creators can update their comments" ON document_comments
+    FOR UPDATE USING (auth.uid() = user_id AND NOT is_document_trashed(document_id));
+
+CREATE POLICY "Comment creators and organization admins can delete comments" ON document_comments
+    FOR DELETE USING (
+        (auth.uid() = user_id OR is_org_admin(document_organization(document_id))) AND
+        NOT is_document_trashed(document_id)
+    );
+
+DROP POLICY IF EXISTS "Document creators and members with signatory.manage can add attachments" ON document_files;
+DROP POLICY IF EXISTS "Uploaders, document creators and members with document.delete can remove attachments" ON document_files;
+
+CREATE POLICY "Document creators and members with signatory.manage can add attachments" ON document_files
+    FOR INSERT WITH CHECK (
+        uploaded_by = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM documents
+            WHERE documents.id = document_files.document_id
+            AND documents.deleted_at IS NULL
+            AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'signatory.manage'))
+        )
+    );
+
+CREATE POLICY "Uploaders, document creators and members with document.delete can remove attachments" ON document_files
+    FOR DELETE USING (
+        NOT is_document_trashed(document_id) AND
+        (uploaded_by = auth.uid() OR
+         EXISTS (
+             SELECT 1 FROM documents
+             WHERE documents.id = document_files.document_id
+             AND (documents.created_by = auth.uid() OR has_permission(documents.organization_id, 'document.delete'))
+         ))
+    );
+
+DROP POLICY IF EXISTS "Members who can remove an attachment can delete its file" ON storage.objects;
+
+CREATE POLICY "Members who can remove an attachment can delete its file" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'documents' AND
+        EXISTS (
+            SELECT 1 FROM document_files
+            JOIN documents ON documents.id = document_files.document_id
+            WHERE document_files.file_url = storage.objects.name
+            AND documents.deleted_at IS NULL
+            AND (
+                document_files.uploaded_by = auth.uid() OR
+                documents.created_by = auth.uid() OR
+                has_permission(documents.organization_id, 'document.delete')
+            )
+        )
+    );
+
+-- notify_document_deleted also announces a document moved to the trash
+DROP TRIGGER IF EXISTS document_trashed_notification ON documents;
+CREATE TRIGGER document_trashed_notification
+    AFTER UPDATE OF deleted_at ON documents
+    FOR EACH ROW
+    WHEN (OLD.deleted_at IS NULL AND NEW.deleted_at IS NOT NULL)
+    EXECUTE FUNCTION notify_document_deleted();
+
+-- Purging removes files with the service role, so a document may only
+-- reference files of its own club: ones in the club's folder, or ones
+-- recorded for it before tenancy. Clients write every file_url column.
+CREATE OR REPLACE FUNCTION is_organization_file_path(p_organization_id UUID, p_path TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT p_path LIKE p_organization_id::text || '/%' OR EXISTS (
+        SELECT 1 FROM legacy_document_files
+        WHERE path = p_path AND organization_id = p_organization_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION check_document_file_path()
+RETURNS TRIGGER AS $$
+DECLARE
+    organization UUID;
+BEGIN
+    IF NEW.file_url IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_TABLE_NAME = 'documents' THEN
+        organization := NEW.organization_id;
+    ELSE
+        organization := document_organization(NEW.document_id);
+    END IF;
+
+    IF NOT is_organization_file_path(organization, NEW.file_url) THEN
+        RAISE EXCEPTION 'Files must be stored in the document''s club folder' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS documents_file_path_check ON documents;
+CREATE TRIGGER documents_file_path_check
+    BEFORE INSERT OR UPDATE OF file_url, organization_id ON documents
+    FOR EACH ROW EXECUTE FUNCTION check_document_file_path();
+
+DROP TRIGGER IF EXISTS document_versions_file_path_check ON document_versions;
+CREATE TRIGGER document_versions_file_path_check
+    BEFORE INSERT OR UPDATE OF file_url, document_id ON document_versions
+    FOR EACH ROW EXECUTE FUNCTION check_document_file_path();
+
+DROP TRIGGER IF EXISTS document_files_file_path_check ON document_files;
+CREATE TRIGGER document_files_file_path_check
+    BEFORE INSERT OR UPDATE OF file_url, document_id ON document_files
+    FOR EACH ROW EXECUTE FUNCTION check_document_file_path();
+
+-- Every storage path a document references: its current file, each
+-- revision and each attachment. Rows written before the check above are
+-- filtered the same way.
+CREATE OR REPLACE FUNCTION document_file_paths(p_document_id UUID)
+RETURNS TEXT[] AS $$
+    SELECT ARRAY(
+        SELECT DISTINCT path FROM (
+            SELECT file_url AS path FROM documents WHERE id = p_document_id
+            UNION ALL
+            SELECT file_url FROM document_versions WHERE document_id = p_document_id
+            UNION ALL
+            SELECT file_url FROM document_files WHERE document_id = p_document_id
+        ) paths
+        WHERE path IS NOT NULL
+        AND is_organization_file_path(document_organization(p_document_id), path)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION document_file_paths(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Earlier versions returned no organization_id
+DROP FUNCTION IF EXISTS expired_trash_documents();
+
+-- Trashed documents and their files whose retention period has run out,
+-- for the purge-trash edge function
+CREATE OR REPLACE FUNCTION expired_trash_documents()
+RETURNS TABLE (document_id UUID, organization_id UUID, file_paths TEXT[]) AS $$
+    SELECT d.id, d.organization_id, document_file_paths(d.id)
+    FROM documents d
+    JOIN organizations o ON o.id = d.organization_id
+    WHERE d.deleted_at IS NOT NULL
+    AND d.deleted_at < NOW() - make_interval(days => o.trash_retention_days);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION expired_trash_documents() FROM PUBLIC, anon, authenticated;
+
+-- Earlier versions returned only the file paths
+DROP FUNCTION IF EXISTS purge_document(UUID);
+
+-- Permanently delete a trashed document on behalf of a club admin and
+-- return its club and the files it referenced. The purge-trash edge
+-- function calls this as the admin, then removes the files with the service
+-- role: storage only lets members delete files from their own folder, and
+-- the row going first means a refused purge never loses files.
+CREATE OR REPLACE FUNCTION purge_document(p_document_id UUID)
+RETURNS TABLE (organization_id UUID, file_paths TEXT[]) AS $$
+DECLARE
+    doc documents%ROWTYPE;
+    paths TEXT[];
+BEGIN
+    SELECT * INTO doc FROM documents
+    WHERE id = p_document_id AND deleted_at IS NOT NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Document not found in the trash';
+    END IF;
+
+    IF NOT is_org_admin(doc.organization_id) THEN
+        RAISE EXCEPTION 'Only club admins can permanently delete documents' USING ERRCODE = '42501';
+    END IF;
+
+    IF doc.created_by IS DISTINCT FROM auth.uid() AND NOT is_aal2() THEN
+        RAISE EXCEPTION 'Permanently deleting other members'' documents requires two-factor authentication' USING ERRCODE = '42501';
+    END IF;
+
+    paths := document_file_paths(p_document_id);
+
+    DELETE FROM documents WHERE id = p_document_id;
+
+    RETURN QUERY SELECT doc.organization_id, paths;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION purge_document(UUID) FROM anon;
+
+-- ================================================================
+-- DUPLICATING DOCUMENTS
+-- ================================================================
+-- "Duplicate" starts a new tracker from an existing one: its details,
+-- category, tags and ordered signatories, with every signature reset.
+-- Deadlines are not carried over. The caller copies the file in storage
+-- first when it should come along. Both documents' activity logs link to
+-- each other through metadata.linked_document_id.
+
+CREATE OR REPLACE FUNCTION duplicate_document(
+    p_document_id UUID,
+    p_name TEXT,
+    p_file_url TEXT DEFAULT NULL,
+    p_file_name TEXT DEFAULT NULL,
+    p_file_hash TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+    source documents%ROWTYPE;
+    new_document_id UUID;
+BEGIN
+    SELECT * INTO source FROM documents WHERE id = p_document_id;
+
+    IF NOT FOUND OR source.status = 'draft' OR source.deleted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'Document not found';
+    END IF;
+
+    IF NOT has_permission(source.organization_id, 'document.create') THEN
+        RAISE EXCEPTION 'You do not have permission to create documents' USING ERRCODE = '42501';
+    END IF;
+
+    IF trim(COALESCE(p_name, '')) = '' THEN
+        RAISE EXCEPTION 'Document name is required';
+    END IF;
+
+    INSERT INTO documents (
+        organization_id, name, description, file_url, file_name, file_hash,
+        category_id, tags, requires_admin_approval, reset_signatures_on_revision,
+        current_version, status, created_by
+    )
+    VALUES (
+        source.organization_id, trim(p_name), source.description, p_file_url, p_file_name, p_file_hash,
+        source.category_id, source.tags, source.requires_admin_approval, source.reset_signatures_on_revision,
+        -- Without a file, the first upload becomes revision 1
+        CASE WHEN p_file_url IS NULL THEN 0 ELSE 1 END, 'pending', auth.uid()
+    )
+    RETURNING id INTO new_document_id;
+
+    INSERT INTO document_signatories (document_id, name, position, email, phone, order_index, is_signed)
+    SELECT new_document_id, name, position, email, phone, order_index, false
+    FROM document_signatories
+    WHERE document_id = p_document_id
+    ORDER BY order_index;
+
+    INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+    VALUES
+        (new_document_id, auth.uid(), 'duplicated_from', 'Created this document as a copy of "' || source.name || '"',
+         jsonb_build_object('linked_document_id', source.id, 'linked_document_name', source.name, 'file_copied', p_file_url IS NOT NULL)),
+        (source.id, auth.uid(), 'duplicated_to', 'Duplicated this document as "' || trim(p_name) || '"',
+         jsonb_build_object('linked_document_id', new_document_id, 'linked_document_name', trim(p_name)));
+
+    RETURN new_document_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION duplicate_document(UUID, TEXT, TEXT, TEXT, TEXT) FROM anon;
+
+-- ================================================================
+-- BULK IMPORT
+-- ================================================================
+-- The import wizard parses a spreadsheet in the browser and sends every
+-- row to import_documents() at once: either all documents and their
+-- signatories are created or, on the first bad row, none are. Imported
+-- documents have no file yet; the first upload becomes revision 1.
+
+-- p_documents: [{ name, description, due_date, category_id, tags: [],
+-- requires_admin_approval, signatories: [{ name, position, email, phone }] }]
+CREATE OR REPLACE FUNCTION import_documents(
+    p_organization_id UUID,
+    p_documents JSONB,
+    p_source_name TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    doc JSONB;
+    new_document_id UUID;
+    imported INTEGER := 0;
+    importer_name TEXT;
+BEGIN
+    IF NOT has_permission(p_organization_id, 'document.create') THEN
+        RAISE EXCEPTION 'You do not have permission to create documents' USING ERRCODE = '42501';
+    END IF;
+
+    IF jsonb_typeof(p_documents) IS DISTINCT FROM 'array' OR jsonb_array_length(p_documents) = 0 THEN
+        RAISE EXCEPTION 'There are no documents to import';
+    END IF;
+
+    IF jsonb_array_length(p_documents) > 200 THEN
+        RAISE EXCEPTION 'At most 200 documents can be imported at once';
+    END IF;
+
+    PERFORM set_config('app.bulk_import', 'on', true);
+
+    FOR doc IN SELECT value FROM jsonb_array_elements(p_documents)
+    LOOP
+        imported := imported + 1;
+
+        IF trim(COALESCE(doc->>'name', '')) = '' THEN
+            RAISE EXCEPTION 'Row %: the document name is required', imported;
+        END IF;
+
+        IF jsonb_typeof(doc->'signatories') IS DISTINCT FROM 'array'
+           OR jsonb_array_length(doc->'signatories') = 0 THEN
+            RAISE EXCEPTION 'Row %: at least one signatory is required', imported;
+        END IF;
+
+        IF EXISTS (
+            SELECT 1 FROM jsonb_array_elements(doc->'signatories') s
+            WHERE trim(COALESCE(s.value->>'name', '')) = ''
+        ) THEN
+            RAISE EXCEPTION 'Row %: every signatory needs a name', imported;
+        END IF;
+
+        INSERT INTO documents (
+            organization_id, name, description, due_date, category_id, tags,
+            requires_admin_approval, current_version, status, created_by
+        )
+        VALUES (
+            p_organization_id,
+            trim(doc->>'name'),
+            NULLIF(trim(doc->>'description'), ''),
+            (doc->>'due_date')::TIMESTAMP WITH TIME ZONE,
+            (doc->>'category_id')::UUID,
+            ARRAY(SELECT jsonb_array_elements_text(COALESCE(doc->'tags', '[]'::jsonb))),
+            COALESCE((doc->>'requires_admin_approval')::BOOLEAN, false),
+            0,
+            'pending',
+            auth.uid()
+        )
+        RETURNING id INTO new_document_id;
+
+        INSERT INTO document_signatories (document_id, name, position, email, phone, order_index, is_signed)
+        SELECT new_document_id,
+               trim(s.value->>'name'),
+               NULLIF(trim(s.value->>'position'), ''),
+               NULLIF(trim(s.value->>'email'), ''),
+               NULLIF(trim(s.value->>'phone'), ''),
+               s.ordinality - 1,
+               false
+        FROM jsonb_array_elements(doc->'signatories') WITH ORDINALITY AS s(value, ordinality);
+
+        INSERT INTO document_activity (document_id, user_id, action, description, metadata)
+        VALUES (
+            new_document_id,
+            auth.uid(),
+            'created',
+            'Document tracker created by importing ' || COALESCE(p_source_name, 'a spreadsheet'),
+            jsonb_build_object('imported', true, 'source', p_source_name)
+        );
+    END LOOP;
+
+    PERFORM set_config('app.bulk_import', 'off', true);
+
+    SELECT full_name INTO importer_name FROM users WHERE id = auth.uid();
+
+    PERFORM create_notification_for_users(
+        'Documents Imported',
+        COALESCE(importer_name, 'Someone') || ' imported ' || imported || CASE WHEN imported = 1 THEN ' new document' ELSE ' new documents' END,
+        'document_created',
+        NULL,
+        jsonb_build_object('count', imported, 'creator', importer_name, 'source', p_source_name),
+        auth.uid(),
+        p_organization_id
+    );
+
+    RETURN imported;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION import_documents(UUID, JSONB, TEXT) FROM anon;
+
+-- ================================================================
+-- UPLOAD RESTRICTIONS
+-- ================================================================
+-- The browser checks each file's signature against its extension and strips
+-- image metadata, but a client can't be trusted to, so the documents bucket
+-- itself only takes the document types and sizes the app allows. These bucket
+-- settings and the upload policy below are the upload limits the server
+-- enforces: VITE_MAX_UPLOAD_SIZE_MB and VITE_DOCUMENT_FILE_TYPES may narrow
+-- them for the app but never widen them, so change them here first. Keep the
+-- project's global upload limit (Project Settings -> Storage) at least as high.
+
+UPDATE storage.buckets
+SET file_size_limit = 50 * 1024 * 1024,
+    allowed_mime_types = ARRAY[
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'image/png',
+        'image/jpeg'
+    ]
+WHERE id = 'documents';
+
+-- The object name must also carry one of the allowed extensions, which rules
+-- out macro-enabled .docm/.dotm files and anything else renamed on the way
+DROP POLICY IF EXISTS "Organization members can upload documents" ON storage.objects;
+
+CREATE POLICY "Organization members can upload documents" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'documents' AND
+        lower(storage.extension(name)) IN ('pdf', 'doc', 'docx', 'png', 'jpg', 'jpeg') AND
+        (storage.foldername(name))[2] = auth.uid()::text AND
+        (storage.foldername(name))[1] IN (
+            SELECT organization_id::text FROM organization_members WHERE user_id = auth.uid()
+        )
+    );
+
+-- Profile pictures are public: PNG and JPEG images only, the types the app
+-- strips EXIF and GPS data from, up to 2MB
+UPDATE storage.buckets
+SET file_size_limit = 2 * 1024 * 1024,
+    allowed_mime_types = ARRAY['image/png', 'image/jpeg']
+WHERE id = 'avatars';
\ No newline at end of file